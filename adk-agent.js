@@ -0,0 +1,472 @@
+// adk-agent.js
+// Client for the Google ADK agent on Cloud Run behind the MCP assistant:
+// per-user agent sessions, one-shot answers from /run and streamed ones from
+// /run_sse.
+import crypto from 'crypto';
+import { GoogleAuth } from 'google-auth-library';
+import fetch from 'node-fetch';
+import { readEventStream } from './event-stream.js';
+
+// === Google Auth (for the ADK agent) ===
+const adkAuth = new GoogleAuth({
+  keyFilename: './service-account-key.json'
+});
+
+// --- Agent Configuration ---
+const adkAgentUrl = 'https://cement-service-875435952297.us-central1.run.app';
+// !! IMPORTANT !! Change 'capital_agent' to your agent's real name.
+// This is the name of the folder your agent's code is in (e.g., 'mcp_agent').
+const ADK_AGENT_NAME = 'cement-app'; 
+
+// Identity token for the Cloud Run service, as an Authorization header value
+async function getAuthHeader() {
+  const authClient = await adkAuth.getIdTokenClient(adkAgentUrl);
+  const headers = await authClient.getRequestHeaders();
+  return headers['Authorization']; // Get the "Bearer ..." token
+}
+
+// Sent with every new session unless the request overrides it
+const DEFAULT_LANGUAGE = 'English';
+const DEFAULT_TIMEZONE = 'UTC';
+const CONTEXT_FIELD_CHARS = 100;
+const TITLE_CHARS = 60;
+
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Session context defaults, read from env:
+ *   MCP_PLANT    - plant the agent answers about (default none)
+ *   MCP_LANGUAGE - language the agent answers in (default English)
+ *   MCP_TIMEZONE - IANA time zone for "today" and shift times (default UTC)
+ */
+export function getAgentSessionDefaults() {
+  const timezone = process.env.MCP_TIMEZONE || DEFAULT_TIMEZONE;
+  if (!isTimeZone(timezone)) {
+    throw new Error(`MCP_TIMEZONE "${timezone}" is not a valid time zone`);
+  }
+  return {
+    plant: process.env.MCP_PLANT || null,
+    language: process.env.MCP_LANGUAGE || DEFAULT_LANGUAGE,
+    timezone
+  };
+}
+
+/**
+ * Validates the { plant, language, timezone } a session is created or reset
+ * with; missing fields come from `base`. Returns { context, errors }.
+ */
+export function validateSessionContext(body = {}, base = getAgentSessionDefaults()) {
+  const errors = [];
+  const text = field => {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') return base[field];
+    if (typeof raw !== 'string' || raw.length > CONTEXT_FIELD_CHARS) {
+      errors.push({ field, message: `${field} must be text of at most ${CONTEXT_FIELD_CHARS} characters` });
+    }
+    return String(raw);
+  };
+
+  const context = { plant: text('plant'), language: text('language'), timezone: text('timezone') };
+  if (!errors.some(e => e.field === 'timezone') && !isTimeZone(context.timezone)) {
+    errors.push({ field: 'timezone', message: `timezone "${context.timezone}" is not a valid time zone` });
+  }
+  return { context, errors };
+}
+
+// The agent reads the time on every turn, so "today" is right in long sessions
+function timeState(context) {
+  const now = new Date();
+  return {
+    current_time: now.toISOString(),
+    local_time: now.toLocaleString('sv-SE', { timeZone: context.timezone })
+  };
+}
+
+// ADK session state for a context (the agent prompt reads these keys)
+function sessionState(context, title = null) {
+  return {
+    preferred_language: context.language,
+    title,
+    context: { plant: context.plant, timezone: context.timezone, ...timeState(context) }
+  };
+}
+
+// What the routes see of an ADK session
+function sessionView(session) {
+  const state = session.state || {};
+  const lastUpdate = session.lastUpdateTime ?? session.last_update_time;
+  return {
+    id: session.id,
+    userId: session.userId ?? session.user_id,
+    title: state.title || null,
+    context: {
+      plant: state.context?.plant ?? null,
+      language: state.preferred_language || DEFAULT_LANGUAGE,
+      timezone: state.context?.timezone || DEFAULT_TIMEZONE
+    },
+    updatedAt: lastUpdate ? new Date(lastUpdate * 1000).toISOString() : null
+  };
+}
+
+async function adkRequest(method, path, body) {
+  const response = await fetch(`${adkAgentUrl}${path}`, {
+    method,
+    headers: {
+      'Authorization': await getAuthHeader(),
+      'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (response.status === 404) return { status: 404, json: null };
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`ADK ${method} ${path} failed: ${response.status} ${text.substring(0, 500)}`);
+  }
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+  const text = await response.text();
+  return { status: response.status, json: isJson && text ? JSON.parse(text) : null };
+}
+
+const sessionsPath = userId => `/apps/${ADK_AGENT_NAME}/users/${encodeURIComponent(userId)}/sessions`;
+
+// =============================
+// 🗂️ Agent Sessions
+// =============================
+// One ADK session per conversation, owned by the user id the routes pass in.
+
+export async function createAgentSession(userId, context, sessionId = `mcp_${crypto.randomBytes(8).toString('hex')}`) {
+  const { json } = await adkRequest('POST', `${sessionsPath(userId)}/${encodeURIComponent(sessionId)}`, sessionState(context));
+  return sessionView({ ...json, userId });
+}
+
+// Newest first
+export async function listAgentSessions(userId) {
+  const { json } = await adkRequest('GET', sessionsPath(userId));
+  const sessions = Array.isArray(json) ? json : json?.sessions || [];
+  return sessions
+    .map(session => sessionView({ ...session, userId }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+const eventTime = event => (event.timestamp ? new Date(event.timestamp * 1000).toISOString() : null);
+
+// User prompts and agent answers, each answer with the steps of its turn
+function sessionMessages(events) {
+  const messages = [];
+  let turn = null;
+  const closeTurn = () => {
+    if (turn) messages.push({ role: 'agent', ...turn.transcript.result(), timestamp: turn.timestamp });
+    turn = null;
+  };
+
+  for (const event of events) {
+    if (event.author === 'user') {
+      closeTurn();
+      messages.push({ role: 'user', text: eventText(event), timestamp: eventTime(event) });
+    } else if (!event.partial && !eventError(event)) {
+      turn = turn || { transcript: createTranscript() };
+      turn.transcript.add(event);
+      turn.timestamp = eventTime(event);
+    }
+  }
+  closeTurn();
+  return messages;
+}
+
+/**
+ * The session with its conversation, for resuming it: messages are
+ * [{ role: 'user', text, timestamp }] and [{ role: 'agent', text, steps,
+ * timestamp }]. Null if the user has no such session.
+ */
+export async function getAgentSession(userId, sessionId) {
+  const { status, json } = await adkRequest('GET', `${sessionsPath(userId)}/${encodeURIComponent(sessionId)}`);
+  if (status === 404 || !json) return null;
+  return { ...sessionView({ ...json, userId }), messages: sessionMessages(json.events || []) };
+}
+
+// Session without its conversation. Always fetched, since another instance
+// may have deleted or reset it.
+export async function findAgentSession(userId, sessionId) {
+  const session = await getAgentSession(userId, sessionId);
+  if (!session) return null;
+  const { messages, ...view } = session;
+  return view;
+}
+
+export async function deleteAgentSession(userId, sessionId) {
+  const { status } = await adkRequest('DELETE', `${sessionsPath(userId)}/${encodeURIComponent(sessionId)}`);
+  return status !== 404;
+}
+
+/**
+ * Starts the session over with `context`: its conversation is dropped and it
+ * keeps its id. Null if the user has no such session.
+ */
+export async function resetAgentSession(userId, sessionId, context) {
+  if (!(await deleteAgentSession(userId, sessionId))) return null;
+  return createAgentSession(userId, context, sessionId);
+}
+
+/**
+ * Run request for one turn in `session`. The current time travels as a
+ * state delta instead of re-creating the session, and the first prompt
+ * becomes the session's title.
+ */
+function runPayload(session, prompt) {
+  const stateDelta = { context: sessionState(session.context).context };
+  if (!session.title) stateDelta.title = prompt.substring(0, TITLE_CHARS);
+  return {
+    "app_name": ADK_AGENT_NAME,
+    "user_id": session.userId,
+    "session_id": session.id,
+    "new_message": {
+      "role": "user",
+      "parts": [{ "text": prompt }]
+    },
+    "state_delta": stateDelta
+  };
+}
+
+/**
+ * Calls the deployed Google ADK agent on Cloud Run for one turn in
+ * `session` (from createAgentSession or findAgentSession). Resolves with
+ * { text, steps }: the final answer and the transcript of how the agent got
+ * there (see createTranscript).
+ */
+export async function callAdkAgent(prompt, session) {
+  // 1. Get an Identity Token for the Cloud Run service
+  const authHeader = await getAuthHeader();
+
+  // 2. Run the Agent (with the prompt)
+  const runUrl = `${adkAgentUrl}/run`;
+  const payload = runPayload(session, prompt);
+  
+  console.log('ADK: Calling /run with payload:', JSON.stringify(payload));
+  
+  const runResponse = await fetch(runUrl, {
+    method: 'POST',
+    headers: {
+      'Authorization': authHeader,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+
+  // Errors come back as JSON ({ detail } / { error }) or as plain text from a proxy
+  const text = await runResponse.text();
+  const isJson = (runResponse.headers.get('content-type') || '').includes('application/json');
+  if (!runResponse.ok) {
+    let message = text.substring(0, 500);
+    if (isJson) {
+      try {
+        const body = JSON.parse(text);
+        message = body.error?.message || body.detail || message;
+      } catch { /* keep the raw text */ }
+    }
+    throw new Error(`ADK /run failed: ${runResponse.status} ${message}`);
+  }
+  if (!isJson) {
+    throw new Error(`Agent returned ${runResponse.headers.get('content-type') || 'no content type'} instead of JSON: ${text.substring(0, 200)}`);
+  }
+
+  const result = JSON.parse(text);
+  console.log('ADK Response:', JSON.stringify(result));
+
+  if (result.error || result.detail) {
+    throw new Error(result.error?.message || result.detail || JSON.stringify(result));
+  }
+  if (!Array.isArray(result)) {
+    throw new Error(`Agent returned an unexpected response format: ${JSON.stringify(result).substring(0, 200)}`);
+  }
+
+  // 3. The agent returns every event of the turn: tool calls, tool results and text
+  const transcript = createTranscript();
+  result.forEach(event => transcript.add(event));
+  return transcript.result();
+}
+
+// =============================
+// 🧾 Event Transcript
+// =============================
+const TABLE_ROW_LIMIT = 200;
+
+// Text of an ADK event's parts, leaving out the model's thoughts
+function eventText(event) {
+  return (event.content?.parts || [])
+    .filter(part => typeof part.text === 'string' && !part.thought)
+    .map(part => part.text)
+    .join('');
+}
+
+function eventError(event) {
+  const message = event.errorMessage ?? event.error_message ?? event.error?.message ?? event.error;
+  return message ? String(message) : null;
+}
+
+const isScalar = value => value === null || typeof value !== 'object';
+const isRecord = value => value && typeof value === 'object' && !Array.isArray(value);
+
+// MCP tools wrap their output as content parts: [{ type: 'text', text }]
+const isContentParts = value => value.every(item => isRecord(item) && item.type && 'text' in item);
+
+// First list of flat records inside a tool response, looking into JSON
+// strings and MCP text content on the way
+function findRows(value, depth = 0) {
+  if (depth > 5 || value === null || value === undefined) return null;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!/^[[{]/.test(trimmed)) return null;
+    try {
+      return findRows(JSON.parse(trimmed), depth + 1);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(value)) {
+    if (value.length > 0 && !isContentParts(value) && value.every(row => isRecord(row) && Object.values(row).every(isScalar))) {
+      return value;
+    }
+    for (const item of value) {
+      const rows = findRows(isRecord(item) && item.type === 'text' ? item.text : item, depth + 1);
+      if (rows) return rows;
+    }
+    return null;
+  }
+  if (typeof value === 'object') {
+    for (const item of Object.values(value)) {
+      const rows = findRows(item, depth + 1);
+      if (rows) return rows;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tabular data in a tool response (BigQuery rows and the like) as
+ * { columns, rows, rowCount } with rows as value arrays, at most
+ * TABLE_ROW_LIMIT of them; null when the response holds no table.
+ */
+export function tableOf(response) {
+  const records = findRows(response);
+  if (!records) return null;
+  const columns = [];
+  records.forEach(record => Object.keys(record).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return {
+    columns,
+    rows: records.slice(0, TABLE_ROW_LIMIT).map(record => columns.map(column => record[column] ?? null)),
+    rowCount: records.length
+  };
+}
+
+/**
+ * Collects the steps of one agent turn from its ADK events. Steps are
+ *   { type: 'tool_call', id, name, args, author }
+ *   { type: 'tool_result', id, name, response, table, author }
+ *   { type: 'text', text, author }
+ * in the order the agent produced them. `add(event)` returns the steps the
+ * event added (partial events add none); `result()` returns { text, steps }
+ * where text is the closing answer and steps everything before it.
+ */
+export function createTranscript() {
+  const steps = [];
+  return {
+    add(event) {
+      const error = eventError(event);
+      if (error) throw new Error(`Agent error: ${error}`);
+      if (event.partial) return [];
+
+      const added = [];
+      const author = event.author || null;
+      let text = '';
+      // Neighbouring text parts make one step; parts keep their order
+      const flushText = () => {
+        if (text) added.push({ type: 'text', text, author });
+        text = '';
+      };
+      for (const part of event.content?.parts || []) {
+        if (part.functionCall) {
+          flushText();
+          const { id = null, name, args = {} } = part.functionCall;
+          added.push({ type: 'tool_call', id, name, args, author });
+        } else if (part.functionResponse) {
+          flushText();
+          const { id = null, name, response = null } = part.functionResponse;
+          added.push({ type: 'tool_result', id, name, response, table: tableOf(response), author });
+        } else if (typeof part.text === 'string' && !part.thought) {
+          text += part.text;
+        }
+      }
+      flushText();
+
+      steps.push(...added);
+      return added;
+    },
+
+    result() {
+      const last = steps[steps.length - 1];
+      if (last?.type === 'text') {
+        return { text: last.text, steps: steps.slice(0, -1) };
+      }
+      return { text: steps.length ? '' : 'Agent returned an unexpected response format.', steps: [...steps] };
+    }
+  };
+}
+
+/**
+ * Streams an answer from the agent's /run_sse endpoint. `onEvent(type, data)`
+ * receives the event-stream.js events as they arrive: `token` for partial
+ * text, `tool_call` and `tool_result` for the MCP tools the agent uses.
+ * Resolves with { text, steps } like callAdkAgent; `signal` aborts the request.
+ */
+export async function streamAdkAgent(prompt, session, { onEvent = () => {}, signal } = {}) {
+  const authHeader = await getAuthHeader();
+
+  const response = await fetch(`${adkAgentUrl}/run_sse`, {
+    method: 'POST',
+    headers: {
+      'Authorization': authHeader,
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream'
+    },
+    body: JSON.stringify({ ...runPayload(session, prompt), streaming: true }),
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`ADK /run_sse failed: ${response.status} ${await response.text()}`);
+  }
+
+  const transcript = createTranscript();
+  let streamedPartial = false;
+  for await (const { data } of readEventStream(response.body)) {
+    const event = JSON.parse(data);
+
+    if (event.partial) {
+      const text = eventText(event);
+      if (text) {
+        streamedPartial = true;
+        onEvent('token', { text });
+      }
+    }
+
+    for (const { type, ...step } of transcript.add(event)) {
+      if (type !== 'text') {
+        onEvent(type, step);
+      } else if (!streamedPartial) {
+        // The closing event repeats the streamed text in full
+        onEvent('token', { text: step.text });
+      }
+    }
+    if (!event.partial) streamedPartial = false;
+  }
+
+  return transcript.result();
+}
@@ -0,0 +1,574 @@
+// alert-rules.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { Firestore } from '@google-cloud/firestore';
+import { sendToTarget, validateTarget } from './alert-targets.js';
+
+// Events the routes feed into the engine, with a one-line description for default messages
+export const RULE_EVENTS = {
+  machine_anomaly: (e) => `Machine ${e.machine_id} anomaly at ${e.anomaly_ts}`,
+  clinker_verdict: (e) => `Clinker verdict ${e.label} (${(e.confidence * 100).toFixed(1)}%)`,
+  clinker_monitor_alarm: (e) => e.message,
+  packaging_result: (e) => `Packaging ${e.label} (${(e.confidence * 100).toFixed(1)}%)`,
+  strength_prediction: (e) => `Predicted strength ${e.prediction} MPa at ${e.age} days`
+};
+
+const OPERATORS = {
+  eq: (a, b) => String(a) === String(b),
+  ne: (a, b) => String(a) !== String(b),
+  lt: (a, b) => Number(a) < Number(b),
+  lte: (a, b) => Number(a) <= Number(b),
+  gt: (a, b) => Number(a) > Number(b),
+  gte: (a, b) => Number(a) >= Number(b),
+  in: (a, b) => Array.isArray(b) && b.map(String).includes(String(a)),
+  contains: (a, b) => String(a ?? '').toLowerCase().includes(String(b).toLowerCase())
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const MAX_HISTORY = 200;
+const DEDUPE_TTL_MS = 24 * 60 * 60 * 1000;
+
+function readPath(event, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), event);
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validates a rule definition:
+ *   { name, event, conditions: [{ field, op, value }], threshold, windowMinutes,
+ *     groupBy: [fields], severity, message, cooldownMinutes,
+ *     quietHours: { start: 'HH:MM', end: 'HH:MM', timezone, allowCritical },
+ *     targets: [{ type: 'webhook' | 'chat' | 'smtp', ... }], enabled }
+ * Returns { rule, errors } with errors in the structured 400 shape.
+ */
+export function parseAlertRule(body = {}) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message, value: body[field] });
+
+  if (!body.name || String(body.name).length > 100) fail('name', 'name is required (at most 100 characters)');
+  if (!RULE_EVENTS[body.event]) fail('event', `event must be one of ${Object.keys(RULE_EVENTS).join(', ')}`);
+
+  const conditions = body.conditions ?? [];
+  if (!Array.isArray(conditions)) {
+    fail('conditions', 'conditions must be a list of { field, op, value }');
+  } else {
+    conditions.forEach((c, i) => {
+      if (!c || typeof c.field !== 'string' || !OPERATORS[c.op]) {
+        errors.push({
+          field: `conditions[${i}]`,
+          message: `condition needs a field and an op (${Object.keys(OPERATORS).join(', ')})`,
+          value: c
+        });
+      }
+    });
+  }
+
+  const number = (field, fallback, min, max) => {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      fail(field, `${field} must be between ${min} and ${max}`);
+    }
+    return value;
+  };
+
+  const threshold = number('threshold', 1, 1, 1000);
+  const windowMinutes = number('windowMinutes', 10, 1, 1440);
+  const cooldownMinutes = number('cooldownMinutes', 15, 0, 10080);
+
+  const severity = body.severity ?? 'warning';
+  if (!SEVERITIES.includes(severity)) fail('severity', `severity must be one of ${SEVERITIES.join(', ')}`);
+
+  const groupBy = body.groupBy ?? [];
+  if (!Array.isArray(groupBy) || !groupBy.every(f => typeof f === 'string')) {
+    fail('groupBy', 'groupBy must be a list of event field names');
+  }
+
+  let quietHours = null;
+  if (body.quietHours) {
+    const { start, end, timezone = 'UTC', allowCritical = false } = body.quietHours;
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      fail('quietHours', 'quietHours.start and quietHours.end must be HH:MM');
+    }
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    } catch {
+      fail('quietHours', `quietHours.timezone "${timezone}" is not a valid time zone`);
+    }
+    quietHours = { start, end, timezone, allowCritical: Boolean(allowCritical) };
+  }
+
+  const targets = body.targets ?? [];
+  if (!Array.isArray(targets) || targets.length === 0) {
+    fail('targets', 'targets must list at least one webhook, chat or smtp target');
+  } else {
+    targets.forEach((target, i) => errors.push(...validateTarget(target, i)));
+  }
+
+  return {
+    rule: {
+      name: body.name && String(body.name),
+      enabled: body.enabled !== false,
+      event: body.event,
+      conditions,
+      threshold,
+      windowMinutes,
+      groupBy,
+      severity,
+      message: body.message ? String(body.message) : null,
+      cooldownMinutes,
+      quietHours,
+      targets
+    },
+    errors
+  };
+}
+
+// Minutes since local midnight in the rule's time zone
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+export function inQuietHours(quietHours, date = new Date()) {
+  if (!quietHours) return false;
+  const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+  const now = localMinutes(date, quietHours.timezone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  // Windows like 22:00-06:00 wrap past midnight
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+function renderMessage(template, values) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = readPath(values, key);
+    return value === undefined ? match : String(value);
+  });
+}
+
+// =============================
+// ⏱️ Rule State
+// =============================
+// What the engine remembers between events: the recent matches of every
+// rule and group (`window` entries) and the event ids each rule has counted
+// (`event` entries). Every state store implements:
+//   claimEvent(ruleId, eventId, now)   -> Promise<boolean>  false if already counted
+//   advance(ruleId, group, options)    -> Promise<{ count, reason } | null>
+//   reset(ruleId)                      -> Promise<void>
+// advance() counts one match; see advanceWindow for its options and outcome.
+
+/**
+ * Adds a match at `now` to a window state { times, lastFired }. Returns the
+ * next state and null while fewer than `threshold` matches fall inside
+ * `windowMs`; once they do the window is emptied and the outcome is
+ * { count, reason } with reason 'cooldown', 'quiet_hours' or null (fire).
+ */
+function advanceWindow(state, { now, windowMs, threshold, cooldownMs, quiet }) {
+  const times = state.times.filter(time => time >= now - windowMs);
+  times.push(now);
+  if (times.length < threshold) return { state: { ...state, times }, outcome: null };
+
+  const count = times.length;
+  if (now - (state.lastFired ?? -Infinity) < cooldownMs) {
+    return { state: { ...state, times: [] }, outcome: { count, reason: 'cooldown' } };
+  }
+  if (quiet) {
+    return { state: { ...state, times: [] }, outcome: { count, reason: 'quiet_hours' } };
+  }
+  return { state: { times: [], lastFired: now }, outcome: { count, reason: null } };
+}
+
+const emptyWindow = () => ({ times: [], lastFired: null });
+
+class MemoryRuleState {
+  constructor() {
+    this.windows = new Map();
+    this.seenEvents = new Map();
+  }
+
+  async claimEvent(ruleId, eventId, now) {
+    for (const [key, time] of this.seenEvents) {
+      if (now - time > DEDUPE_TTL_MS) this.seenEvents.delete(key);
+    }
+    const fingerprint = `${ruleId}|${eventId}`;
+    if (this.seenEvents.has(fingerprint)) return false;
+    this.seenEvents.set(fingerprint, now);
+    return true;
+  }
+
+  async advance(ruleId, group, options) {
+    const key = `${ruleId}|${group}`;
+    const { state, outcome } = advanceWindow(this.windows.get(key) || emptyWindow(), options);
+    this.windows.set(key, state);
+    return outcome;
+  }
+
+  async reset(ruleId) {
+    for (const map of [this.windows, this.seenEvents]) {
+      for (const key of map.keys()) {
+        if (key.startsWith(`${ruleId}|`)) map.delete(key);
+      }
+    }
+  }
+}
+
+// Document ids are hashes, since groups and event ids may hold any character
+const stateDocId = (kind, ...parts) => `${kind}_${crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 40)}`;
+
+// One document per rule window and per counted event, shared by every
+// instance and changed in transactions. Counted events carry `expiresAt` for
+// a Firestore TTL policy; older ones are ignored either way.
+class FirestoreRuleState {
+  constructor(db, collection) {
+    this.db = db;
+    this.collection = db.collection(collection);
+  }
+
+  async claimEvent(ruleId, eventId, now) {
+    const ref = this.collection.doc(stateDocId('event', ruleId, eventId));
+    return this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      if (snapshot.exists && now - snapshot.data().at <= DEDUPE_TTL_MS) return false;
+      transaction.set(ref, { ruleId, at: now, expiresAt: new Date(now + DEDUPE_TTL_MS) });
+      return true;
+    });
+  }
+
+  async advance(ruleId, group, options) {
+    const ref = this.collection.doc(stateDocId('window', ruleId, group));
+    return this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      const current = snapshot.exists ? snapshot.data() : emptyWindow();
+      const { state, outcome } = advanceWindow({ times: current.times, lastFired: current.lastFired }, options);
+      transaction.set(ref, { ruleId, ...state });
+      return outcome;
+    });
+  }
+
+  async reset(ruleId) {
+    const snapshot = await this.collection.where('ruleId', '==', ruleId).get();
+    const batch = this.db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+}
+
+// =============================
+// 💾 Rule Stores
+// =============================
+// Every store implements:
+//   load()          -> Promise<rules[]>
+//   update(change)  -> Promise<{ rules, result }>
+// where change(rules) returns { rules, result } from the stored rules; the
+// store saves the new rules (when they differ) before anything else changes
+// them. `state` is the rule state store that goes with it.
+
+class MemoryRuleStore {
+  constructor() {
+    this.type = 'memory';
+    this.rules = [];
+    this.state = new MemoryRuleState();
+  }
+
+  async load() {
+    return this.rules;
+  }
+
+  async update(change) {
+    const next = change(this.rules);
+    this.rules = next.rules;
+    return next;
+  }
+}
+
+class FileRuleStore {
+  constructor(filePath) {
+    this.type = 'file';
+    this.filePath = filePath;
+    this.state = new MemoryRuleState();
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  update(change) {
+    const result = this.writeQueue.then(async () => {
+      const rules = await this.load();
+      const next = change(rules);
+      if (next.rules !== rules) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(next.rules, null, 2));
+        await fs.rename(tmpPath, this.filePath);
+      }
+      return next;
+    });
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+}
+
+// All rules in one document, changed in a transaction, so every instance
+// loads the same list and two edits at once can't drop each other.
+class FirestoreRuleStore {
+  constructor({ projectId, collection, stateCollection }) {
+    this.type = 'firestore';
+    this.db = new Firestore({ projectId, keyFilename: './service-account-key.json' });
+    this.ref = this.db.collection(collection).doc('rules');
+    this.state = new FirestoreRuleState(this.db, stateCollection);
+  }
+
+  async load() {
+    const snapshot = await this.ref.get();
+    return snapshot.exists ? snapshot.data().rules : [];
+  }
+
+  async update(change) {
+    return this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(this.ref);
+      const rules = snapshot.exists ? snapshot.data().rules : [];
+      const next = change(rules);
+      if (next.rules !== rules) transaction.set(this.ref, { rules: next.rules });
+      return next;
+    });
+  }
+}
+
+// ALERT_RULE_STORE = firestore | file | memory; defaults to firestore with
+// NODE_ENV=production (every instance fires the same rules from the same
+// state), otherwise file
+export function createRuleStore() {
+  const type = process.env.ALERT_RULE_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'file');
+  switch (type) {
+    case 'firestore':
+      return new FirestoreRuleStore({
+        projectId: process.env.GCP_PROJECT_ID || 'genai-exchange-472212',
+        collection: process.env.ALERT_RULE_COLLECTION || 'alert_rules',
+        stateCollection: process.env.ALERT_RULE_STATE_COLLECTION || 'alert_rule_state'
+      });
+    case 'file':
+      return new FileRuleStore(process.env.ALERT_RULES_PATH || './data/alert-rules.json');
+    case 'memory':
+      return new MemoryRuleStore();
+    default:
+      throw new Error(`Unknown alert rule store: ${type}`);
+  }
+}
+
+// =============================
+// ⚙️ Rule Engine
+// =============================
+/**
+ * Matches incoming events against the rules. A rule fires once `threshold`
+ * matching events (per groupBy key) fall inside `windowMinutes`; it is then
+ * held back by its cooldown and by quiet hours, and events carrying an id
+ * are only ever counted once per rule. Windows, cooldowns and counted ids
+ * live in the store's rule state, so instances sharing a store share them.
+ */
+export class AlertRuleEngine {
+  constructor(store) {
+    this.store = store;
+    this.state = store.state;
+    this.rules = [];
+    this.history = [];
+  }
+
+  async mutate(change) {
+    const { rules, result } = await this.store.update(change);
+    this.rules = rules;
+    return result;
+  }
+
+  async load() {
+    this.rules = await this.store.load();
+  }
+
+  // Reloads the rules every `intervalSeconds`, so rules changed on another
+  // instance take effect here too; `onReload` runs after each reload.
+  startReloading(intervalSeconds, onReload = () => {}) {
+    if (!intervalSeconds) return;
+    const timer = setInterval(async () => {
+      try {
+        await this.load();
+        onReload();
+      } catch (err) {
+        console.error('Alert rule reload failed:', err.message);
+      }
+    }, intervalSeconds * 1000);
+    timer.unref();
+  }
+
+  list() {
+    return this.rules;
+  }
+
+  get(id) {
+    return this.rules.find(rule => rule.id === id) || null;
+  }
+
+  // True when at least one enabled rule listens to this event
+  listensTo(event) {
+    return this.rules.some(rule => rule.enabled && rule.event === event);
+  }
+
+  async create(definition) {
+    const now = new Date().toISOString();
+    const rule = { id: crypto.randomUUID(), ...definition, createdAt: now, updatedAt: now };
+    return this.mutate(rules => ({ rules: [...rules, rule], result: rule }));
+  }
+
+  async update(id, definition) {
+    const rule = await this.mutate(rules => {
+      const existing = rules.find(r => r.id === id);
+      if (!existing) return { rules, result: null };
+      const next = { ...definition, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+      return { rules: rules.map(r => (r.id === id ? next : r)), result: next };
+    });
+    if (rule) await this.state.reset(id);
+    return rule;
+  }
+
+  async remove(id) {
+    const existing = await this.mutate(rules => {
+      const found = rules.find(r => r.id === id);
+      return found ? { rules: rules.filter(r => r.id !== id), result: found } : { rules, result: null };
+    });
+    if (existing) await this.state.reset(id);
+    return existing;
+  }
+
+  matches(rule, event) {
+    return rule.conditions.every(c => OPERATORS[c.op](readPath(event, c.field), c.value));
+  }
+
+  recordHistory(entry) {
+    this.history.push({ id: crypto.randomUUID(), ...entry });
+    if (this.history.length > MAX_HISTORY) this.history.shift();
+  }
+
+  /**
+   * Feeds one event to every enabled rule listening to `kind`. Resolves to the
+   * history entries written for rules that fired or were suppressed.
+   */
+  async handleEvent(kind, event, now = Date.now()) {
+    const entries = [];
+
+    for (const rule of this.rules) {
+      if (!rule.enabled || rule.event !== kind || !this.matches(rule, event)) continue;
+      if (event.id !== undefined && !(await this.state.claimEvent(rule.id, String(event.id), now))) continue;
+
+      const group = rule.groupBy.map(field => readPath(event, field)).join('/');
+      const quiet = inQuietHours(rule.quietHours, new Date(now))
+        && !(rule.quietHours.allowCritical && rule.severity === 'critical');
+      const outcome = await this.state.advance(rule.id, group, {
+        now,
+        windowMs: rule.windowMinutes * 60 * 1000,
+        threshold: rule.threshold,
+        cooldownMs: rule.cooldownMinutes * 60 * 1000,
+        quiet
+      });
+      if (!outcome) continue;
+
+      const base = {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        group: group || null,
+        count: outcome.count,
+        firedAt: new Date(now).toISOString(),
+        event
+      };
+
+      if (outcome.reason) {
+        const entry = { ...base, status: 'suppressed', reason: outcome.reason };
+        this.recordHistory(entry);
+        entries.push(entry);
+        continue;
+      }
+
+      entries.push(await this.dispatch(rule, kind, event, base));
+    }
+
+    return entries;
+  }
+
+  buildNotification(rule, kind, event, { count, firedAt, group, test }) {
+    const values = { ...event, count, windowMinutes: rule.windowMinutes, rule: rule.name, group };
+    const message = test
+      ? `Test notification for rule "${rule.name}"`
+      : rule.message
+      ? renderMessage(rule.message, values)
+      : count > 1
+        ? `${count} ${kind} events in the last ${rule.windowMinutes} min. Latest: ${RULE_EVENTS[kind](event)}`
+        : RULE_EVENTS[kind](event);
+
+    return {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      severity: rule.severity,
+      title: group ? `${rule.name} (${group})` : rule.name,
+      message,
+      count,
+      windowMinutes: rule.windowMinutes,
+      firedAt,
+      event: { kind, ...event }
+    };
+  }
+
+  async dispatch(rule, kind, event, base) {
+    const notification = this.buildNotification(rule, kind, event, base);
+    const results = await Promise.all(rule.targets.map(async (target) => {
+      try {
+        await sendToTarget(target, notification);
+        return { type: target.type, ok: true };
+      } catch (err) {
+        console.error(`Alert rule "${rule.name}" ${target.type} target failed:`, err.message);
+        return { type: target.type, ok: false, error: err.message };
+      }
+    }));
+
+    const delivered = results.filter(r => r.ok).length;
+    const entry = {
+      ...base,
+      status: delivered === results.length ? 'sent' : delivered > 0 ? 'partial' : 'failed',
+      notification,
+      results
+    };
+    this.recordHistory(entry);
+    return entry;
+  }
+
+  // Sends a sample notification to every target of a rule, ignoring cooldown and quiet hours
+  async test(id) {
+    const rule = this.get(id);
+    if (!rule) return null;
+    return this.dispatch(rule, rule.event, { test: true }, {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      group: null,
+      count: 1,
+      firedAt: new Date().toISOString(),
+      test: true
+    });
+  }
+
+  recentHistory({ ruleId, limit = 50 } = {}) {
+    return this.history
+      .filter(entry => !ruleId || entry.ruleId === ruleId)
+      .slice(-limit)
+      .reverse();
+  }
+}
@@ -0,0 +1,97 @@
+// alert-sink.js
+// Local webhook + SMTP sink for trying alert rules without real endpoints.
+// Every request and email is printed and kept in memory; GET / on the HTTP
+// port lists what was received.
+//
+//   npm run alert-sink
+//   webhook / chat target:  http://localhost:8025/<anything>
+//   smtp target:            SMTP_HOST=localhost SMTP_PORT=2525
+import http from 'http';
+import net from 'net';
+
+const HTTP_PORT = Number(process.env.ALERT_SINK_HTTP_PORT) || 8025;
+const SMTP_PORT = Number(process.env.ALERT_SINK_SMTP_PORT) || 2525;
+const received = [];
+
+function keep(entry) {
+  received.push({ receivedAt: new Date().toISOString(), ...entry });
+  if (received.length > 200) received.shift();
+  console.log(`\n📥 ${entry.kind} ${entry.path || entry.to?.join(', ') || ''}`);
+  console.log(entry.body);
+}
+
+// =============================
+// 🌐 Webhook Sink
+// =============================
+http.createServer((req, res) => {
+  if (req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify(received, null, 2));
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let parsed = body;
+    try { parsed = JSON.parse(body); } catch { /* keep raw text */ }
+    keep({ kind: 'webhook', path: req.url, body: parsed });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+}).listen(HTTP_PORT, () => console.log(`✅ Webhook sink on http://localhost:${HTTP_PORT}`));
+
+// =============================
+// ✉️ SMTP Sink
+// =============================
+// Accepts any sender, recipient and credentials.
+net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let mail = { from: null, to: [], data: '' };
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply('220 alert-sink ESMTP');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf-8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          keep({ kind: 'email', from: mail.from, to: mail.to, body: mail.data });
+          mail = { from: null, to: [], data: '' };
+          reply('250 OK: queued');
+        } else {
+          mail.data += (line.startsWith('..') ? line.slice(1) : line) + '\n';
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250-alert-sink');
+        reply('250 AUTH PLAIN LOGIN');
+      } else if (command === 'AUTH') {
+        reply('235 Authentication successful');
+      } else if (command === 'MAIL') {
+        mail.from = line.slice(10).replace(/[<>]/g, '');
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        mail.to.push(line.slice(8).replace(/[<>]/g, ''));
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('250 OK');
+      }
+    }
+  });
+  socket.on('error', () => {});
+}).listen(SMTP_PORT, () => console.log(`✅ SMTP sink on localhost:${SMTP_PORT}`));
@@ -0,0 +1,327 @@
+// alert-stream.js
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { Firestore } from '@google-cloud/firestore';
+
+// =============================
+// 📡 Alert Hub
+// =============================
+// Alerts go through a channel every instance reads, so a dashboard connected
+// to one instance sees the alerts raised on all of them. Every alert gets an
+// id "<epoch>-<seq>": seq counts up without gaps within the channel and the
+// epoch changes only when the channel starts over (a restart of the memory
+// channel), so a reconnecting client can resume from its Last-Event-ID. The
+// last MAX_BUFFERED alerts can be replayed; an id from another epoch replays
+// all of them.
+const MAX_BUFFERED = 500;
+const HEARTBEAT_MS = 25000;
+// Alerts (and the keys of published rows) stay in Firestore this long
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+const seqOf = (event) => Number(String(event.id).split('-')[1]);
+
+// Every channel implements:
+//   publish(alert, key)     -> Promise<event | null>  null when `key` was published before
+//   since(lastSeq, limit)   -> Promise<{ alerts, latest }>  the newest `limit` alerts after lastSeq,
+//                              oldest first, and the latest seq
+//   recent(limit)           -> Promise<[event]> newest first
+//   epoch()                 -> Promise<string | null>
+//   listen(onEvent)         -> Promise<stop function>  every alert published from now on, in order
+
+class MemoryAlertChannel {
+  constructor() {
+    this.type = 'memory';
+    this.epochId = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.buffer = [];
+    this.keys = new Set();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  async epoch() {
+    return this.epochId;
+  }
+
+  async publish(alert, key) {
+    if (key) {
+      if (this.keys.has(key)) return null;
+      this.keys.add(key);
+      if (this.keys.size > 2 * MAX_BUFFERED) this.keys.delete(this.keys.values().next().value);
+    }
+    const event = { id: `${this.epochId}-${++this.sequence}`, ...alert };
+    this.buffer.push(event);
+    if (this.buffer.length > MAX_BUFFERED) this.buffer.shift();
+    this.events.emit('alert', event);
+    return event;
+  }
+
+  async since(lastSeq, limit) {
+    return { alerts: this.buffer.filter(e => seqOf(e) > lastSeq).slice(-limit), latest: this.sequence };
+  }
+
+  async recent(limit) {
+    return this.buffer.slice(-limit).reverse();
+  }
+
+  async listen(onEvent) {
+    this.events.on('alert', onEvent);
+    return () => this.events.off('alert', onEvent);
+  }
+}
+
+// One document per alert, ids numbered by a counter document that each
+// publish updates in its transaction, so an alert is never visible before
+// the ones numbered below it. Give both collections a TTL policy on `expiresAt`.
+class FirestoreAlertChannel {
+  constructor({ projectId, collection }) {
+    this.type = 'firestore';
+    // Alert data is free-form and may hold undefined fields
+    this.db = new Firestore({ projectId, keyFilename: './service-account-key.json', ignoreUndefinedProperties: true });
+    this.alerts = this.db.collection(collection);
+    this.state = this.db.collection(`${collection}_state`);
+    this.counter = this.state.doc('counter');
+  }
+
+  static fromDoc(doc) {
+    const { seq, expiresAt, ...event } = doc.data();
+    return event;
+  }
+
+  async epoch() {
+    const counter = await this.counter.get();
+    return counter.exists ? counter.get('epoch') : null;
+  }
+
+  async publish(alert, key) {
+    const keyRef = key
+      ? this.state.doc(`key_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 40)}`)
+      : null;
+    return this.db.runTransaction(async (tx) => {
+      const [counter, seen] = await Promise.all([tx.get(this.counter), keyRef ? tx.get(keyRef) : null]);
+      if (seen?.exists) return null;
+
+      const epoch = counter.exists ? counter.get('epoch') : crypto.randomBytes(4).toString('hex');
+      const seq = (counter.exists ? counter.get('seq') : 0) + 1;
+      const event = { id: `${epoch}-${seq}`, ...alert };
+      const expiresAt = new Date(Date.now() + RETENTION_MS);
+      tx.set(this.counter, { epoch, seq });
+      tx.set(this.alerts.doc(String(seq).padStart(12, '0')), { ...event, seq, expiresAt });
+      if (keyRef) tx.set(keyRef, { key, expiresAt });
+      return event;
+    });
+  }
+
+  async since(lastSeq, limit) {
+    const [snapshot, counter] = await Promise.all([
+      this.alerts.where('seq', '>', lastSeq).orderBy('seq', 'desc').limit(limit).get(),
+      this.counter.get()
+    ]);
+    return {
+      alerts: snapshot.docs.map(FirestoreAlertChannel.fromDoc).reverse(),
+      latest: counter.exists ? counter.get('seq') : 0
+    };
+  }
+
+  async recent(limit) {
+    const snapshot = await this.alerts.orderBy('seq', 'desc').limit(limit).get();
+    return snapshot.docs.map(FirestoreAlertChannel.fromDoc);
+  }
+
+  async listen(onEvent) {
+    const counter = await this.counter.get();
+    let last = counter.exists ? counter.get('seq') : 0;
+    let stop = () => {};
+    const start = () => {
+      stop = this.alerts.where('seq', '>', last).orderBy('seq').onSnapshot((snapshot) => {
+        snapshot.docChanges().forEach((change) => {
+          const seq = change.doc.get('seq');
+          if (change.type !== 'added' || seq <= last) return;
+          last = seq;
+          onEvent(FirestoreAlertChannel.fromDoc(change.doc));
+        });
+        // The listener keeps every alert it has matched; start over from the latest
+        if (snapshot.size >= MAX_BUFFERED) {
+          stop();
+          start();
+        }
+      }, err => console.error('Alert channel listener failed:', err.message));
+    };
+    start();
+    return () => stop();
+  }
+}
+
+let channel = null;
+
+// ALERT_CHANNEL = firestore | memory; defaults to firestore with
+// NODE_ENV=production (alerts reach the dashboards on every instance),
+// otherwise memory
+export function getAlertChannel() {
+  if (channel) return channel;
+
+  const type = process.env.ALERT_CHANNEL || (process.env.NODE_ENV === 'production' ? 'firestore' : 'memory');
+  switch (type) {
+    case 'firestore':
+      channel = new FirestoreAlertChannel({
+        projectId: process.env.GCP_PROJECT_ID || 'genai-exchange-472212',
+        collection: process.env.ALERT_COLLECTION || 'alerts'
+      });
+      break;
+    case 'memory':
+      channel = new MemoryAlertChannel();
+      break;
+    default:
+      throw new Error(`Unknown alert channel: ${type}`);
+  }
+  return channel;
+}
+
+/**
+ * Publishes an alert to every connected stream on every instance. Rows that
+ * several instances may publish pass a `key`; only the first publish of a
+ * key goes out. Resolves with the event, or null when nothing was published.
+ * alert: { type, severity, source, title, message, data }
+ */
+export function publishAlert(alert, { key } = {}) {
+  const event = { timestamp: new Date().toISOString(), severity: 'warning', ...alert };
+  return getAlertChannel().publish(event, key).catch((err) => {
+    console.error('Publishing alert failed:', err.message);
+    return null;
+  });
+}
+
+/**
+ * Alerts published after `lastEventId`. `gap` is true when some of them
+ * have already left the buffer (or the id belongs to an earlier epoch).
+ */
+export async function alertsSince(lastEventId) {
+  if (!lastEventId) return { alerts: [], gap: false };
+
+  const alertChannel = getAlertChannel();
+  const [epoch, seq] = String(lastEventId).split('-');
+  if (epoch !== await alertChannel.epoch()) {
+    const { alerts } = await alertChannel.since(0, MAX_BUFFERED);
+    return { alerts, gap: true };
+  }
+
+  const lastSeq = Number(seq) || 0;
+  const { alerts, latest } = await alertChannel.since(lastSeq, MAX_BUFFERED);
+  const oldest = alerts.length ? seqOf(alerts[0]) : latest + 1;
+  return { alerts, gap: lastSeq + 1 < oldest && lastSeq < latest };
+}
+
+export function recentAlerts(limit = 50) {
+  return getAlertChannel().recent(limit);
+}
+
+// The channel is only read while something here listens
+let listening = null;
+
+export function subscribeAlerts(listener) {
+  hub.on('alert', listener);
+  if (hub.listenerCount('alert') === 1) {
+    listening = getAlertChannel().listen(event => hub.emit('alert', event)).catch((err) => {
+      console.error('Listening to the alert channel failed:', err.message);
+      return () => {};
+    });
+    hub.emit('active');
+  }
+  return () => {
+    hub.off('alert', listener);
+    if (hub.listenerCount('alert') === 0) {
+      listening.then(stop => stop());
+      hub.emit('idle');
+    }
+  };
+}
+
+/**
+ * Express handler for the Server-Sent Events stream. Resumes from the
+ * Last-Event-ID header (sent automatically by EventSource on reconnect)
+ * or ?lastEventId= for the first connection.
+ */
+export async function streamAlerts(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Live alerts that arrive while the missed ones are read wait for them,
+  // and nothing is sent twice
+  let lastSent = null;
+  let pending = [];
+  const send = (event) => {
+    if (lastSent && event.id.split('-')[0] === lastSent.split('-')[0] && seqOf(event) <= seqOf({ id: lastSent })) return;
+    lastSent = event.id;
+    res.write(`id: ${event.id}\nevent: alert\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+  const unsubscribe = subscribeAlerts(event => (pending ? pending.push(event) : send(event)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  const writeGap = () => res.write(`event: gap\ndata: ${JSON.stringify({ message: 'Some alerts were missed while disconnected' })}\n\n`);
+  try {
+    const { alerts, gap } = await alertsSince(req.get('last-event-id') || req.query.lastEventId);
+    if (gap) writeGap();
+    alerts.forEach(send);
+  } catch (err) {
+    console.error('Reading missed alerts failed:', err.message);
+    writeGap();
+  }
+  const live = pending;
+  pending = null;
+  live.forEach(send);
+}
+
+// =============================
+// 🔔 Notification Source Poller
+// =============================
+/**
+ * Polls a notification source while at least one stream is connected and
+ * publishes rows newer than the last one seen. `fetchSince(since)` returns
+ * rows ordered by time, `toAlert(row)` maps a row to an alert,
+ * `timestampOf(row)` gives its ISO time and `keyOf(row)` its id, so a row
+ * polled by several instances is published once. The first poll only records
+ * the latest timestamp so existing history is not replayed as new alerts.
+ */
+export function startNotificationPoller({ fetchSince, toAlert, timestampOf, keyOf, intervalSeconds }) {
+  if (!intervalSeconds) return;
+
+  let since = null;
+  let timer = null;
+
+  const poll = async () => {
+    try {
+      const rows = await fetchSince(since);
+      if (since !== null) {
+        for (const row of rows) await publishAlert(toAlert(row), { key: keyOf(row) });
+      }
+      if (rows.length > 0) since = timestampOf(rows[rows.length - 1]);
+      else if (since === null) since = new Date(0).toISOString();
+    } catch (err) {
+      console.error('Notification poll failed:', err.message);
+    }
+  };
+
+  hub.on('active', () => {
+    if (timer) return;
+    poll();
+    timer = setInterval(poll, intervalSeconds * 1000);
+  });
+  hub.on('idle', () => {
+    clearInterval(timer);
+    timer = null;
+  });
+}
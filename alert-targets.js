@@ -0,0 +1,291 @@
+// alert-targets.js
+import fetch from 'node-fetch';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+export const TARGET_TYPES = ['webhook', 'chat', 'smtp'];
+
+const TIMEOUT_MS = 10000;
+
+// =============================
+// 🛡️ Target Hosts
+// =============================
+// Rules make the server POST to the URLs they name, so webhook and chat
+// targets may not reach the server's own network: loopback, private,
+// link-local (the metadata server) and other special addresses are refused,
+// both as written and as the host name resolves when the request is sent.
+// ALERT_TARGET_ALLOWED_HOSTS (comma-separated, "*.example.com" for
+// subdomains) restricts targets to those hosts instead, and listed hosts may
+// be private, e.g. localhost for the local alert sink.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+export function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function allowedHosts() {
+  return (process.env.ALERT_TARGET_ALLOWED_HOSTS || '')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+function isListedHost(hostname, hosts) {
+  return hosts.some(host => (host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host));
+}
+
+const bareHost = hostname => hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+/**
+ * Why a webhook or chat URL may not be used as a target, or null when it
+ * may. Host names are checked again as they resolve when the request is sent.
+ */
+export function targetUrlProblem(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return 'url must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'url must be an http(s) URL';
+
+  const hostname = bareHost(url.hostname);
+  const hosts = allowedHosts();
+  if (hosts.length > 0) {
+    return isListedHost(hostname, hosts) ? null : `url host must be one of ALERT_TARGET_ALLOWED_HOSTS (${hosts.join(', ')})`;
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal') || isBlockedAddress(hostname)) {
+    return 'url must not point at a local, private or link-local address';
+  }
+  return null;
+}
+
+// dns.lookup that refuses blocked addresses, so a public name that resolves
+// to a private address is caught on the connection that is actually made
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const listed = isListedHost(bareHost(hostname), allowedHosts());
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked && !listed) {
+      return callback(new Error(`${hostname} resolves to ${blocked.address}, a local, private or link-local address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// =============================
+// 🌐 Webhook / Chat Targets
+// =============================
+async function postJson(url, body, headers = {}) {
+  const problem = targetUrlProblem(url);
+  if (problem) throw new Error(`Refusing ${url}: ${problem}`);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    // Redirects are refused: they could lead anywhere, including addresses an IP literal reaches without a lookup
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      agent: parsed => (parsed.protocol === 'https:' ? httpsAgent : httpAgent),
+      redirect: 'error',
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`${url} responded ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+    return { status: response.status };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Slack-style incoming-webhook payload; Google Chat accepts the same { text }
+function chatText(notification) {
+  const icon = { critical: '🚨', warning: '⚠️', info: 'ℹ️' }[notification.severity] || '🔔';
+  return `${icon} *${notification.title}*\n${notification.message}`;
+}
+
+// =============================
+// ✉️ SMTP Target
+// =============================
+// Minimal SMTP client (EHLO, optional AUTH PLAIN, implicit TLS with
+// SMTP_SECURE=true) - enough for a relay or a local sink such as MailHog.
+function getSmtpConfig() {
+  return {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 25,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || 'cement-alerts@localhost'
+  };
+}
+
+function smtpSession(socket) {
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+
+  // A reply is complete once a line has a space after the code ("250 OK", not "250-...").
+  // Only lines that end in CRLF count: a reply can arrive split across chunks.
+  const deliver = () => {
+    if (!waiting) return;
+    if (failure) {
+      waiting.reject(failure);
+      waiting = null;
+      return;
+    }
+    const lines = buffer.split('\r\n');
+    const lastIndex = lines.slice(0, -1).findIndex(line => /^\d{3}( |$)/.test(line));
+    if (lastIndex === -1) return;
+    const reply = lines.slice(0, lastIndex + 1).join('\n');
+    buffer = lines.slice(lastIndex + 1).join('\r\n');
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({ code: Number(reply.slice(0, 3)), text: reply });
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf-8');
+    deliver();
+  });
+  socket.on('error', (err) => {
+    failure = err;
+    deliver();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('SMTP connection closed');
+    deliver();
+  });
+
+  const read = () => new Promise((resolve, reject) => {
+    waiting = { resolve, reject };
+    deliver();
+  });
+
+  return {
+    async command(line, expected) {
+      if (line !== null) socket.write(line + '\r\n');
+      const reply = await read();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.text}`);
+      }
+      return reply;
+    }
+  };
+}
+
+// Non-ASCII subjects (titles carry emoji) are RFC 2047 encoded; line breaks are dropped
+function encodeHeader(value) {
+  const line = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(line) ? line : `=?UTF-8?B?${Buffer.from(line).toString('base64')}?=`;
+}
+
+function formatEmail({ from, to, subject, text }) {
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body
+  ].join('\r\n');
+}
+
+export async function sendEmail({ to, subject, text }) {
+  const config = getSmtpConfig();
+  const socket = config.secure
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+    : net.connect({ host: config.host, port: config.port });
+  socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+
+  try {
+    const smtp = smtpSession(socket);
+    await smtp.command(null, [220]);
+    await smtp.command(`EHLO ${os.hostname()}`, [250]);
+    if (config.user) {
+      const token = Buffer.from(`\0${config.user}\0${config.pass || ''}`).toString('base64');
+      await smtp.command(`AUTH PLAIN ${token}`, [235]);
+    }
+    await smtp.command(`MAIL FROM:<${config.from}>`, [250]);
+    for (const recipient of to) {
+      await smtp.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await smtp.command('DATA', [354]);
+    await smtp.command(`${formatEmail({ from: config.from, to, subject, text })}\r\n.`, [250]);
+    await smtp.command('QUIT', [221]).catch(() => {});
+    return { accepted: to };
+  } finally {
+    socket.destroy();
+  }
+}
+
+// =============================
+// 📤 Dispatch
+// =============================
+/**
+ * Delivers one rule notification to a target:
+ *   { type: 'webhook', url, headers }   - the notification as JSON
+ *   { type: 'chat', url }               - Slack-format { text } message
+ *   { type: 'smtp', to: [addresses] }   - plain-text email via SMTP_* settings
+ */
+export async function sendToTarget(target, notification) {
+  switch (target.type) {
+    case 'webhook':
+      return postJson(target.url, notification, target.headers);
+    case 'chat':
+      return postJson(target.url, { text: chatText(notification) });
+    case 'smtp':
+      return sendEmail({
+        to: target.to,
+        subject: `[${notification.severity.toUpperCase()}] ${notification.title}`,
+        text: `${notification.message}\n\nRule: ${notification.ruleName}\nFired at: ${notification.firedAt}\n\n${JSON.stringify(notification.event, null, 2)}`
+      });
+    default:
+      throw new Error(`Unknown alert target type: ${target.type}`);
+  }
+}
+
+// Returns a list of { field, message } for one target definition
+export function validateTarget(target, index) {
+  const errors = [];
+  const field = `targets[${index}]`;
+  if (!target || !TARGET_TYPES.includes(target.type)) {
+    errors.push({ field: `${field}.type`, message: `type must be one of ${TARGET_TYPES.join(', ')}` });
+    return errors;
+  }
+  if (target.type === 'smtp') {
+    const to = Array.isArray(target.to) ? target.to : [];
+    if (to.length === 0 || !to.every(address => /^[^\s@<>]+@[^\s@<>]+$/.test(address))) {
+      errors.push({ field: `${field}.to`, message: 'to must be a non-empty list of email addresses' });
+    }
+  } else {
+    const problem = targetUrlProblem(target.url);
+    if (problem) errors.push({ field: `${field}.url`, message: problem });
+  }
+  return errors;
+}
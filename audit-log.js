@@ -0,0 +1,313 @@
+// audit-log.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { BigQuery } from '@google-cloud/bigquery';
+import { getModelProvider } from './model-providers.js';
+import { trustedUserId } from './identity.js';
+
+// =============================
+// 🗄️ Audit Stores
+// =============================
+// Every store implements:
+//   record(entry)                      -> Promise<void>
+//   query(filters, { limit, offset })  -> Promise<{ total, entries }>  (newest first)
+//   get(id)                            -> Promise<entry | null>
+
+function matchesFilters(entry, filters) {
+  if (filters.route && entry.route !== filters.route) return false;
+  if (filters.model && entry.model !== filters.model) return false;
+  if (filters.caller && entry.caller?.user !== filters.caller && entry.caller?.ip !== filters.caller) return false;
+  if (filters.status && String(entry.status) !== String(filters.status)) return false;
+  if (filters.from && entry.timestamp < filters.from) return false;
+  if (filters.to && entry.timestamp > filters.to) return false;
+  return true;
+}
+
+class MemoryAuditStore {
+  constructor() {
+    this.type = 'memory';
+    this.entries = [];
+  }
+
+  async record(entry) {
+    this.entries.push(entry);
+  }
+
+  async query(filters, { limit, offset }) {
+    const matches = this.entries.filter(e => matchesFilters(e, filters)).reverse();
+    return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+  }
+
+  async get(id) {
+    return this.entries.find(e => e.id === id) || null;
+  }
+}
+
+// Append-only JSON Lines file; fine for a dev machine or a single instance.
+class FileAuditStore {
+  constructor(filePath) {
+    this.type = 'file';
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async record(entry) {
+    const result = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+    });
+    // One failed append must not fail every later record and read
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async readAll() {
+    await this.writeQueue;
+    try {
+      const text = await fs.readFile(this.filePath, 'utf-8');
+      return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async query(filters, { limit, offset }) {
+    const matches = (await this.readAll()).filter(e => matchesFilters(e, filters)).reverse();
+    return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+  }
+
+  async get(id) {
+    return (await this.readAll()).find(e => e.id === id) || null;
+  }
+}
+
+// Schema of the BigQuery audit table (cement_ds.prediction_audit by default);
+// provider, inputs, output and caller hold JSON strings.
+export const AUDIT_BQ_SCHEMA = [
+  { name: 'id', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'timestamp', type: 'TIMESTAMP', mode: 'REQUIRED' },
+  { name: 'route', type: 'STRING' },
+  { name: 'model', type: 'STRING' },
+  { name: 'provider', type: 'STRING' },
+  { name: 'inputs', type: 'STRING' },
+  { name: 'output', type: 'STRING' },
+  { name: 'status', type: 'INTEGER' },
+  { name: 'latencyMs', type: 'INTEGER' },
+  { name: 'caller', type: 'STRING' }
+];
+
+// Streams entries into a BigQuery table next to the plant data. The table
+// (partitioned by day on timestamp) is created with AUDIT_BQ_SCHEMA on the
+// first write if it doesn't exist yet.
+class BigQueryAuditStore {
+  constructor({ projectId, dataset, table }) {
+    this.type = 'bigquery';
+    this.bigquery = new BigQuery({ projectId, keyFilename: './service-account-key.json' });
+    this.tableRef = `\`${projectId}.${dataset}.${table}\``;
+    this.table = this.bigquery.dataset(dataset).table(table);
+    this.ready = null;
+  }
+
+  ensureTable() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        const [exists] = await this.table.exists();
+        if (exists) return;
+        await this.table.create({ schema: AUDIT_BQ_SCHEMA, timePartitioning: { type: 'DAY', field: 'timestamp' } })
+          .catch((err) => {
+            // Another instance created it first
+            if (err.code !== 409) throw err;
+          });
+      })();
+      // Try again on the next write if the check or create failed
+      this.ready.catch(() => { this.ready = null; });
+    }
+    return this.ready;
+  }
+
+  async record(entry) {
+    await this.ensureTable();
+    await this.table.insert([{
+      ...entry,
+      inputs: JSON.stringify(entry.inputs),
+      output: JSON.stringify(entry.output),
+      caller: JSON.stringify(entry.caller),
+      provider: JSON.stringify(entry.provider)
+    }]);
+  }
+
+  fromRow(row) {
+    const parse = (value) => {
+      try { return JSON.parse(value); } catch { return value; }
+    };
+    return {
+      ...row,
+      timestamp: row.timestamp?.value || row.timestamp,
+      inputs: parse(row.inputs),
+      output: parse(row.output),
+      caller: parse(row.caller),
+      provider: parse(row.provider)
+    };
+  }
+
+  buildWhere(filters) {
+    const clauses = [];
+    const params = {};
+    if (filters.route) { clauses.push('route = @route'); params.route = filters.route; }
+    if (filters.model) { clauses.push('model = @model'); params.model = filters.model; }
+    if (filters.status) { clauses.push('status = @status'); params.status = Number(filters.status); }
+    if (filters.from) { clauses.push('timestamp >= @from'); params.from = filters.from; }
+    if (filters.to) { clauses.push('timestamp <= @to'); params.to = filters.to; }
+    if (filters.caller) {
+      clauses.push("(JSON_VALUE(caller, '$.user') = @caller OR JSON_VALUE(caller, '$.ip') = @caller)");
+      params.caller = filters.caller;
+    }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  async query(filters, { limit, offset }) {
+    const { where, params } = this.buildWhere(filters);
+    const [[{ total }]] = await this.bigquery.query({
+      query: `SELECT COUNT(*) AS total FROM ${this.tableRef} ${where}`,
+      params
+    });
+    const [rows] = await this.bigquery.query({
+      query: `SELECT * FROM ${this.tableRef} ${where} ORDER BY timestamp DESC LIMIT @limit OFFSET @offset`,
+      params: { ...params, limit, offset }
+    });
+    return { total: Number(total), entries: rows.map(row => this.fromRow(row)) };
+  }
+
+  async get(id) {
+    const [rows] = await this.bigquery.query({
+      query: `SELECT * FROM ${this.tableRef} WHERE id = @id LIMIT 1`,
+      params: { id }
+    });
+    return rows.length ? this.fromRow(rows[0]) : null;
+  }
+}
+
+let auditStore = null;
+
+// AUDIT_STORE = file | memory | bigquery | none; defaults to bigquery with
+// NODE_ENV=production (App Engine can't write ./data), otherwise file
+export function getAuditStore() {
+  if (auditStore !== null) return auditStore;
+
+  const type = process.env.AUDIT_STORE || (process.env.NODE_ENV === 'production' ? 'bigquery' : 'file');
+  switch (type) {
+    case 'file':
+      auditStore = new FileAuditStore(process.env.AUDIT_LOG_PATH || './data/audit-log.jsonl');
+      break;
+    case 'memory':
+      auditStore = new MemoryAuditStore();
+      break;
+    case 'bigquery':
+      auditStore = new BigQueryAuditStore({
+        projectId: process.env.GCP_PROJECT_ID || 'genai-exchange-472212',
+        dataset: process.env.AUDIT_BQ_DATASET || 'cement_ds',
+        table: process.env.AUDIT_BQ_TABLE || 'prediction_audit'
+      });
+      break;
+    case 'none':
+      auditStore = false;
+      break;
+    default:
+      throw new Error(`Unknown audit store: ${type}`);
+  }
+  return auditStore;
+}
+
+// =============================
+// 📝 Recording Middleware
+// =============================
+const MAX_TEXT_OUTPUT_BYTES = 256 * 1024;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Images are replaced by their hash so the log stays small but still identifies the frame
+function sanitizeInputs(req) {
+  const inputs = Array.isArray(req.body) ? [...req.body] : { ...req.body };
+  if (typeof inputs.image === 'string') {
+    inputs.image = { sha256: sha256(inputs.image), bytes: Buffer.byteLength(inputs.image, 'base64') };
+  }
+  if (req.file) {
+    inputs.file = { name: req.file.originalname, sha256: sha256(req.file.buffer), size: req.file.size };
+  }
+  return inputs;
+}
+
+// The user is only recorded when it comes from the identity proxy (see identity.js)
+function describeCaller(req) {
+  return {
+    user: trustedUserId(req),
+    ip: req.get('x-forwarded-for')?.split(',')[0].trim() || req.ip,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+/**
+ * Express middleware that persists one audit entry per request: inputs,
+ * the JSON (or CSV) response, status, latency, caller and the model binding.
+ * Recording failures are logged and never affect the response.
+ */
+export function auditPrediction(modelName) {
+  return (req, res, next) => {
+    const store = getAuditStore();
+    if (!store) return next();
+
+    const started = Date.now();
+    let output = null;
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      output = body;
+      return originalJson(body);
+    };
+
+    const originalSend = res.send.bind(res);
+    res.send = (body) => {
+      if (output === null && typeof body === 'string') {
+        // CSV downloads are kept verbatim unless they are very large
+        const bytes = Buffer.byteLength(body);
+        output = { format: res.get('Content-Type') || 'text', sha256: sha256(body), bytes };
+        if (bytes <= MAX_TEXT_OUTPUT_BYTES) output.body = body;
+      }
+      return originalSend(body);
+    };
+
+    res.on('finish', () => {
+      let provider = null;
+      try {
+        provider = getModelProvider(modelName).describe();
+      } catch (err) {
+        provider = { error: err.message };
+      }
+
+      const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date(started).toISOString(),
+        route: req.path,
+        model: modelName,
+        provider,
+        inputs: sanitizeInputs(req),
+        output,
+        status: res.statusCode,
+        latencyMs: Date.now() - started,
+        caller: describeCaller(req)
+      };
+
+      store.record(entry).catch(err => console.error('Audit log write failed:', err));
+    });
+
+    next();
+  };
+}
+
+export const AUDIT_CSV_COLUMNS = [
+  'id', 'timestamp', 'route', 'model', 'provider', 'status', 'latencyMs', 'caller', 'inputs', 'output'
+];
@@ -0,0 +1,15 @@
+import LocalVectorStore from './local-vector-store.js';
+import { createChatbotRouter, VectorChatStore } from './chatbot-core.js';
+
+// Offline chatbot: documents are chunked, embedded locally and kept in a
+// file-backed vector index (CHATBOT_VECTOR_PATH)
+const storage = new VectorChatStore(new LocalVectorStore(), { type: 'local' });
+
+const router = createChatbotRouter({ storage });
+
+// Setup function to match the expected interface
+export function setupChatbotRoutes(app) {
+    app.use('/api/chatbot', router);
+}
+
+export default router;
@@ -0,0 +1,351 @@
+// chatbot-conversations.js
+// Conversation history for the document chatbot. A browser session owns any
+// number of conversations; each keeps its messages plus a rolling summary of
+// the ones that no longer fit the prompt window.
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { Firestore } from '@google-cloud/firestore';
+
+const DEFAULT_HISTORY_MESSAGES = 8;
+const TITLE_CHARS = 60;
+
+/**
+ * History settings, read from env:
+ *   CHATBOT_HISTORY_MESSAGES - most recent messages quoted in the prompt (default 8)
+ *   CHATBOT_HISTORY_SUMMARY  - "false" drops older messages instead of summarizing them
+ */
+export function getHistoryConfig() {
+    const raw = process.env.CHATBOT_HISTORY_MESSAGES;
+    const windowMessages = raw === undefined || raw === '' ? DEFAULT_HISTORY_MESSAGES : Number(raw);
+    if (!Number.isInteger(windowMessages) || windowMessages < 0) {
+        throw new Error(`CHATBOT_HISTORY_MESSAGES must be a non-negative integer, got "${raw}"`);
+    }
+    return { windowMessages, summarize: process.env.CHATBOT_HISTORY_SUMMARY !== 'false' };
+}
+
+export function newConversationId() {
+    return `conv_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+export function newConversation(sessionId, title, id = newConversationId()) {
+    const now = new Date().toISOString();
+    return {
+        id,
+        sessionId,
+        title: String(title || 'New conversation').substring(0, TITLE_CHARS),
+        createdAt: now,
+        updatedAt: now,
+        messages: [],
+        summary: null,
+        summarizedCount: 0
+    };
+}
+
+// List entries leave the messages out
+export function conversationSummary({ messages, summary, summarizedCount, ...conversation }) {
+    return { ...conversation, messageCount: messages.length };
+}
+
+// =============================
+// 💾 Conversation Stores
+// =============================
+// Every store implements:
+//   list(sessionId)                        -> Promise<[conversation without messages]> newest first
+//   get(sessionId, id)                     -> Promise<conversation | null>
+//   create(sessionId, { title, id })       -> Promise<conversation>  (id optional, generated otherwise)
+//   appendMessages(sessionId, id, msgs)    -> Promise<conversation | null>
+//   update(sessionId, id, changes)         -> Promise<conversation | null>  (title, summary, summarizedCount)
+//   remove(sessionId, id)                  -> Promise<boolean>
+// Conversations of another session are treated as missing.
+
+const UPDATABLE_FIELDS = ['title', 'summary', 'summarizedCount'];
+
+export function applyConversationUpdate(conversation, changes) {
+    const next = { ...conversation, updatedAt: new Date().toISOString() };
+    UPDATABLE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) next[field] = changes[field];
+    });
+    next.title = String(next.title).substring(0, TITLE_CHARS);
+    return next;
+}
+
+export class MemoryConversationStore {
+    constructor() {
+        this.type = 'memory';
+        this.conversations = new Map();
+    }
+
+    owned(sessionId, id) {
+        const conversation = this.conversations.get(id);
+        return conversation && conversation.sessionId === sessionId ? conversation : null;
+    }
+
+    async list(sessionId) {
+        return Array.from(this.conversations.values())
+            .filter(c => c.sessionId === sessionId)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(conversationSummary);
+    }
+
+    async get(sessionId, id) {
+        return this.owned(sessionId, id);
+    }
+
+    async create(sessionId, { title, id } = {}) {
+        const conversation = newConversation(sessionId, title, id);
+        this.conversations.set(conversation.id, conversation);
+        return conversation;
+    }
+
+    async appendMessages(sessionId, id, messages) {
+        const conversation = this.owned(sessionId, id);
+        if (!conversation) return null;
+        const next = { ...conversation, messages: [...conversation.messages, ...messages], updatedAt: new Date().toISOString() };
+        this.conversations.set(id, next);
+        return next;
+    }
+
+    async update(sessionId, id, changes) {
+        const conversation = this.owned(sessionId, id);
+        if (!conversation) return null;
+        const next = applyConversationUpdate(conversation, changes);
+        this.conversations.set(id, next);
+        return next;
+    }
+
+    async remove(sessionId, id) {
+        if (!this.owned(sessionId, id)) return false;
+        return this.conversations.delete(id);
+    }
+}
+
+// Single JSON file keyed by conversation id
+export class FileConversationStore {
+    constructor(filePath) {
+        this.type = 'file';
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return {};
+            throw err;
+        }
+    }
+
+    // Serializes read-modify-write cycles; `change(all)` returns the result
+    mutate(change) {
+        const result = this.writeQueue.then(async () => {
+            const all = await this.readAll();
+            const value = change(all);
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            // Write to a temp file first so a crash never leaves half a file
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(all, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+            return value;
+        });
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    async list(sessionId) {
+        await this.writeQueue;
+        return Object.values(await this.readAll())
+            .filter(c => c.sessionId === sessionId)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+            .map(conversationSummary);
+    }
+
+    async get(sessionId, id) {
+        await this.writeQueue;
+        const conversation = (await this.readAll())[id];
+        return conversation && conversation.sessionId === sessionId ? conversation : null;
+    }
+
+    async create(sessionId, { title, id } = {}) {
+        const conversation = newConversation(sessionId, title, id);
+        return this.mutate(all => {
+            all[conversation.id] = conversation;
+            return conversation;
+        });
+    }
+
+    async appendMessages(sessionId, id, messages) {
+        return this.mutate(all => {
+            const conversation = all[id];
+            if (!conversation || conversation.sessionId !== sessionId) return null;
+            conversation.messages.push(...messages);
+            conversation.updatedAt = new Date().toISOString();
+            return conversation;
+        });
+    }
+
+    async update(sessionId, id, changes) {
+        return this.mutate(all => {
+            const conversation = all[id];
+            if (!conversation || conversation.sessionId !== sessionId) return null;
+            all[id] = applyConversationUpdate(conversation, changes);
+            return all[id];
+        });
+    }
+
+    async remove(sessionId, id) {
+        return this.mutate(all => {
+            const conversation = all[id];
+            if (!conversation || conversation.sessionId !== sessionId) return false;
+            delete all[id];
+            return true;
+        });
+    }
+}
+
+// One document per conversation in a collection every instance shares;
+// appends and updates run in a transaction so concurrent turns don't
+// overwrite each other.
+export class FirestoreConversationStore {
+    constructor({ projectId, collection }) {
+        this.type = 'firestore';
+        this.db = new Firestore({ projectId, keyFilename: './service-account-key.json' });
+        this.collection = this.db.collection(collection);
+    }
+
+    async list(sessionId) {
+        const snapshot = await this.collection.where('sessionId', '==', sessionId).get();
+        return snapshot.docs
+            .map(d => conversationSummary(d.data()))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async get(sessionId, id) {
+        const snapshot = await this.collection.doc(id).get();
+        const conversation = snapshot.exists ? snapshot.data() : null;
+        return conversation && conversation.sessionId === sessionId ? conversation : null;
+    }
+
+    async create(sessionId, { title, id } = {}) {
+        const conversation = newConversation(sessionId, title, id);
+        await this.collection.doc(conversation.id).set(conversation);
+        return conversation;
+    }
+
+    // `change(conversation)` returns the next version, or the stored one is left alone
+    save(sessionId, id, change) {
+        const ref = this.collection.doc(id);
+        return this.db.runTransaction(async transaction => {
+            const snapshot = await transaction.get(ref);
+            const conversation = snapshot.exists ? snapshot.data() : null;
+            if (!conversation || conversation.sessionId !== sessionId) return null;
+            const next = change(conversation);
+            transaction.set(ref, next);
+            return next;
+        });
+    }
+
+    async appendMessages(sessionId, id, messages) {
+        return this.save(sessionId, id, conversation => ({
+            ...conversation,
+            messages: [...conversation.messages, ...messages],
+            updatedAt: new Date().toISOString()
+        }));
+    }
+
+    async update(sessionId, id, changes) {
+        return this.save(sessionId, id, conversation => applyConversationUpdate(conversation, changes));
+    }
+
+    async remove(sessionId, id) {
+        if (!(await this.get(sessionId, id))) return false;
+        await this.collection.doc(id).delete();
+        return true;
+    }
+}
+
+let conversationStore = null;
+
+// CHATBOT_CONVERSATION_STORE = firestore | memory | file. Defaults to
+// firestore with NODE_ENV=production (shared by every instance; App Engine
+// can't write ./data) and to memory otherwise; file only when asked for.
+export function getConversationStore() {
+    if (conversationStore) return conversationStore;
+
+    const type = process.env.CHATBOT_CONVERSATION_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'memory');
+    switch (type) {
+        case 'firestore':
+            conversationStore = new FirestoreConversationStore({
+                projectId: process.env.GCP_PROJECT_ID || 'genai-exchange-472212',
+                collection: process.env.CHATBOT_CONVERSATION_COLLECTION || 'conversations'
+            });
+            break;
+        case 'file':
+            conversationStore = new FileConversationStore(process.env.CHATBOT_CONVERSATIONS_PATH || './data/chatbot-conversations.json');
+            break;
+        case 'memory':
+            conversationStore = new MemoryConversationStore();
+            break;
+        default:
+            throw new Error(`Unknown chatbot conversation store: ${type}`);
+    }
+    return conversationStore;
+}
+
+// =============================
+// 🧠 Prompt History
+// =============================
+function transcript(messages) {
+    return messages
+        .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+        .join('\n');
+}
+
+/**
+ * The conversation as it goes into the prompt: the rolling summary of older
+ * messages followed by the last `windowMessages` messages verbatim. Empty for
+ * a new conversation.
+ */
+export function buildHistoryContext(conversation, { windowMessages } = getHistoryConfig()) {
+    if (!conversation || conversation.messages.length === 0) return '';
+    const recent = windowMessages > 0 ? conversation.messages.slice(-windowMessages) : [];
+    const parts = [];
+    if (conversation.summary) parts.push(`Summary of the earlier conversation: ${conversation.summary}`);
+    if (recent.length) parts.push(transcript(recent));
+    return parts.length ? `Conversation so far:\n${parts.join('\n\n')}` : '';
+}
+
+/**
+ * Retrieval query for a follow-up: the previous user question is prepended,
+ * so "and what about kiln 2?" still finds the passages the topic is about.
+ */
+export function retrievalQuery(conversation, message) {
+    const previous = conversation?.messages.filter(m => m.role === 'user').pop();
+    return previous ? `${previous.content}\n${message}` : message;
+}
+
+/**
+ * Folds messages that have left the prompt window into the conversation's
+ * summary with `llm.generate`. Returns the changes to store ({ summary,
+ * summarizedCount }) or null when nothing needs summarizing.
+ */
+export async function summarizeOverflow(conversation, llm, { windowMessages, summarize } = getHistoryConfig()) {
+    if (!summarize) return null;
+    const overflowEnd = conversation.messages.length - windowMessages;
+    if (overflowEnd <= conversation.summarizedCount) return null;
+
+    const overflow = conversation.messages.slice(conversation.summarizedCount, overflowEnd);
+    const prompt = `Update the running summary of a conversation between a cement plant engineer and an AI assistant.
+Keep equipment names, numbers, units and decisions; at most 120 words.
+
+Current summary: ${conversation.summary || '(none)'}
+
+New messages:
+${transcript(overflow)}
+
+Reply with only the updated summary.`;
+
+    const summary = (await llm.generate(prompt)).trim();
+    return { summary, summarizedCount: overflowEnd };
+}
@@ -0,0 +1,1093 @@
+// chatbot-core.js
+// Shared retrieval-augmented chat core. Every chatbot backend builds the same
+// /api/chatbot router from three pluggable parts:
+//
+//   storage   - where documents and conversations live (memory, Firestore,
+//               Pinecone, local vector store)
+//   retriever - picks the passages for a question
+//   llm       - extracts text from uploads and writes the answer
+//
+// A storage adapter implements:
+//   type                                     -> name reported as `storage`
+//   addDocument(sessionId, document, opts)   -> Promise<{ documentId, storage }>; opts.onProgress
+//                                               optionally receives { stage, embedded, total }
+//   listDocuments(sessionId)                 -> Promise<{ documents, storage }>
+//   getDocument(sessionId, documentId)       -> Promise<document | null> with its full text
+//   deleteDocument(sessionId, documentId)    -> Promise<boolean> false when not found
+//   search(sessionId, query, topK)           -> optional; Promise<{ documents, storage }>
+//   conversations                            -> conversation store (see chatbot-conversations.js)
+//   health()                                 -> Promise<object> merged into GET /health
+// where a document is { id, sessionId, content, metadata: { filename, mimetype, size, timestamp,
+// contentHash, textLength, extraction, pageCount, version, supersedes } }. Listed documents may leave out `content`.
+// Search results may also carry `score` and `chunks` ([{ chunkIndex, page, section,
+// content, score }]); when present, the chunks are what goes into the prompt.
+import crypto from 'crypto';
+import express from 'express';
+import multer from 'multer';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import {
+    buildHistoryContext,
+    conversationSummary,
+    getConversationStore,
+    newConversation,
+    retrievalQuery,
+    summarizeOverflow
+} from './chatbot-conversations.js';
+import { parseDocument } from './document-parser.js';
+import { IngestionQueue, permanentError, streamJob } from './chatbot-ingestion.js';
+import { openEventStream } from './event-stream.js';
+
+// =============================
+// 📎 Uploads & Text Extraction
+// =============================
+export const ALLOWED_MIME_TYPES = [
+    'application/pdf',
+    'text/plain',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+export const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only PDF, TXT, DOC, and DOCX files are allowed.'));
+        }
+    }
+});
+
+export function isQuotaError(error) {
+    return error?.status === 429 || String(error?.message || '').includes('quota');
+}
+
+/**
+ * Text, PDF and DOCX are parsed locally (see document-parser.js); the LLM only
+ * reads scanned PDF pages and legacy DOC files. Returns parseDocument's
+ * { text, method, pageCount, tables, ocrPages, warnings }.
+ */
+export async function extractTextFromDocument(llm, fileBuffer, mimeType, filename) {
+    try {
+        const parsed = await parseDocument(fileBuffer, mimeType, { llm });
+        console.log(`Extracted ${parsed.text.length} characters from ${filename} (${parsed.method})`);
+        parsed.warnings.forEach(warning => console.warn(`${filename}: ${warning}`));
+        return parsed;
+    } catch (error) {
+        console.error('Error extracting text:', error);
+        throw new Error(`Failed to extract text from ${filename}: ${error.message}`);
+    }
+}
+
+// =============================
+// 🤖 LLM Adapter
+// =============================
+/**
+ * Gemini adapter: { type, configured, generate(prompt), generateStream(prompt, { signal }),
+ * extractText(buffer, mimeType) }. Any object with the same methods can
+ * replace it; generateStream is optional (an async iterable of text pieces).
+ */
+export function createGeminiLLM({ apiKey = process.env.GEMINI_API_KEY, model = 'gemini-2.0-flash' } = {}) {
+    const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+    return {
+        type: 'gemini',
+        model,
+        configured: Boolean(apiKey),
+
+        async generate(prompt) {
+            const result = await generativeModel.generateContent(prompt);
+            const response = await result.response;
+            return response.text();
+        },
+
+        async *generateStream(prompt, { signal } = {}) {
+            const result = await generativeModel.generateContentStream(prompt, { signal });
+            for await (const chunk of result.stream) {
+                const text = chunk.text();
+                if (text) yield text;
+            }
+        },
+
+        async extractText(fileBuffer, mimeType) {
+            try {
+                const prompt = `Extract all text content from this document.
+        Provide a clean, readable version of the text without any formatting artifacts.
+        Return only the extracted text content.`;
+
+                const result = await generativeModel.generateContent([
+                    { inlineData: { data: fileBuffer.toString('base64'), mimeType } },
+                    prompt
+                ]);
+                const response = await result.response;
+                return response.text();
+            } catch (error) {
+                console.error('Error extracting text with Gemini:', error);
+                if (isQuotaError(error)) {
+                    throw new Error('API quota exceeded. Please try again later.');
+                }
+                throw new Error('Failed to extract text from document');
+            }
+        }
+    };
+}
+
+// =============================
+// 🔎 Retrieval
+// =============================
+function tokenize(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Share of the question's distinct terms that appear in the document
+function keywordScore(queryTerms, content) {
+    if (queryTerms.size === 0) return 0;
+    const terms = new Set(tokenize(content));
+    let hits = 0;
+    queryTerms.forEach(term => { if (terms.has(term)) hits++; });
+    return hits / queryTerms.size;
+}
+
+/**
+ * Default retriever: uses the store's own search when it has one (vector
+ * stores), otherwise ranks the session's documents by keyword overlap.
+ * Returns { documents, storage } with the best `topK` documents first.
+ */
+export function createRetriever(storage, { topK = 3 } = {}) {
+    return {
+        async retrieve(sessionId, query) {
+            if (typeof storage.search === 'function') {
+                return storage.search(sessionId, query, topK);
+            }
+
+            const { documents, storage: storageType } = await storage.listDocuments(sessionId);
+            const queryTerms = new Set(tokenize(query));
+            const ranked = documents
+                .map(doc => ({ ...doc, score: keywordScore(queryTerms, doc.content), retrieval: 'keyword' }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+            return { documents: ranked, storage: storageType };
+        }
+    };
+}
+
+// =============================
+// 📌 Passages & Citations
+// =============================
+export const ANSWER_MODES = ['default', 'strict'];
+
+// Reply the model gives in strict mode when the passages don't answer the question
+const NOT_IN_DOCUMENTS = 'NOT_IN_DOCUMENTS';
+const PASSAGE_CHARS = 2000;
+const SNIPPET_CHARS = 300;
+
+/**
+ * Flattens retrieved documents into the passages handed to the model:
+ * { documentId, filename, chunkIndex, page, section, retrieval, score, scores, content }.
+ * Chunked documents contribute their matching chunks; whole documents (ranked
+ * by the default retriever, so keyword matches) are truncated.
+ */
+export function collectPassages(documents) {
+    return documents.flatMap(doc => {
+        const base = { documentId: doc.id, filename: doc.metadata?.filename || null };
+        if (!doc.chunks?.length) {
+            return [{
+                ...base,
+                chunkIndex: null,
+                page: null,
+                section: null,
+                retrieval: doc.retrieval || 'keyword',
+                score: doc.score ?? null,
+                scores: null,
+                content: `${(doc.content || '').substring(0, PASSAGE_CHARS)}...`
+            }];
+        }
+        return doc.chunks.map(chunk => ({
+            ...base,
+            chunkIndex: chunk.chunkIndex,
+            page: chunk.page,
+            section: chunk.section,
+            retrieval: chunk.retrieval,
+            score: chunk.score,
+            scores: chunk.scores,
+            content: chunk.content
+        }));
+    });
+}
+
+// Words too common to show that a passage is about the question
+const QUESTION_WORDS = new Set([
+    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did',
+    'what', 'which', 'who', 'whom', 'whose', 'how', 'why', 'when', 'where',
+    'of', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'with', 'about', 'as', 'into', 'than',
+    'and', 'or', 'not', 'no', 'if', 'so', 'it', 'its', 'this', 'that', 'these', 'those', 'there',
+    'i', 'me', 'my', 'we', 'our', 'you', 'your', 'they', 'them', 'their',
+    'can', 'could', 'should', 'would', 'will', 'shall', 'may', 'might', 'must', 'have', 'has', 'had',
+    'any', 'some', 'all', 'much', 'many', 'more', 'most', 'tell', 'please', 'give', 'show', 'explain'
+]);
+const DEFAULT_MIN_SIMILARITY = 0.75;
+
+/**
+ * Strict-mode settings, read from env:
+ *   CHATBOT_STRICT_MIN_SIMILARITY - vector similarity (0-1) at which a passage supports an
+ *                                   answer without sharing a word with the question (default 0.75)
+ */
+export function getStrictConfig() {
+    const raw = process.env.CHATBOT_STRICT_MIN_SIMILARITY;
+    if (raw === undefined || raw === '') return { minSimilarity: DEFAULT_MIN_SIMILARITY };
+    const minSimilarity = Number(raw);
+    if (!Number.isFinite(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+        throw new Error(`CHATBOT_STRICT_MIN_SIMILARITY must be a number between 0 and 1, got "${raw}"`);
+    }
+    return { minSimilarity };
+}
+
+/**
+ * A passage supports an answer to `question` when it shares a word with it
+ * (other than QUESTION_WORDS), or when vector search found it close enough
+ * on its own. Every vector match has some similarity, so a vector score
+ * alone only counts from `minSimilarity`.
+ */
+export function isSupportingPassage(passage, question, { minSimilarity } = getStrictConfig()) {
+    if ((passage.scores?.vector ?? -Infinity) >= minSimilarity) return true;
+    const passageTerms = new Set(tokenize(passage.content));
+    return tokenize(question).some(term => !QUESTION_WORDS.has(term) && passageTerms.has(term));
+}
+
+// Passages as returned by /chat: numbered like the markers in the answer, without their text
+export function describePassages(passages) {
+    return passages.map(({ content, ...passage }, index) => ({ marker: index + 1, ...passage }));
+}
+
+function splitSentences(text) {
+    const plain = String(text).replace(/^#{1,6}\s+(.*)$/gm, '$1.').replace(/\s+/g, ' ');
+    return (plain.match(/[^.!?]+[.!?]*/g) || []).map(s => s.trim()).filter(Boolean);
+}
+
+function termsOf(text) {
+    return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// The passage sentence that shares the most words with the claim, plus the next one if room allows
+function quoteSnippet(content, claim) {
+    const sentences = splitSentences(content);
+    if (sentences.length === 0) return '';
+    const claimTerms = termsOf(claim);
+    let best = 0;
+    let bestHits = -1;
+    sentences.forEach((sentence, i) => {
+        let hits = 0;
+        termsOf(sentence).forEach(term => { if (claimTerms.has(term)) hits++; });
+        if (hits > bestHits) { best = i; bestHits = hits; }
+    });
+
+    let snippet = sentences[best];
+    if (sentences[best + 1] && snippet.length + sentences[best + 1].length < SNIPPET_CHARS) {
+        snippet += ` ${sentences[best + 1]}`;
+    }
+    return snippet.length > SNIPPET_CHARS ? `${snippet.substring(0, SNIPPET_CHARS - 1)}…` : snippet;
+}
+
+/**
+ * Maps the [n] / [n, m] markers in `answer` to the numbered passages.
+ * Returns one citation per distinct marker, in order of first use:
+ * { marker, documentId, filename, chunkIndex, page, section, snippet, score, retrieval }
+ * where `snippet` quotes the passage sentence closest to the cited statement.
+ * Markers with no matching passage are ignored.
+ */
+export function extractCitations(answer, passages) {
+    const citations = new Map();
+    for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+        // The statement a marker supports is the text before it on the same line
+        const lineStart = answer.lastIndexOf('\n', match.index) + 1;
+        const claim = answer.slice(lineStart, match.index);
+
+        for (const marker of match[1].split(',').map(Number)) {
+            const passage = passages[marker - 1];
+            if (!passage || citations.has(marker)) continue;
+            citations.set(marker, {
+                marker,
+                documentId: passage.documentId,
+                filename: passage.filename,
+                chunkIndex: passage.chunkIndex,
+                page: passage.page,
+                section: passage.section,
+                snippet: quoteSnippet(passage.content, claim),
+                score: passage.score,
+                retrieval: passage.retrieval
+            });
+        }
+    }
+    return Array.from(citations.values());
+}
+
+export function strictRefusal(reason) {
+    return reason === 'no_passages'
+        ? "I couldn't find anything in the uploaded documents that answers this question, so I won't guess. Try rephrasing, or upload the relevant SOP or manual."
+        : "The retrieved passages don't support an answer to this question, so I won't guess. Try rephrasing, or upload the relevant SOP or manual.";
+}
+
+// =============================
+// 📝 Prompts
+// =============================
+// "manual.pdf · Page 3 · 4.2 Kiln Start-up"
+function passageLabel(passage, index) {
+    const parts = [passage.filename || `Document ${index + 1}`];
+    if (passage.page) parts.push(`Page ${passage.page}`);
+    if (passage.section) parts.push(passage.section);
+    return parts.join(' · ');
+}
+
+/**
+ * Prompt for one question. Passages are numbered [1], [2], ... and the model
+ * cites them with the same markers. In strict mode it may only answer from
+ * the passages and replies NOT_IN_DOCUMENTS otherwise. `history` (from
+ * buildHistoryContext) lets follow-up questions refer to earlier turns.
+ */
+export function buildChatPrompt(message, passages, { mode = 'default', history = '' } = {}) {
+    const conversation = history ? `${history}\n\nUse the conversation above to resolve follow-up questions.\n\n` : '';
+
+    if (passages.length === 0) {
+        return `${conversation}You are a helpful AI assistant. The user has asked: "${message}"
+
+Since no relevant documents have been uploaded for this question, please provide a helpful and informative response based on your general knowledge.
+
+Format your response with:
+- Use **bold** for important terms and headings
+- Use bullet points (-) for lists
+- Use numbered lists (1., 2., 3.) for sequential steps
+- Separate paragraphs with line breaks
+- Make it clear, organized, and easy to read
+
+If this question would benefit from specific documentation or context, you can suggest that the user upload relevant documents for more targeted assistance.`;
+    }
+
+    let context = 'Based on the uploaded documents. Each passage is numbered:\n\n';
+    passages.forEach((passage, index) => {
+        context += `[${index + 1}] ${passageLabel(passage, index)}\n${passage.content}\n\n`;
+    });
+
+    const sourcing = mode === 'strict'
+        ? `- Answer ONLY from the numbered passages; do not add general knowledge
+- Every statement must end with the marker of the passage that supports it
+- If the passages do not answer the question, reply with exactly ${NOT_IN_DOCUMENTS} and nothing else`
+        : `- If the documents don't contain enough information, supplement with general knowledge and mark those statements "(general knowledge)" without a marker`;
+
+    return `${conversation}${context}
+
+User question: ${message}
+
+Please provide a comprehensive, well-formatted answer based primarily on the information from the uploaded documents. Format your response with:
+- Use **bold** for important terms and headings
+- Use bullet points (-) for lists
+- Use numbered lists (1., 2., 3.) for sequential steps
+- Separate paragraphs with line breaks
+- Cite the passages you use with their numbers in square brackets right after the statement they support, e.g. [1] or [2][3]
+${sourcing}
+
+Make your response clear, organized, and easy to read.`;
+}
+
+// =============================
+// 💾 In-Memory Storage
+// =============================
+export class MemoryChatStore {
+    constructor(type = 'memory') {
+        this.type = type;
+        this.documents = new Map();
+        this.conversations = getConversationStore();
+    }
+
+    async addDocument(sessionId, document) {
+        this.documents.set(document.id, { ...document, sessionId });
+        return { documentId: document.id, storage: this.type };
+    }
+
+    async listDocuments(sessionId) {
+        const documents = Array.from(this.documents.values()).filter(doc => doc.sessionId === sessionId);
+        return { documents, storage: this.type };
+    }
+
+    async getDocument(sessionId, documentId) {
+        const document = this.documents.get(documentId);
+        return document && document.sessionId === sessionId ? document : null;
+    }
+
+    async deleteDocument(sessionId, documentId) {
+        if (!(await this.getDocument(sessionId, documentId))) return false;
+        return this.documents.delete(documentId);
+    }
+
+    async health() {
+        return {
+            storage: this.type,
+            documentsCount: this.documents.size,
+            conversationStore: this.conversations.type
+        };
+    }
+}
+
+// =============================
+// 🧭 Vector Storage
+// =============================
+/**
+ * Storage adapter over a vector client with PineconeClient's interface
+ * (storeDocument, searchDocuments, getSessionDocuments, getDocument,
+ * deleteDocument, healthCheck), i.e. PineconeClient or LocalVectorStore.
+ * When `fallback` (another storage adapter) is given, documents go there
+ * while the client is failing, and listing, lookups and deletes cover both.
+ * Conversations use the configured conversation store.
+ */
+export class VectorChatStore {
+    constructor(client, { type, fallback = null } = {}) {
+        this.type = type;
+        this.client = client;
+        this.fallback = fallback;
+        this.conversations = getConversationStore();
+    }
+
+    async addDocument(sessionId, document, { onProgress } = {}) {
+        // Vector metadata can't hold nulls
+        const metadata = Object.fromEntries(
+            Object.entries(document.metadata).filter(([, value]) => value !== null && value !== undefined)
+        );
+        const result = await this.client.storeDocument(sessionId, document.id, document.content, metadata, { onProgress });
+
+        if (result.success) {
+            console.log(`Document stored in ${this.type}: ${document.id} (${result.chunkCount} chunks)`);
+            return { documentId: document.id, storage: this.type };
+        }
+        if (!this.fallback) {
+            throw new Error(`Failed to store document: ${result.error}`);
+        }
+
+        console.log(`${this.type} storage failed, using fallback`);
+        return this.fallback.addDocument(sessionId, document);
+    }
+
+    async search(sessionId, query, topK) {
+        const result = await this.client.searchDocuments(sessionId, query, topK);
+        if ((result.success && result.documents.length > 0) || !this.fallback) {
+            return { documents: result.documents, storage: this.type };
+        }
+
+        console.log('Searching fallback documents');
+        const { documents, storage } = await this.fallback.search(sessionId, query, topK);
+        return { documents, storage: result.success ? this.type : storage };
+    }
+
+    async listDocuments(sessionId) {
+        const result = await this.client.getSessionDocuments(sessionId);
+        if (!this.fallback) {
+            return { documents: result.documents, storage: this.type };
+        }
+
+        const fallback = await this.fallback.listDocuments(sessionId);
+        const ids = new Set(result.documents.map(doc => doc.id));
+        return {
+            documents: [...result.documents, ...fallback.documents.filter(doc => !ids.has(doc.id))],
+            storage: result.success ? this.type : fallback.storage
+        };
+    }
+
+    async getDocument(sessionId, documentId) {
+        const result = await this.client.getDocument(sessionId, documentId);
+        if (result.document) return { ...result.document, sessionId };
+
+        if (!this.fallback) {
+            if (!result.success) throw new Error(`Failed to read document: ${result.error}`);
+            return null;
+        }
+        // With the primary down the fallback is all there is to go on, so a
+        // document it doesn't have is missing (404) rather than an error
+        if (!result.success) console.warn(`${this.type} unavailable, looking up ${documentId} in the fallback only: ${result.error}`);
+        return this.fallback.getDocument(sessionId, documentId);
+    }
+
+    async deleteDocument(sessionId, documentId) {
+        const result = await this.client.deleteDocument(sessionId, documentId);
+        if (!this.fallback) {
+            if (!result.success) throw new Error(`Failed to delete document: ${result.error}`);
+            return Boolean(result.deleted);
+        }
+        if (!result.success) console.warn(`${this.type} unavailable, deleting ${documentId} from the fallback only: ${result.error}`);
+        const removedFromFallback = await this.fallback.deleteDocument(sessionId, documentId);
+        return Boolean(result.deleted) || removedFromFallback;
+    }
+
+    async health() {
+        const health = await this.client.healthCheck();
+        return {
+            storage: this.type,
+            [this.type]: health.success ? 'connected' : 'unavailable',
+            [`${this.type}Details`]: health.success ? {
+                indexName: health.indexName,
+                totalVectors: health.totalVectors,
+                dimension: health.dimension
+            } : { error: health.error },
+            fallbackStorage: this.fallback ? 'available' : 'none',
+            conversationStore: this.conversations.type
+        };
+    }
+}
+
+// =============================
+// 📄 Document Listing
+// =============================
+const PREVIEW_CHARS = 2000;
+
+// What the document routes return about a stored document
+function documentInfo(document) {
+    const metadata = document.metadata || {};
+    return {
+        documentId: document.id,
+        filename: metadata.filename || null,
+        mimetype: metadata.mimetype || null,
+        size: metadata.size ?? null,
+        uploadedAt: metadata.timestamp || null,
+        contentHash: metadata.contentHash || null,
+        textLength: metadata.textLength ?? document.content?.length ?? null,
+        extraction: metadata.extraction || null,
+        pageCount: metadata.pageCount ?? null,
+        chunkCount: metadata.chunkCount ?? null,
+        version: metadata.version || 1,
+        supersedes: metadata.supersedes || null
+    };
+}
+
+// =============================
+// 🌐 Router
+// =============================
+/**
+ * Builds the /api/chatbot router on top of a storage adapter. `retriever`
+ * defaults to createRetriever(storage) and `llm` to createGeminiLLM().
+ */
+export function createChatbotRouter({ storage, retriever = createRetriever(storage), llm = createGeminiLLM() }) {
+    const router = express.Router();
+
+    // Files already in the session (same SHA-256) are not stored again; the
+    // existing document id is returned with `duplicate: true`. `replaces` is
+    // the document a new version supersedes; `report(state, progress)` hears
+    // about the extracting, chunking and embedding stages.
+    async function processAndStoreFile(sessionId, file, {
+        replaces = null,
+        documentId = `${sessionId}_${Date.now()}_${file.originalname}`,
+        report = () => {}
+    } = {}) {
+        console.log(`Processing file: ${file.originalname} for session: ${sessionId}`);
+        report('extracting');
+
+        const contentHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+        const { documents, storage: storageType } = await storage.listDocuments(sessionId);
+        const existing = documents.find(doc => doc.metadata?.contentHash === contentHash);
+        if (existing) {
+            console.log(`Skipping ${file.originalname}: same content as ${existing.id}`);
+            return { success: true, duplicate: true, documentId: existing.id, filename: file.originalname, storage: storageType };
+        }
+
+        const extraction = await extractTextFromDocument(llm, file.buffer, file.mimetype, file.originalname);
+        const extractedText = extraction.text;
+        if (!extractedText || extractedText.trim().length === 0) {
+            throw permanentError('No text could be extracted from the document');
+        }
+
+        const version = replaces ? (replaces.metadata?.version || 1) + 1 : 1;
+        const stored = await storage.addDocument(sessionId, {
+            id: documentId,
+            sessionId,
+            content: extractedText,
+            metadata: {
+                filename: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size,
+                timestamp: new Date().toISOString(),
+                contentHash,
+                textLength: extractedText.length,
+                extraction: extraction.method,
+                pageCount: extraction.pageCount,
+                version,
+                supersedes: replaces ? replaces.id : null
+            }
+        }, {
+            onProgress: ({ stage, embedded, total }) => report(stage, stage === 'embedding' ? { embedded, total } : null)
+        });
+
+        return {
+            success: true,
+            documentId,
+            filename: file.originalname,
+            textLength: extractedText.length,
+            version,
+            extraction: {
+                method: extraction.method,
+                pageCount: extraction.pageCount,
+                tables: extraction.tables,
+                ocrPages: extraction.ocrPages,
+                warnings: extraction.warnings
+            },
+            storage: stored.storage
+        };
+    }
+
+    const ingestion = new IngestionQueue(({ sessionId, documentId, file }, report) =>
+        processAndStoreFile(sessionId, file, { documentId, report }));
+
+    // Upload documents endpoint. Files are ingested in the background: the
+    // response (202) carries the job to follow. With ?wait=true the request
+    // waits for the job and answers with the per-file results instead.
+    router.post('/upload', upload.array('documents', 10), async (req, res) => {
+        try {
+            const { sessionId } = req.body;
+
+            if (!sessionId) {
+                return res.status(400).json({ error: 'Session ID is required' });
+            }
+            if (!req.files || req.files.length === 0) {
+                return res.status(400).json({ error: 'No files uploaded' });
+            }
+
+            console.log(`Queueing ${req.files.length} files for session: ${sessionId}`);
+            const job = await ingestion.enqueue(sessionId, req.files);
+
+            if (req.query.wait !== 'true') {
+                return res.status(202).json({
+                    success: true,
+                    message: `Queued ${job.files.length} documents for processing`,
+                    jobId: job.id,
+                    job
+                });
+            }
+
+            const finished = await ingestion.waitFor(sessionId, job.id);
+            const results = finished.files.filter(file => file.state === 'indexed').map(file => ({ success: true, ...file.result }));
+            const errors = finished.files.filter(file => file.state === 'failed').map(file => ({ filename: file.filename, error: file.error }));
+            res.json({
+                success: true,
+                message: `Processed ${results.length} documents successfully`,
+                jobId: job.id,
+                results,
+                errors: errors.length > 0 ? errors : undefined
+            });
+        } catch (error) {
+            console.error('Error in upload endpoint:', error);
+            res.status(500).json({
+                error: 'Failed to process documents',
+                details: error.message
+            });
+        }
+    });
+
+    // =============================
+    // ⏳ Ingestion Jobs
+    // =============================
+    // Jobs are read from the job store, so any instance can answer for them
+    router.get('/session/:sessionId/jobs', async (req, res) => {
+        try {
+            res.json({ success: true, jobs: await ingestion.list(req.params.sessionId) });
+        } catch (error) {
+            console.error('Error listing jobs:', error);
+            res.status(500).json({ error: 'Failed to list jobs', details: error.message });
+        }
+    });
+
+    router.get('/session/:sessionId/jobs/:jobId', async (req, res) => {
+        try {
+            const job = await ingestion.get(req.params.sessionId, req.params.jobId);
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            res.json({ success: true, job });
+        } catch (error) {
+            console.error('Error getting job:', error);
+            res.status(500).json({ error: 'Failed to get job', details: error.message });
+        }
+    });
+
+    // Server-Sent Events: `job` on every change, `done` when all files are finished
+    router.get('/session/:sessionId/jobs/:jobId/events', async (req, res) => {
+        try {
+            await streamJob(ingestion, req, res);
+        } catch (error) {
+            console.error('Error streaming job:', error);
+            if (!res.headersSent) res.status(500).json({ error: 'Failed to stream job', details: error.message });
+        }
+    });
+
+    const conversations = storage.conversations;
+
+    // Stores one question/answer pair, then folds messages that left the
+    // prompt window into the summary without holding up the response. A new
+    // conversation is created here, once there is an answer to keep. Returns
+    // whether the exchange was stored.
+    async function saveExchange(conversation, isNew, message, answer, extra) {
+        try {
+            if (isNew) {
+                await conversations.create(conversation.sessionId, { id: conversation.id, title: conversation.title });
+            }
+            const updated = await conversations.appendMessages(conversation.sessionId, conversation.id, [
+                { role: 'user', content: message, timestamp: new Date().toISOString() },
+                { role: 'assistant', content: answer, timestamp: new Date().toISOString(), ...extra }
+            ]);
+            summarizeOverflow(updated, llm)
+                .then(changes => changes && conversations.update(updated.sessionId, updated.id, changes))
+                .catch(error => console.error('Error summarizing conversation:', error.message));
+            return true;
+        } catch (storeError) {
+            console.error('Error storing conversation:', storeError);
+            return false;
+        }
+    }
+
+    // Checks a /chat body and finds its conversation, or drafts a new one that
+    // is only stored with its first answer (isNew). Returns { status, error }
+    // for a bad request.
+    async function prepareChat(body) {
+        const { sessionId, message, conversationId } = body;
+        const mode = body.mode || process.env.CHATBOT_ANSWER_MODE || 'default';
+
+        if (!sessionId || !message) {
+            return { status: 400, error: 'Session ID and message are required' };
+        }
+        if (!ANSWER_MODES.includes(mode)) {
+            return { status: 400, error: `mode must be one of ${ANSWER_MODES.join(', ')}` };
+        }
+
+        if (!conversationId) {
+            return { sessionId, message, mode, conversation: newConversation(sessionId, message), isNew: true };
+        }
+        const conversation = await conversations.get(sessionId, conversationId);
+        if (!conversation) {
+            return { status: 404, error: 'Conversation not found' };
+        }
+        return { sessionId, message, mode, conversation, isNew: false };
+    }
+
+    // The model's answer, piece by piece through onToken when given. In
+    // strict mode a reply that may still turn out to be NOT_IN_DOCUMENTS is
+    // held back until it can't.
+    async function generateAnswer(prompt, mode, { onToken, signal }) {
+        if (!onToken) return llm.generate(prompt);
+        if (typeof llm.generateStream !== 'function') {
+            const text = await llm.generate(prompt);
+            onToken(text);
+            return text;
+        }
+
+        let text = '';
+        let sent = 0;
+        for await (const piece of llm.generateStream(prompt, { signal })) {
+            text += piece;
+            if (mode === 'strict' && NOT_IN_DOCUMENTS.startsWith(text.trim())) continue;
+            onToken(text.slice(sent));
+            sent = text.length;
+        }
+        return text;
+    }
+
+    /**
+     * Answers one prepared chat request and returns the /chat payload.
+     * `onStart(context)` gets the retrieval context before generation and
+     * `onToken(text)` the answer as it streams; an aborted `signal` stops
+     * generation.
+     */
+    async function answerChat({ sessionId, message, mode, conversation, isNew }, { onStart = () => {}, onToken, signal } = {}) {
+        console.log(`Chat request for session: ${sessionId} (${mode}, ${conversation.id})`);
+
+        const query = retrievalQuery(conversation, message);
+        const { documents, storage: storageType } = await retriever.retrieve(sessionId, query);
+        let passages = collectPassages(documents);
+        if (mode === 'strict') {
+            const strictConfig = getStrictConfig();
+            passages = passages.filter(passage => isSupportingPassage(passage, query, strictConfig));
+        }
+
+        // A new conversation has no id until its first answer is stored
+        const context = {
+            success: true,
+            conversationId: isNew ? null : conversation.id,
+            documentsFound: documents.length,
+            passages: describePassages(passages),
+            storage: storageType,
+            mode
+        };
+        onStart(context);
+
+        const save = async (response, extra) => {
+            const saved = await saveExchange(conversation, isNew, message, response, extra);
+            return saved ? conversation.id : context.conversationId;
+        };
+        const refuse = async (reason) => {
+            const response = strictRefusal(reason);
+            const conversationId = await save(response, { citations: [], refused: true });
+            return { ...context, conversationId, response, citations: [], grounded: false, refused: true, refusalReason: reason };
+        };
+
+        // Strict mode never falls back to general knowledge
+        if (mode === 'strict' && passages.length === 0) {
+            return refuse('no_passages');
+        }
+
+        let aiResponse;
+        try {
+            const history = buildHistoryContext(conversation);
+            aiResponse = await generateAnswer(buildChatPrompt(message, passages, { mode, history }), mode, { onToken, signal });
+        } catch (llmError) {
+            if (signal?.aborted) throw llmError;
+            console.error('LLM error:', llmError);
+            if (!isQuotaError(llmError)) throw llmError;
+
+            return {
+                ...context,
+                response: documents.length > 0
+                    ? `I found ${documents.length} relevant document(s) for your question, but I'm currently unable to process them due to API quota limits. Please try again later.`
+                    : `I'm currently unable to process your request due to API quota limits. Please try again later.`,
+                citations: [],
+                grounded: false,
+                warning: 'API quota exceeded'
+            };
+        }
+
+        const citations = extractCitations(aiResponse, passages);
+        if (mode === 'strict' && (aiResponse.includes(NOT_IN_DOCUMENTS) || citations.length === 0)) {
+            return refuse('unsupported');
+        }
+
+        const conversationId = await save(aiResponse, { citations, documentsFound: documents.length });
+        return { ...context, conversationId, response: aiResponse, citations, grounded: citations.length > 0 };
+    }
+
+    // Chat endpoint. body: { sessionId, message, conversationId, mode: 'default' | 'strict' }
+    // Without a conversationId a new conversation is started; its id is returned
+    // once the answer is stored (null when answering failed).
+    router.post('/chat', async (req, res) => {
+        try {
+            const chat = await prepareChat(req.body);
+            if (chat.error) {
+                return res.status(chat.status).json({ error: chat.error });
+            }
+            res.json(await answerChat(chat));
+        } catch (error) {
+            console.error('Error in chat endpoint:', error);
+            res.status(500).json({
+                error: 'Failed to process chat message',
+                details: error.message
+            });
+        }
+    });
+
+    // Streamed chat (Server-Sent Events, see event-stream.js): `start` with the
+    // conversation and passages, `token` pieces of the answer, then `done` with
+    // the /chat payload. Closing the connection cancels the answer.
+    router.post('/chat/stream', async (req, res) => {
+        let chat;
+        try {
+            chat = await prepareChat(req.body);
+        } catch (error) {
+            console.error('Error in chat stream endpoint:', error);
+            return res.status(500).json({ error: 'Failed to process chat message', details: error.message });
+        }
+        if (chat.error) {
+            return res.status(chat.status).json({ error: chat.error });
+        }
+
+        const stream = openEventStream(res);
+        try {
+            const payload = await answerChat(chat, {
+                onStart: context => stream.send('start', context),
+                onToken: text => stream.send('token', { text }),
+                signal: stream.signal
+            });
+            stream.send('done', payload);
+        } catch (error) {
+            if (stream.signal.aborted) {
+                console.log(`Chat stream cancelled for session: ${chat.sessionId}`);
+            } else {
+                console.error('Error in chat stream endpoint:', error);
+                stream.send('error', { error: 'Failed to process chat message', details: error.message });
+            }
+        } finally {
+            stream.end();
+        }
+    });
+
+    // Get session info endpoint
+    router.get('/session/:sessionId', async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const { documents, storage: storageType } = await storage.listDocuments(sessionId);
+            const sessionConversations = await conversations.list(sessionId);
+
+            res.json({
+                success: true,
+                sessionId,
+                documentCount: documents.length,
+                conversationCount: sessionConversations.length,
+                storage: storageType
+            });
+        } catch (error) {
+            console.error('Error getting session info:', error);
+            res.status(500).json({
+                error: 'Failed to get session info',
+                details: error.message
+            });
+        }
+    });
+
+    // =============================
+    // 📄 Documents
+    // =============================
+    router.get('/session/:sessionId/documents', async (req, res) => {
+        try {
+            const { documents, storage: storageType } = await storage.listDocuments(req.params.sessionId);
+            res.json({ success: true, documents: documents.map(documentInfo), storage: storageType });
+        } catch (error) {
+            console.error('Error listing documents:', error);
+            res.status(500).json({ error: 'Failed to list documents', details: error.message });
+        }
+    });
+
+    // Metadata plus the start of the extracted text. query: ?chars=2000
+    router.get('/session/:sessionId/documents/:documentId', async (req, res) => {
+        try {
+            const chars = req.query.chars === undefined ? PREVIEW_CHARS : Number(req.query.chars);
+            if (!Number.isInteger(chars) || chars < 0) {
+                return res.status(400).json({ error: 'chars must be a non-negative integer' });
+            }
+
+            const document = await storage.getDocument(req.params.sessionId, req.params.documentId);
+            if (!document) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            res.json({
+                success: true,
+                document: {
+                    ...documentInfo(document),
+                    textLength: document.content.length,
+                    preview: document.content.substring(0, chars),
+                    truncated: document.content.length > chars
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching document:', error);
+            res.status(500).json({ error: 'Failed to fetch document', details: error.message });
+        }
+    });
+
+    // Removes the document and all of its vectors
+    router.delete('/session/:sessionId/documents/:documentId', async (req, res) => {
+        try {
+            const removed = await storage.deleteDocument(req.params.sessionId, req.params.documentId);
+            if (!removed) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            res.json({ success: true, deleted: req.params.documentId });
+        } catch (error) {
+            console.error('Error deleting document:', error);
+            res.status(500).json({ error: 'Failed to delete document', details: error.message });
+        }
+    });
+
+    // New version of a document (multipart field "document"). The new version
+    // gets its own id, version + 1 and `supersedes`; the old one is deleted.
+    router.put('/session/:sessionId/documents/:documentId', upload.single('document'), async (req, res) => {
+        try {
+            const { sessionId, documentId } = req.params;
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded' });
+            }
+
+            const previous = await storage.getDocument(sessionId, documentId);
+            if (!previous) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+
+            const result = await processAndStoreFile(sessionId, req.file, { replaces: previous });
+            if (result.duplicate) {
+                return res.json({ ...result, message: 'The uploaded file is identical to an existing document; nothing was replaced' });
+            }
+
+            await storage.deleteDocument(sessionId, documentId);
+            res.json({ ...result, supersedes: documentId });
+        } catch (error) {
+            console.error('Error replacing document:', error);
+            res.status(500).json({ error: 'Failed to replace document', details: error.message });
+        }
+    });
+
+    // =============================
+    // 💬 Conversations
+    // =============================
+    router.get('/session/:sessionId/conversations', async (req, res) => {
+        try {
+            res.json({ success: true, conversations: await conversations.list(req.params.sessionId) });
+        } catch (error) {
+            console.error('Error listing conversations:', error);
+            res.status(500).json({ error: 'Failed to list conversations', details: error.message });
+        }
+    });
+
+    router.get('/session/:sessionId/conversations/:conversationId', async (req, res) => {
+        try {
+            const conversation = await conversations.get(req.params.sessionId, req.params.conversationId);
+            if (!conversation) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            res.json({ success: true, conversation });
+        } catch (error) {
+            console.error('Error fetching conversation:', error);
+            res.status(500).json({ error: 'Failed to fetch conversation', details: error.message });
+        }
+    });
+
+    // Rename. body: { title }
+    router.patch('/session/:sessionId/conversations/:conversationId', async (req, res) => {
+        try {
+            const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+            if (!title) {
+                return res.status(400).json({ error: 'title is required' });
+            }
+            const conversation = await conversations.update(req.params.sessionId, req.params.conversationId, { title });
+            if (!conversation) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            res.json({ success: true, conversation: conversationSummary(conversation) });
+        } catch (error) {
+            console.error('Error renaming conversation:', error);
+            res.status(500).json({ error: 'Failed to rename conversation', details: error.message });
+        }
+    });
+
+    router.delete('/session/:sessionId/conversations/:conversationId', async (req, res) => {
+        try {
+            const removed = await conversations.remove(req.params.sessionId, req.params.conversationId);
+            if (!removed) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+            res.json({ success: true, deleted: req.params.conversationId });
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            res.status(500).json({ error: 'Failed to delete conversation', details: error.message });
+        }
+    });
+
+    // Health check endpoint
+    router.get('/health', async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                ...(await storage.health()),
+                geminiAI: llm.configured ? 'configured' : 'not configured'
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,418 @@
+// chatbot-ingestion.js
+// Background ingestion for chatbot uploads. An upload becomes a job with one
+// entry per file; a single worker takes files in order through extraction,
+// chunking and embedding, retrying failures with exponential backoff, and
+// every state change is published and stored so clients can follow along
+// from any instance.
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { Firestore } from '@google-cloud/firestore';
+
+export const FILE_STATES = ['queued', 'extracting', 'chunking', 'embedding', 'indexed', 'failed'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_MS = 2000;
+// Finished jobs are kept this long for status requests
+const JOB_TTL_MS = 60 * 60 * 1000;
+const HEARTBEAT_MS = 25000;
+
+function parsePositive(name, raw, fallback) {
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${name} must be a positive integer, got "${raw}"`);
+    }
+    return value;
+}
+
+/**
+ * Ingestion settings, read from env:
+ *   CHATBOT_INGEST_MAX_ATTEMPTS - tries per file before it is marked failed (default 3)
+ *   CHATBOT_INGEST_RETRY_MS     - delay before the first retry, doubled for each further one (default 2000)
+ */
+export function getIngestionConfig() {
+    return {
+        maxAttempts: parsePositive('CHATBOT_INGEST_MAX_ATTEMPTS', process.env.CHATBOT_INGEST_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS),
+        retryDelayMs: parsePositive('CHATBOT_INGEST_RETRY_MS', process.env.CHATBOT_INGEST_RETRY_MS, DEFAULT_RETRY_MS)
+    };
+}
+
+// Errors that fail the same way on every try (set `permanent` on the error)
+export function permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+const isFinished = file => file.state === 'indexed' || file.state === 'failed';
+
+// A job is kept alive by the instance working on it; files still open when
+// its lease runs out are reported as failed
+const JOB_LEASE_MS = 60 * 1000;
+const JOB_POLL_MS = 1000;
+const INTERRUPTED = 'Ingestion was interrupted because the server instance stopped; upload the file again';
+
+// What is stored: the job without file buffers, with its lease and expiry
+function jobRecord(job, now = Date.now()) {
+    const files = job.files.map(({ buffer, ...file }) => file);
+    const finished = files.every(isFinished);
+    return {
+        ...job,
+        files,
+        leaseUntil: finished ? null : new Date(now + JOB_LEASE_MS).toISOString(),
+        expiresAt: new Date(now + JOB_TTL_MS)
+    };
+}
+
+// What routes and streams see: no file buffers, plus overall status and counts
+function jobView({ leaseUntil, expiresAt, ...job }, now = Date.now()) {
+    const interrupted = leaseUntil && Date.parse(leaseUntil) < now;
+    const files = job.files.map(({ buffer, ...file }) => (interrupted && !isFinished(file)
+        ? { ...file, state: 'failed', error: INTERRUPTED, progress: null, retryAt: null }
+        : file));
+    const counts = { total: files.length, indexed: 0, failed: 0 };
+    files.forEach(file => { if (file.state in counts) counts[file.state]++; });
+
+    let status = 'processing';
+    if (files.every(file => file.state === 'queued' && file.attempts === 0)) status = 'queued';
+    else if (files.every(isFinished)) status = 'completed';
+
+    return { ...job, files, status, counts };
+}
+
+// =============================
+// 💾 Job Stores
+// =============================
+// Every store implements:
+//   save(record)              -> Promise<void>
+//   get(sessionId, jobId)     -> Promise<record | null>
+//   list(sessionId)           -> Promise<[record]> newest first
+// Records (see jobRecord) expire JOB_TTL_MS after their last change and are
+// written only by the instance working on the job.
+
+const isExpired = (record, now = Date.now()) => Date.parse(record.updatedAt) + JOB_TTL_MS < now;
+
+class MemoryJobStore {
+    constructor() {
+        this.type = 'memory';
+        this.records = new Map();
+    }
+
+    prune() {
+        for (const [id, record] of this.records) {
+            if (isExpired(record)) this.records.delete(id);
+        }
+    }
+
+    async save(record) {
+        this.records.set(record.id, record);
+    }
+
+    async get(sessionId, jobId) {
+        this.prune();
+        const record = this.records.get(jobId);
+        return record && record.sessionId === sessionId ? record : null;
+    }
+
+    async list(sessionId) {
+        this.prune();
+        return Array.from(this.records.values())
+            .filter(record => record.sessionId === sessionId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+// One document per job, so every instance can answer for every job.
+// `expiresAt` is there for a Firestore TTL policy; expired jobs are ignored either way.
+class FirestoreJobStore {
+    constructor({ projectId, collection }) {
+        this.type = 'firestore';
+        // File results carry optional fields that may be undefined
+        this.db = new Firestore({ projectId, keyFilename: './service-account-key.json', ignoreUndefinedProperties: true });
+        this.collection = this.db.collection(collection);
+    }
+
+    async save(record) {
+        await this.collection.doc(record.id).set(record);
+    }
+
+    async get(sessionId, jobId) {
+        const snapshot = await this.collection.doc(jobId).get();
+        const record = snapshot.exists ? snapshot.data() : null;
+        return record && record.sessionId === sessionId && !isExpired(record) ? record : null;
+    }
+
+    async list(sessionId) {
+        const snapshot = await this.collection.where('sessionId', '==', sessionId).get();
+        return snapshot.docs
+            .map(doc => doc.data())
+            .filter(record => !isExpired(record))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+let jobStore = null;
+
+// CHATBOT_JOB_STORE = firestore | memory; defaults to firestore with
+// NODE_ENV=production (job routes work on every instance), otherwise memory
+export function getJobStore() {
+    if (jobStore) return jobStore;
+
+    const type = process.env.CHATBOT_JOB_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'memory');
+    switch (type) {
+        case 'firestore':
+            jobStore = new FirestoreJobStore({
+                projectId: process.env.GCP_PROJECT_ID || 'genai-exchange-472212',
+                collection: process.env.CHATBOT_JOB_COLLECTION || 'ingestion_jobs'
+            });
+            break;
+        case 'memory':
+            jobStore = new MemoryJobStore();
+            break;
+        default:
+            throw new Error(`Unknown chatbot job store: ${type}`);
+    }
+    return jobStore;
+}
+
+/**
+ * Job queue. `processFile(task, report)` does the work for one file, where
+ * task is { sessionId, documentId, file: { originalname, mimetype, size,
+ * buffer } }, and calls `report(state, progress)` as it moves through the
+ * extracting / chunking / embedding states; it resolves with the upload
+ * result. Files are worked on by the instance they were uploaded to, and
+ * every change is written to the job store (CHATBOT_JOB_STORE) so any
+ * instance can report on the job.
+ */
+export class IngestionQueue {
+    constructor(processFile, { store = getJobStore(), ...options } = {}) {
+        const { maxAttempts, retryDelayMs } = { ...getIngestionConfig(), ...options };
+        this.processFile = processFile;
+        this.maxAttempts = maxAttempts;
+        this.retryDelayMs = retryDelayMs;
+        this.store = store;
+        this.jobs = new Map();
+        this.pending = [];
+        this.working = false;
+        this.saving = new Map();
+        this.dirty = new Set();
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+
+        // Renews the lease of every job still open here
+        setInterval(() => {
+            this.jobs.forEach(job => {
+                if (!job.files.every(isFinished)) this.persist(job);
+            });
+        }, JOB_LEASE_MS / 3).unref();
+    }
+
+    // files: multer files; resolves with the new job's view once it is stored
+    async enqueue(sessionId, files) {
+        this.prune();
+        const now = new Date().toISOString();
+        const job = {
+            id: `job_${crypto.randomBytes(8).toString('hex')}`,
+            sessionId,
+            createdAt: now,
+            updatedAt: now,
+            files: files.map((file, index) => ({
+                index,
+                filename: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size,
+                // Fixed up front so a retry overwrites its own partial vectors
+                documentId: `${sessionId}_${Date.now()}_${index}_${file.originalname}`,
+                state: 'queued',
+                attempts: 0,
+                progress: null,
+                error: null,
+                retryAt: null,
+                result: null,
+                buffer: file.buffer
+            }))
+        };
+        this.jobs.set(job.id, job);
+        await this.store.save(jobRecord(job));
+        job.files.forEach(file => this.pending.push({ job, file }));
+        this.work();
+        return jobView(job);
+    }
+
+    // Jobs worked on here are answered from memory, the rest from the store
+    async get(sessionId, jobId) {
+        const job = this.jobs.get(jobId);
+        if (job) return job.sessionId === sessionId ? jobView(job) : null;
+        const record = await this.store.get(sessionId, jobId);
+        return record ? jobView(record) : null;
+    }
+
+    async list(sessionId) {
+        const records = await this.store.list(sessionId);
+        return records
+            .map(record => (this.jobs.has(record.id) ? this.jobs.get(record.id) : record))
+            .map(job => jobView(job));
+    }
+
+    /**
+     * listener(jobView) on every change of the job; returns an unsubscribe
+     * function. Jobs worked on by another instance are polled from the store.
+     */
+    watch(sessionId, jobId, listener) {
+        if (this.jobs.has(jobId)) {
+            this.events.on(jobId, listener);
+            return () => this.events.off(jobId, listener);
+        }
+
+        let last = null;
+        const timer = setInterval(async () => {
+            try {
+                const view = await this.get(sessionId, jobId);
+                const serialized = JSON.stringify(view);
+                if (!view || serialized === last) return;
+                last = serialized;
+                listener(view);
+            } catch (error) {
+                console.error(`Polling job ${jobId} failed:`, error.message);
+            }
+        }, JOB_POLL_MS);
+        return () => clearInterval(timer);
+    }
+
+    // Resolves with the job view once every file is indexed or failed
+    waitFor(sessionId, jobId) {
+        return new Promise((resolve, reject) => {
+            const job = this.jobs.get(jobId);
+            if (!job || job.sessionId !== sessionId) return reject(new Error('Job not found'));
+            const view = jobView(job);
+            if (view.status === 'completed') return resolve(view);
+            const unsubscribe = this.watch(sessionId, jobId, update => {
+                if (update.status !== 'completed') return;
+                unsubscribe();
+                resolve(update);
+            });
+        });
+    }
+
+    publish(job) {
+        job.updatedAt = new Date().toISOString();
+        this.events.emit(job.id, jobView(job));
+        this.persist(job);
+    }
+
+    // Writes the job to the store; changes made while a write is running are
+    // folded into one more write, so a fast embedding loop doesn't queue many
+    persist(job) {
+        if (this.saving.has(job.id)) {
+            this.dirty.add(job.id);
+            return this.saving.get(job.id);
+        }
+        const saving = (async () => {
+            do {
+                this.dirty.delete(job.id);
+                await this.store.save(jobRecord(job));
+            } while (this.dirty.has(job.id));
+        })()
+            .catch(error => console.error(`Saving job ${job.id} failed:`, error.message))
+            .finally(() => this.saving.delete(job.id));
+        this.saving.set(job.id, saving);
+        return saving;
+    }
+
+    async work() {
+        if (this.working) return;
+        this.working = true;
+        try {
+            while (this.pending.length) {
+                await this.run(this.pending.shift());
+            }
+        } finally {
+            this.working = false;
+        }
+    }
+
+    async run({ job, file }) {
+        file.attempts++;
+        file.retryAt = null;
+        const report = (state, progress = null) => {
+            file.state = state;
+            file.progress = progress;
+            this.publish(job);
+        };
+
+        try {
+            const { success, ...result } = await this.processFile({
+                sessionId: job.sessionId,
+                documentId: file.documentId,
+                file: { originalname: file.filename, mimetype: file.mimetype, size: file.size, buffer: file.buffer }
+            }, report);
+            file.result = result;
+            file.error = null;
+            file.buffer = null;
+            report('indexed');
+        } catch (error) {
+            console.error(`Ingestion of ${file.filename} failed (attempt ${file.attempts}):`, error.message);
+            file.error = error.message;
+            if (error.permanent || file.attempts >= this.maxAttempts) {
+                file.buffer = null;
+                report('failed');
+                return;
+            }
+
+            const delay = this.retryDelayMs * 2 ** (file.attempts - 1);
+            file.retryAt = new Date(Date.now() + delay).toISOString();
+            report('queued');
+            setTimeout(() => {
+                this.pending.push({ job, file });
+                this.work();
+            }, delay).unref();
+        }
+    }
+
+    // Forgets local jobs that finished more than JOB_TTL_MS ago; the store expires its own
+    prune() {
+        const cutoff = new Date(Date.now() - JOB_TTL_MS).toISOString();
+        for (const job of this.jobs.values()) {
+            if (job.files.every(isFinished) && job.updatedAt < cutoff) this.jobs.delete(job.id);
+        }
+    }
+}
+
+/**
+ * Express handler streaming one job as Server-Sent Events: a `job` event
+ * with the current state right away and after every change, then `done`
+ * once every file is indexed or failed.
+ */
+export async function streamJob(queue, req, res) {
+    const { sessionId, jobId } = req.params;
+    const current = await queue.get(sessionId, jobId);
+    if (!current) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    const send = view => {
+        res.write(`event: job\ndata: ${JSON.stringify(view)}\n\n`);
+        if (view.status !== 'completed') return;
+        res.write(`event: done\ndata: ${JSON.stringify({ jobId, counts: view.counts })}\n\n`);
+        close();
+        res.end();
+    };
+
+    unsubscribe = queue.watch(sessionId, jobId, send);
+    req.on('close', close);
+    send(current);
+}
@@ -0,0 +1,366 @@
+// clinker-monitor.js
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { Firestore } from '@google-cloud/firestore';
+import { CLINKER_CLASSES, UNCERTAIN } from './clinker-verdict.js';
+
+// Classes counted as a bad burn
+const BAD_LABELS = ['overburnt', 'underburnt'];
+
+const DEFAULTS = {
+  windowMinutes: 10,
+  badFractionLimit: 0.3,
+  minSamples: 5,
+  sampleIntervalSeconds: 5
+};
+
+const LIMITS = {
+  windowMinutes: { min: 1, max: 1440 },
+  badFractionLimit: { min: 0, max: 1 },
+  minSamples: { min: 1, max: 1000, integer: true },
+  sampleIntervalSeconds: { min: 1, max: 3600 }
+};
+
+export const MAX_SESSIONS = 20;
+const MAX_ALERTS_KEPT = 100;
+
+// Emits 'alert' with every alert raised or cleared by any session
+export const clinkerMonitorEvents = new EventEmitter();
+
+/**
+ * Validates a monitoring session request. Returns { options, errors } with
+ * errors in the structured 400 shape used by the prediction routes.
+ */
+export function parseSessionOptions(body = {}) {
+  const options = { name: body.name ? String(body.name).slice(0, 100) : null };
+  const errors = [];
+
+  for (const [key, limit] of Object.entries(LIMITS)) {
+    const raw = body[key];
+    if (raw === undefined || raw === null || raw === '') {
+      options[key] = DEFAULTS[key];
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (limit.integer && !Number.isInteger(value))) {
+      errors.push({ field: key, message: `${key} must be a${limit.integer ? 'n integer' : ' number'}`, value: raw });
+    } else if (value < limit.min || value > limit.max) {
+      errors.push({ field: key, message: `${key} must be between ${limit.min} and ${limit.max}`, value: raw });
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { options, errors };
+}
+
+// =============================
+// 📊 Session State
+// =============================
+// A session is plain data, so it can live in a shared store:
+//   { id, options, startedAt, lastFrameAt, framesProcessed, buckets, state,
+//     alerts, lastVerdict }
+// Verdicts are counted in buckets of 1/BUCKETS_PER_WINDOW of the window (at
+// least a second), so a session stays small enough for one Firestore
+// document however fast frames arrive; the window edge is exact to a bucket.
+const BUCKETS_PER_WINDOW = 240;
+
+function bucketMs(options) {
+  return Math.max(1000, Math.floor((options.windowMinutes * 60 * 1000) / BUCKETS_PER_WINDOW));
+}
+
+function newSession(options) {
+  return {
+    id: crypto.randomUUID(),
+    options,
+    startedAt: new Date().toISOString(),
+    lastFrameAt: null,
+    framesProcessed: 0,
+    buckets: [],
+    state: 'ok',
+    alerts: [],
+    lastVerdict: null
+  };
+}
+
+// Buckets that overlap the window ending at `now`
+function windowBuckets(session, now) {
+  const cutoff = now - session.options.windowMinutes * 60 * 1000;
+  const size = bucketMs(session.options);
+  return session.buckets.filter(bucket => bucket.t + size > cutoff);
+}
+
+/**
+ * Counts and proportions over the last `windowMinutes` before `now`; the bad
+ * fraction is taken over confident verdicts only, so uncertain frames neither
+ * raise nor mask an alarm.
+ */
+export function sessionStats(session, now = Date.now()) {
+  const counts = Object.fromEntries([...Object.keys(CLINKER_CLASSES), UNCERTAIN].map(label => [label, 0]));
+  windowBuckets(session, now).forEach(bucket => {
+    Object.entries(bucket.counts).forEach(([label, count]) => { counts[label] = (counts[label] || 0) + count; });
+  });
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const classified = total - counts[UNCERTAIN];
+  const bad = BAD_LABELS.reduce((sum, label) => sum + counts[label], 0);
+  const proportions = Object.fromEntries(
+    Object.entries(counts).map(([label, count]) => [label, total ? Math.round((count / total) * 10000) / 10000 : 0])
+  );
+
+  return {
+    windowMinutes: session.options.windowMinutes,
+    total,
+    classified,
+    counts,
+    proportions,
+    badFraction: classified ? Math.round((bad / classified) * 10000) / 10000 : 0
+  };
+}
+
+function buildAlert(session, type, severity, message, stats) {
+  return {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    sessionName: session.options.name,
+    type,
+    severity,
+    message,
+    timestamp: new Date().toISOString(),
+    badFraction: stats.badFraction,
+    limit: session.options.badFractionLimit,
+    counts: stats.counts
+  };
+}
+
+/**
+ * Adds one verdict seen at `time`. Returns { session, stats, alert } with
+ * the next session state; alert is set only when the state changed.
+ */
+export function recordVerdict(session, verdict, time = Date.now()) {
+  const size = bucketMs(session.options);
+  const t = time - (time % size);
+  const buckets = windowBuckets(session, Math.max(time, Date.parse(session.lastFrameAt) || 0))
+    .map(bucket => ({ t: bucket.t, counts: { ...bucket.counts } }));
+  let bucket = buckets.find(b => b.t === t);
+  if (!bucket) {
+    bucket = { t, counts: {} };
+    buckets.push(bucket);
+    buckets.sort((a, b) => a.t - b.t);
+  }
+  bucket.counts[verdict.label] = (bucket.counts[verdict.label] || 0) + 1;
+
+  const lastFrameAt = new Date(time).toISOString();
+  let next = {
+    ...session,
+    buckets,
+    framesProcessed: session.framesProcessed + 1,
+    lastFrameAt,
+    lastVerdict: { label: verdict.label, confidence: verdict.confidence, at: lastFrameAt }
+  };
+
+  const stats = sessionStats(next, time);
+  const { badFractionLimit, minSamples, windowMinutes } = session.options;
+  const pct = (value) => `${(value * 100).toFixed(1)}%`;
+  let alert = null;
+
+  if (session.state === 'ok' && stats.classified >= minSamples && stats.badFraction >= badFractionLimit) {
+    alert = buildAlert(session, 'clinker_bad_fraction', 'critical',
+      `Bad clinker at ${pct(stats.badFraction)} of the last ${windowMinutes} min (limit ${pct(badFractionLimit)})`, stats);
+    next = { ...next, state: 'alarm' };
+  } else if (session.state === 'alarm' && stats.badFraction < badFractionLimit) {
+    alert = buildAlert(session, 'clinker_bad_fraction_cleared', 'info',
+      `Bad clinker back to ${pct(stats.badFraction)} of the last ${windowMinutes} min`, stats);
+    next = { ...next, state: 'ok' };
+  }
+  if (alert) next.alerts = [...session.alerts, alert].slice(-MAX_ALERTS_KEPT);
+
+  return { session: next, stats, alert };
+}
+
+export function sessionSummary(session) {
+  return {
+    id: session.id,
+    name: session.options.name,
+    options: session.options,
+    startedAt: session.startedAt,
+    lastFrameAt: session.lastFrameAt,
+    framesProcessed: session.framesProcessed,
+    state: session.state,
+    lastVerdict: session.lastVerdict,
+    stats: sessionStats(session),
+    alerts: session.alerts.slice(-10).reverse()
+  };
+}
+
+// Sessions nobody has sent a frame to for CLINKER_SESSION_IDLE_MINUTES are dropped
+function isIdle(session, now = Date.now()) {
+  const idleMinutes = Number(process.env.CLINKER_SESSION_IDLE_MINUTES) || 60;
+  return Date.parse(session.lastFrameAt || session.startedAt) < now - idleMinutes * 60 * 1000;
+}
+
+// =============================
+// 💾 Session Stores
+// =============================
+// Every store implements:
+//   create(session)      -> Promise<boolean>  false when MAX_SESSIONS are running
+//   get(id)              -> Promise<session | null>
+//   list()               -> Promise<[session]>
+//   update(id, change)   -> Promise<result | null>  change(session) -> { session, result }
+//   remove(id)           -> Promise<session | null>
+// Idle sessions are dropped by the store and count as missing.
+
+class MemorySessionStore {
+  constructor() {
+    this.type = 'memory';
+    this.sessions = new Map();
+  }
+
+  expireIdle() {
+    for (const [id, session] of this.sessions) {
+      if (isIdle(session)) this.sessions.delete(id);
+    }
+  }
+
+  async create(session) {
+    this.expireIdle();
+    if (this.sessions.size >= MAX_SESSIONS) return false;
+    this.sessions.set(session.id, session);
+    return true;
+  }
+
+  async get(id) {
+    this.expireIdle();
+    return this.sessions.get(id) || null;
+  }
+
+  async list() {
+    this.expireIdle();
+    return [...this.sessions.values()];
+  }
+
+  async update(id, change) {
+    const session = await this.get(id);
+    if (!session) return null;
+    const next = change(session);
+    this.sessions.set(id, next.session);
+    return next.result;
+  }
+
+  async remove(id) {
+    const session = this.sessions.get(id) || null;
+    this.sessions.delete(id);
+    return session;
+  }
+}
+
+// One document per session, shared by every instance, so a camera's frames
+// can land on any of them; frames are recorded in a transaction.
+class FirestoreSessionStore {
+  constructor({ projectId, collection }) {
+    this.type = 'firestore';
+    this.db = new Firestore({ projectId, keyFilename: './service-account-key.json' });
+    this.collection = this.db.collection(collection);
+  }
+
+  async create(session) {
+    return this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(this.collection);
+      const running = snapshot.docs.filter(doc => !isIdle(doc.data()));
+      if (running.length >= MAX_SESSIONS) return false;
+      snapshot.docs.filter(doc => isIdle(doc.data())).forEach(doc => transaction.delete(doc.ref));
+      transaction.set(this.collection.doc(session.id), session);
+      return true;
+    });
+  }
+
+  async get(id) {
+    const snapshot = await this.collection.doc(id).get();
+    return snapshot.exists && !isIdle(snapshot.data()) ? snapshot.data() : null;
+  }
+
+  async list() {
+    const snapshot = await this.collection.get();
+    return snapshot.docs.map(doc => doc.data()).filter(session => !isIdle(session));
+  }
+
+  async update(id, change) {
+    const ref = this.collection.doc(id);
+    return this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists || isIdle(snapshot.data())) return null;
+      const next = change(snapshot.data());
+      transaction.set(ref, next.session);
+      return next.result;
+    });
+  }
+
+  async remove(id) {
+    const ref = this.collection.doc(id);
+    return this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists) return null;
+      transaction.delete(ref);
+      return snapshot.data();
+    });
+  }
+}
+
+let sessionStore = null;
+
+// CLINKER_SESSION_STORE = firestore | memory; defaults to firestore with
+// NODE_ENV=production (every instance sees every session), otherwise memory
+export function getSessionStore() {
+  if (sessionStore) return sessionStore;
+
+  const type = process.env.CLINKER_SESSION_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'memory');
+  switch (type) {
+    case 'firestore':
+      sessionStore = new FirestoreSessionStore({
+        projectId: process.env.GCP_PROJECT_ID || 'genai-exchange-472212',
+        collection: process.env.CLINKER_SESSION_COLLECTION || 'clinker_sessions'
+      });
+      break;
+    case 'memory':
+      sessionStore = new MemorySessionStore();
+      break;
+    default:
+      throw new Error(`Unknown clinker session store: ${type}`);
+  }
+  return sessionStore;
+}
+
+// =============================
+// 📹 Sessions
+// =============================
+// Returns null when MAX_SESSIONS are already running
+export async function createMonitoringSession(options) {
+  const session = newSession(options);
+  return (await getSessionStore().create(session)) ? session : null;
+}
+
+export async function getMonitoringSession(id) {
+  return getSessionStore().get(id);
+}
+
+export async function listMonitoringSessions() {
+  return (await getSessionStore().list()).map(sessionSummary);
+}
+
+/**
+ * Records a verdict seen at `time` in a session. Resolves to { session,
+ * stats, alert } (see recordVerdict), or null when the session is gone.
+ * Alerts are emitted once the frame is stored.
+ */
+export async function recordMonitoringFrame(id, verdict, time = Date.now()) {
+  const recorded = await getSessionStore().update(id, session => {
+    const result = recordVerdict(session, verdict, time);
+    return { session: result.session, result };
+  });
+  if (recorded?.alert) clinkerMonitorEvents.emit('alert', recorded.alert);
+  return recorded;
+}
+
+export async function stopMonitoringSession(id) {
+  return getSessionStore().remove(id);
+}
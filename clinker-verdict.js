@@ -0,0 +1,129 @@
+// clinker-verdict.js
+import { callModel } from './model-providers.js';
+
+// Canonical clinker classes. Model display names are matched by substring so
+// labels like "Overburnt_Clinker" still map to their class.
+export const CLINKER_CLASSES = {
+  good: { emoji: '✅', description: 'Optimally burnt clinker' },
+  overburnt: { emoji: '🔥', description: 'Overburnt clinker' },
+  underburnt: { emoji: '👎', description: 'Underburnt clinker' }
+};
+
+export const UNCERTAIN = 'uncertain';
+
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+const DEFAULT_MIN_MARGIN = 0.15;
+const DEFAULT_ALERT_THRESHOLDS = { overburnt: 0.7, underburnt: 0.7 };
+
+function parseRatio(name, raw, fallback) {
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || value > 1) {
+    throw new Error(`${name} must be a number between 0 and 1, got "${raw}"`);
+  }
+  return value;
+}
+
+// "overburnt=0.7,underburnt=0.65" -> { overburnt: 0.7, underburnt: 0.65 }
+function parseAlertThresholds(raw) {
+  if (raw === undefined || raw === '') return { ...DEFAULT_ALERT_THRESHOLDS };
+  const thresholds = {};
+  for (const pair of raw.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [label, value] = pair.split('=').map(p => p.trim());
+    if (!CLINKER_CLASSES[label]) {
+      throw new Error(`CLINKER_ALERT_THRESHOLDS: unknown label "${label}" (use ${Object.keys(CLINKER_CLASSES).join(', ')})`);
+    }
+    thresholds[label] = parseRatio(`CLINKER_ALERT_THRESHOLDS.${label}`, value, undefined);
+  }
+  return thresholds;
+}
+
+/**
+ * Decision thresholds, read from env on every call so they can be changed
+ * without touching the clients:
+ *   CLINKER_MIN_CONFIDENCE   - top score needed for a confident verdict
+ *   CLINKER_MIN_MARGIN       - required lead of the top score over the runner-up
+ *   CLINKER_ALERT_THRESHOLDS - per-label scores that raise an alert
+ */
+export function getClinkerVerdictConfig() {
+  return {
+    minConfidence: parseRatio('CLINKER_MIN_CONFIDENCE', process.env.CLINKER_MIN_CONFIDENCE, DEFAULT_MIN_CONFIDENCE),
+    minMargin: parseRatio('CLINKER_MIN_MARGIN', process.env.CLINKER_MIN_MARGIN, DEFAULT_MIN_MARGIN),
+    alertThresholds: parseAlertThresholds(process.env.CLINKER_ALERT_THRESHOLDS)
+  };
+}
+
+const LABEL_MATCH_ORDER = ['overburnt', 'underburnt', 'good'];
+
+export function normalizeClinkerLabel(rawLabel) {
+  const label = String(rawLabel).toLowerCase();
+  // Check the specific classes first, so a label like "not_good_overburnt" is overburnt
+  return LABEL_MATCH_ORDER.find(name => label.includes(name)) || null;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Turns one AutoML image classification prediction ({ displayNames, confidences })
+ * into the verdict every client shows: the winning class, or "uncertain" when
+ * the top score is too low or too close to the runner-up, plus any labels
+ * whose score crossed their alert threshold.
+ */
+export function interpretClinkerPrediction(prediction, config = getClinkerVerdictConfig()) {
+  if (!prediction || !Array.isArray(prediction.displayNames) || !Array.isArray(prediction.confidences)
+      || prediction.displayNames.length === 0) {
+    throw new Error('Invalid response format from clinker model');
+  }
+
+  const scores = prediction.displayNames
+    .map((rawLabel, i) => ({
+      label: normalizeClinkerLabel(rawLabel),
+      rawLabel,
+      confidence: Number(prediction.confidences[i]) || 0
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const [top, runnerUp] = scores;
+  const margin = runnerUp ? top.confidence - runnerUp.confidence : top.confidence;
+
+  let reason = null;
+  if (!top.label) {
+    reason = `Model label "${top.rawLabel}" is not a known clinker class`;
+  } else if (top.confidence < config.minConfidence) {
+    reason = `Top score ${round(top.confidence)} is below the minimum confidence ${config.minConfidence}`;
+  } else if (margin < config.minMargin) {
+    reason = `Top score leads ${runnerUp.label || runnerUp.rawLabel} by only ${round(margin)} (minimum ${config.minMargin})`;
+  }
+
+  const label = reason ? UNCERTAIN : top.label;
+
+  const alerts = scores
+    .filter(s => s.label && config.alertThresholds[s.label] !== undefined && s.confidence >= config.alertThresholds[s.label])
+    .map(s => ({ label: s.label, confidence: s.confidence, threshold: config.alertThresholds[s.label] }));
+
+  return {
+    label,
+    confidence: top.confidence,
+    emoji: reason ? '❓' : CLINKER_CLASSES[label].emoji,
+    uncertain: Boolean(reason),
+    reason,
+    top: { label: top.label, rawLabel: top.rawLabel, confidence: top.confidence },
+    runnerUp: runnerUp ? { label: runnerUp.label, rawLabel: runnerUp.rawLabel, confidence: runnerUp.confidence } : null,
+    margin: round(margin),
+    scores,
+    alert: alerts.length > 0,
+    alerts,
+    thresholds: config
+  };
+}
+
+/**
+ * Sends one Base64 frame to the clinker model and returns the raw
+ * predictions together with the verdict.
+ */
+export async function classifyClinkerFrame(image) {
+  const result = await callModel('clinker', [{ content: image }]);
+  return { predictions: result.predictions, verdict: interpretClinkerPrediction(result.predictions[0]) };
+}
@@ -0,0 +1,318 @@
+// demand-model.js
+import { callModel } from './model-providers.js';
+import { validateInput } from './model-schemas.js';
+
+// Macro drivers the demand model takes besides date and region
+export const DEMAND_DRIVERS = [
+  'gdp_growth_rate', 'construction_index', 'rainfall_mm',
+  'cement_price_per_ton', 'infrastructure_spending_million'
+];
+
+export const DEMAND_FIELDS = ['date', 'region', ...DEMAND_DRIVERS];
+
+const DEFAULT_CHUNK_SIZE = 100;
+const MAX_HORIZON_MONTHS = 60;
+const MAX_SCENARIOS = 6;
+
+export function toDemandInstance(values) {
+  return Object.fromEntries(DEMAND_FIELDS.map(field => [field, values[field].toString()]));
+}
+
+/**
+ * Predicts demand for many input rows in chunked model calls. The result is
+ * aligned with `rows`: each entry is the model prediction or { error }.
+ */
+export async function predictDemands(rows, { chunkSize } = {}) {
+  const size = chunkSize || parseInt(process.env.DEMAND_BATCH_CHUNK_SIZE, 10) || DEFAULT_CHUNK_SIZE;
+  const results = new Array(rows.length);
+
+  for (let start = 0; start < rows.length; start += size) {
+    const chunk = rows.slice(start, start + size);
+    try {
+      const result = await callModel('demand', chunk.map(toDemandInstance));
+      chunk.forEach((row, i) => {
+        results[start + i] = result.predictions?.[i] || { error: 'Model returned no prediction for this row' };
+      });
+    } catch (err) {
+      console.error(`Demand batch chunk starting at ${start} failed:`, err);
+      chunk.forEach((row, i) => {
+        results[start + i] = { error: err.message };
+      });
+    }
+  }
+
+  return results;
+}
+
+// 'YYYY-MM' for `count` consecutive months starting at startMonth
+export function monthSequence(startMonth, count) {
+  const [year, month] = startMonth.split('-').map(Number);
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(Date.UTC(year, month - 1 + i, 1));
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  });
+}
+
+/**
+ * Validates a /forecast-demand request and expands every scenario into one
+ * demand model input row per month. Each driver is either a constant or a
+ * per-month array; scenarios override the shared `assumptions`.
+ *
+ * Returns { plan, errors } where plan is { region, months, scenarios: [{ name, rows }] }.
+ */
+export function buildForecastPlan(body = {}) {
+  const errors = [];
+
+  const startMonth = String(body.startMonth ?? '');
+  if (!/^\d{4}-\d{2}$/.test(startMonth) || Number(startMonth.slice(5)) < 1 || Number(startMonth.slice(5)) > 12) {
+    errors.push({ field: 'startMonth', message: 'startMonth must be a month in YYYY-MM format' });
+  }
+
+  const horizon = parseInt(body.months, 10);
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON_MONTHS) {
+    errors.push({ field: 'months', message: `months must be between 1 and ${MAX_HORIZON_MONTHS}` });
+  }
+
+  if (body.scenarios !== undefined && body.scenarios !== null
+    && (typeof body.scenarios !== 'object' || Array.isArray(body.scenarios))) {
+    errors.push({ field: 'scenarios', message: 'scenarios must be an object keyed by scenario name' });
+    return { plan: null, errors };
+  }
+
+  const base = body.assumptions || {};
+  const scenarioInputs = body.scenarios && Object.keys(body.scenarios).length > 0
+    ? body.scenarios
+    : { base: {} };
+
+  if (Object.keys(scenarioInputs).length > MAX_SCENARIOS) {
+    errors.push({ field: 'scenarios', message: `At most ${MAX_SCENARIOS} scenarios can be compared` });
+  }
+
+  if (errors.length > 0) return { plan: null, errors };
+
+  const months = monthSequence(startMonth, horizon);
+  const scenarios = [];
+
+  for (const [name, overrides] of Object.entries(scenarioInputs)) {
+    const assumptions = { ...base, ...(overrides || {}) };
+    const rows = [];
+
+    for (const driver of DEMAND_DRIVERS) {
+      const value = assumptions[driver];
+      if (Array.isArray(value) && value.length !== horizon) {
+        errors.push({
+          field: `scenarios.${name}.${driver}`,
+          message: `${driver} must be a single value or a list of ${horizon} monthly values`
+        });
+      }
+    }
+    if (errors.length > 0) continue;
+
+    months.forEach((date, i) => {
+      const input = { date, region: body.region };
+      for (const driver of DEMAND_DRIVERS) {
+        const value = assumptions[driver];
+        input[driver] = Array.isArray(value) ? value[i] : value;
+      }
+      input.units = assumptions.units;
+
+      const { values, errors: rowErrors } = validateInput('demand', input);
+      rowErrors.forEach(e => {
+        // Constant drivers are reported once, per-month values with their month
+        let field = e.field;
+        if (DEMAND_DRIVERS.includes(e.field)) {
+          field = Array.isArray(assumptions[e.field])
+            ? `scenarios.${name}.${e.field}[${date}]`
+            : `scenarios.${name}.${e.field}`;
+        }
+        if (!errors.some(existing => existing.field === field && existing.message === e.message)) {
+          errors.push({ ...e, field });
+        }
+      });
+      rows.push(values);
+    });
+
+    scenarios.push({ name, rows });
+  }
+
+  return { plan: { region: body.region, months, scenarios }, errors };
+}
+
+/**
+ * Runs every scenario of a forecast plan through the demand model in one
+ * chunked batch and returns the month-by-month series per scenario.
+ */
+export async function runForecast(plan) {
+  const allRows = plan.scenarios.flatMap(s => s.rows);
+  const predictions = await predictDemands(allRows);
+
+  let offset = 0;
+  const scenarios = plan.scenarios.map(scenario => {
+    const series = scenario.rows.map((row, i) => {
+      const prediction = predictions[offset + i];
+      const inputs = Object.fromEntries(DEMAND_DRIVERS.map(driver => [driver, row[driver]]));
+      if (prediction.error) return { date: row.date, ...inputs, error: prediction.error };
+      return {
+        date: row.date,
+        ...inputs,
+        prediction: prediction.value,
+        lower_bound: prediction.lower_bound,
+        upper_bound: prediction.upper_bound
+      };
+    });
+    offset += scenario.rows.length;
+
+    const total = series.reduce((sum, point) => sum + (Number(point.prediction) || 0), 0);
+    return {
+      name: scenario.name,
+      total: Math.round(total * 100) / 100,
+      failed: series.filter(point => point.error).length,
+      series
+    };
+  });
+
+  return { region: plan.region, months: plan.months, scenarios };
+}
+
+const DEFAULT_PERTURBATION = 0.1;
+const DEFAULT_PRICE_SPAN = 0.3;
+const DEFAULT_PRICE_STEPS = 13;
+
+function clamp(value, field) {
+  return Math.min(Math.max(value, field.min ?? -Infinity), field.max ?? Infinity);
+}
+
+function roundTo(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Arc (midpoint) elasticity between two observations
+function arcElasticity(q1, q2, x1, x2) {
+  const dq = (q2 - q1) / ((q1 + q2) / 2);
+  const dx = (x2 - x1) / ((x1 + x2) / 2);
+  return dx === 0 || !Number.isFinite(dq / dx) ? null : dq / dx;
+}
+
+// Constant-elasticity fit: slope of ln(demand) against ln(price)
+function logLogSlope(points) {
+  const usable = points.filter(p => p.price > 0 && p.demand > 0);
+  if (usable.length < 2) return null;
+  const xs = usable.map(p => Math.log(p.price));
+  const ys = usable.map(p => Math.log(p.demand));
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+  let num = 0;
+  let den = 0;
+  xs.forEach((x, i) => {
+    num += (x - meanX) * (ys[i] - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return den === 0 ? null : num / den;
+}
+
+/**
+ * Price sweep for a sensitivity run: `priceRange` { min, max, steps } with
+ * each bound defaulting to ±30% around the baseline price, clamped to the
+ * field's limits. Callers check min < max, which a lone bound can break.
+ */
+export function resolvePriceRange(basePrice, priceField, priceRange = {}) {
+  return {
+    min: clamp(priceRange.min ?? basePrice * (1 - DEFAULT_PRICE_SPAN), priceField),
+    max: clamp(priceRange.max ?? basePrice * (1 + DEFAULT_PRICE_SPAN), priceField),
+    steps: priceRange.steps ?? DEFAULT_PRICE_STEPS
+  };
+}
+
+/**
+ * Perturbs each demand driver around a validated baseline (one at a time,
+ * ±perturbation) and sweeps cement price to build a price–demand curve.
+ * Everything is evaluated in one chunked batch against the demand model.
+ *
+ * Returns the baseline prediction, per-driver results ranked tornado-style
+ * by swing, and the price curve with arc and log-log elasticity estimates.
+ */
+export async function analyzeDemandSensitivity(baseline, schemaFields, options = {}) {
+  const perturbation = options.perturbation ?? DEFAULT_PERTURBATION;
+  const basePrice = baseline.cement_price_per_ton;
+  const priceField = schemaFields.cement_price_per_ton;
+
+  const { min: priceMin, max: priceMax, steps } = resolvePriceRange(basePrice, priceField, options.priceRange);
+  const prices = Array.from({ length: steps }, (_, i) =>
+    roundTo(steps === 1 ? priceMin : priceMin + ((priceMax - priceMin) * i) / (steps - 1), 2)
+  );
+
+  const drivers = DEMAND_DRIVERS.map(driver => {
+    const field = schemaFields[driver];
+    const base = baseline[driver];
+    // Zero baselines (e.g. no rainfall) get a step relative to the field's range
+    const delta = base !== 0 ? Math.abs(base) * perturbation : ((field.max - field.min) * perturbation) / 10;
+    return { driver, base, low: clamp(base - delta, field), high: clamp(base + delta, field) };
+  });
+
+  const rows = [
+    baseline,
+    ...drivers.flatMap(d => [{ ...baseline, [d.driver]: d.low }, { ...baseline, [d.driver]: d.high }]),
+    ...prices.map(price => ({ ...baseline, cement_price_per_ton: price }))
+  ];
+
+  const predictions = await predictDemands(rows);
+  const value = (i) => (predictions[i].error ? null : Number(predictions[i].value));
+
+  const baselineDemand = value(0);
+  if (baselineDemand === null) {
+    throw new Error(predictions[0].error);
+  }
+  // Changes and elasticities are relative to the baseline, so they need one
+  if (!(baselineDemand > 0)) {
+    const error = new Error(`The model predicts a baseline demand of ${baselineDemand}; sensitivity needs a positive baseline`);
+    error.status = 422;
+    throw error;
+  }
+
+  const oneAtATime = drivers.map((d, i) => {
+    const lowDemand = value(1 + i * 2);
+    const highDemand = value(2 + i * 2);
+    if (lowDemand === null || highDemand === null) {
+      return { driver: d.driver, baseValue: d.base, error: 'Model failed for this perturbation' };
+    }
+    const elasticity = arcElasticity(lowDemand, highDemand, d.low, d.high);
+    return {
+      driver: d.driver,
+      baseValue: d.base,
+      lowValue: roundTo(d.low),
+      highValue: roundTo(d.high),
+      lowDemand,
+      highDemand,
+      lowChangePct: roundTo(((lowDemand - baselineDemand) / baselineDemand) * 100, 2),
+      highChangePct: roundTo(((highDemand - baselineDemand) / baselineDemand) * 100, 2),
+      swing: roundTo(Math.abs(highDemand - lowDemand), 2),
+      elasticity: elasticity === null ? null : roundTo(elasticity)
+    };
+  });
+
+  const tornado = oneAtATime
+    .filter(r => !r.error)
+    .sort((a, b) => b.swing - a.swing)
+    .map((r, i) => ({ rank: i + 1, driver: r.driver, swing: r.swing, lowDemand: r.lowDemand, highDemand: r.highDemand }));
+
+  const offset = 1 + drivers.length * 2;
+  const curve = prices
+    .map((price, i) => ({ price, demand: value(offset + i) }))
+    .filter(p => p.demand !== null);
+
+  const priceResult = oneAtATime.find(r => r.driver === 'cement_price_per_ton');
+  const slope = logLogSlope(curve);
+
+  return {
+    baseline: { ...baseline, demand: baselineDemand },
+    perturbation,
+    oneAtATime,
+    tornado,
+    priceCurve: {
+      points: curve,
+      elasticityAtBaseline: priceResult?.elasticity ?? null,
+      constantElasticityFit: slope === null ? null : roundTo(slope)
+    }
+  };
+}
@@ -0,0 +1,186 @@
+// document-chunker.js
+// Splits extracted document text into overlapping chunks for embedding.
+// Pages are separated by form feeds (\f), the way PDF text layers are
+// usually dumped; a section is the nearest heading above the chunk.
+
+const DEFAULT_CHUNK_SIZE = 1500;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+function parseCount(name, raw, fallback) {
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+    }
+    return value;
+}
+
+/**
+ * Chunking settings, read from env:
+ *   CHATBOT_CHUNK_SIZE    - target characters per chunk (default 1500)
+ *   CHATBOT_CHUNK_OVERLAP - characters repeated from the previous chunk (default 200)
+ */
+export function getChunkingConfig() {
+    const chunkSize = parseCount('CHATBOT_CHUNK_SIZE', process.env.CHATBOT_CHUNK_SIZE, DEFAULT_CHUNK_SIZE);
+    const chunkOverlap = parseCount('CHATBOT_CHUNK_OVERLAP', process.env.CHATBOT_CHUNK_OVERLAP, DEFAULT_CHUNK_OVERLAP);
+    if (chunkSize < 200) {
+        throw new Error(`CHATBOT_CHUNK_SIZE must be at least 200, got ${chunkSize}`);
+    }
+    if (chunkOverlap >= chunkSize / 2) {
+        throw new Error('CHATBOT_CHUNK_OVERLAP must be less than half of CHATBOT_CHUNK_SIZE');
+    }
+    return { chunkSize, chunkOverlap };
+}
+
+// Markdown headings ("## Start-up") and numbered headings ("4.2 Kiln Start-up")
+function headingOf(paragraph) {
+    const line = paragraph.split('\n')[0].trim();
+    if (line.length > 100) return null;
+    const markdown = line.match(/^#{1,6}\s+(.+)$/);
+    if (markdown) return markdown[1].trim();
+    if (/^\d+(\.\d+)*\.?\s+\p{Lu}/u.test(line) && !/[.:;]$/.test(line)) return line;
+    return null;
+}
+
+// Breaks text longer than `size` at sentence ends, then at spaces
+function splitLong(text, size) {
+    const pieces = [];
+    let rest = text;
+    while (rest.length > size) {
+        const window = rest.slice(0, size);
+        let cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+        if (cut < size / 2) cut = window.lastIndexOf(' ');
+        if (cut < size / 2) cut = size - 1;
+        pieces.push(rest.slice(0, cut + 1).trim());
+        rest = rest.slice(cut + 1).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+// Last `overlap` characters of a chunk, starting on a word boundary
+function tailOf(text, overlap) {
+    if (overlap === 0 || text.length <= overlap) return overlap === 0 ? '' : text;
+    const tail = text.slice(-overlap);
+    const space = tail.indexOf(' ');
+    return space === -1 ? tail : tail.slice(space + 1);
+}
+
+/**
+ * Splits `content` into chunks of roughly `chunkSize` characters that repeat
+ * the last `chunkOverlap` characters of the previous chunk. Chunks never span
+ * two pages. Returns [{ chunkIndex, text, page, section, overlap }] where page
+ * is null for text without page breaks, section is null before the first
+ * heading and overlap is how many leading characters repeat the previous chunk.
+ */
+export function chunkDocument(content, { chunkSize, chunkOverlap } = getChunkingConfig()) {
+    const pages = String(content || '').split('\f');
+    const paged = pages.length > 1;
+    const chunks = [];
+    let section = null;
+
+    pages.forEach((pageText, pageIndex) => {
+        const page = paged ? pageIndex + 1 : null;
+        let carry = '';
+        let body = '';
+        let chunkSection = section;
+
+        const joined = () => (carry ? `${carry}\n\n${body}` : body);
+        const flush = () => {
+            if (body) {
+                const overlap = carry ? carry.length + 2 : 0;
+                chunks.push({ chunkIndex: chunks.length, text: joined(), page, section: chunkSection, overlap });
+            }
+        };
+
+        const paragraphs = pageText.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+        for (const paragraph of paragraphs) {
+            const heading = headingOf(paragraph);
+            if (heading) section = heading;
+
+            for (const piece of splitLong(paragraph, chunkSize - chunkOverlap)) {
+                if (body && joined().length + piece.length + 2 > chunkSize) {
+                    flush();
+                    carry = tailOf(joined(), chunkOverlap);
+                    body = '';
+                }
+                if (!body) chunkSection = section;
+                body = body ? `${body}\n\n${piece}` : piece;
+            }
+        }
+        flush();
+    });
+
+    return chunks;
+}
+
+/**
+ * Groups vector query matches (one per chunk) into documents, best first:
+ * [{ id, metadata, score, content, chunks: [{ chunkIndex, page, section, content,
+ * score, retrieval, scores }] }]
+ * keeping at most `chunksPerDocument` passages each, joined in reading order
+ * into `content`. Vectors stored before chunking have no documentId and count
+ * as a single chunk.
+ */
+export function groupChunkMatches(matches, topK, chunksPerDocument) {
+    const byDocument = new Map();
+    for (const match of matches) {
+        const metadata = match.metadata || {};
+        const documentId = metadata.documentId || match.id;
+        if (!byDocument.has(documentId)) {
+            const { content, chunkIndex, page, section, overlap, ...documentMetadata } = metadata;
+            byDocument.set(documentId, { id: documentId, metadata: documentMetadata, score: match.score, chunks: [] });
+        }
+        const document = byDocument.get(documentId);
+        document.score = Math.max(document.score, match.score);
+        if (document.chunks.length < chunksPerDocument) {
+            document.chunks.push({
+                chunkIndex: metadata.chunkIndex ?? 0,
+                page: metadata.page ?? null,
+                section: metadata.section ?? null,
+                content: metadata.content || '',
+                score: match.score,
+                retrieval: match.retrieval || 'vector',
+                scores: match.scores || { vector: match.score }
+            });
+        }
+    }
+
+    return Array.from(byDocument.values())
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map(document => {
+            const chunks = [...document.chunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+            return { ...document, content: chunks.map(chunk => chunk.content).join('\n...\n') };
+        });
+}
+
+/**
+ * Rebuilds a document's text from its stored chunks (any order): the overlap
+ * each chunk repeats from the previous one is dropped and page changes become
+ * form feeds again. Chunks without a recorded `overlap` get a best guess.
+ */
+export function reassembleChunks(chunks) {
+    const ordered = [...chunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+    let text = '';
+    ordered.forEach((chunk, i) => {
+        const previous = ordered[i - 1];
+        if (!previous) {
+            text = chunk.content;
+        } else if ((previous.page ?? null) !== (chunk.page ?? null)) {
+            text += `\f${chunk.content}`;
+        } else {
+            const overlap = chunk.overlap ?? guessOverlap(previous.content, chunk.content);
+            text += `\n\n${chunk.content.slice(overlap).replace(/^\s+/, '')}`;
+        }
+    });
+    return text;
+}
+
+// Longest suffix of `previous` that `next` starts with, capped at half a chunk
+function guessOverlap(previous, next) {
+    for (let k = Math.floor(Math.min(previous.length, next.length) / 2); k > 0; k--) {
+        if (next.startsWith(previous.slice(-k))) return k;
+    }
+    return 0;
+}
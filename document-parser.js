@@ -0,0 +1,405 @@
+// document-parser.js
+// Local text extraction for chatbot uploads. PDFs are read from their text
+// layer page by page and DOCX files from their XML, with tables turned into
+// markdown, so uploads work offline and without spending model quota. Only
+// scanned PDF pages (images without a text layer) and legacy DOC files need
+// the LLM.
+import JSZip from 'jszip';
+import { fromBuffer } from 'pdf2pic';
+
+export const OCR_FALLBACKS = ['llm', 'none'];
+
+// Pages with less text than this that paint an image count as scanned
+const SCANNED_PAGE_CHARS = 20;
+// Gap between two text runs on a line, in font sizes, that starts a new column
+const COLUMN_GAP = 2;
+const OCR_DENSITY = 200;
+
+/**
+ * Parser settings, read from env:
+ *   CHATBOT_OCR_FALLBACK - llm (default) reads scanned PDF pages with the LLM;
+ *                          none leaves them empty with a warning
+ */
+export function getParserConfig() {
+    const ocrFallback = process.env.CHATBOT_OCR_FALLBACK || 'llm';
+    if (!OCR_FALLBACKS.includes(ocrFallback)) {
+        throw new Error(`CHATBOT_OCR_FALLBACK must be one of ${OCR_FALLBACKS.join(', ')}, got "${ocrFallback}"`);
+    }
+    return { ocrFallback };
+}
+
+// =============================
+// 📊 Markdown Tables
+// =============================
+function tableCell(text) {
+    return String(text).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+// rows: [[cell text]]; the first row becomes the header
+export function markdownTable(rows) {
+    const columns = Math.max(...rows.map(row => row.length));
+    const line = row => `| ${Array.from({ length: columns }, (_, i) => tableCell(row[i] ?? '')).join(' | ')} |`;
+    return [
+        line(rows[0]),
+        `| ${new Array(columns).fill('---').join(' | ')} |`,
+        ...rows.slice(1).map(line)
+    ].join('\n');
+}
+
+// =============================
+// 📕 PDF
+// =============================
+let pdfjs = null;
+
+// pdf.js is large; load it on the first PDF upload
+async function loadPdfjs() {
+    pdfjs = pdfjs || await import('pdfjs-dist/legacy/build/pdf.mjs');
+    return pdfjs;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+// Text runs joined into cells: a wide horizontal gap starts a new cell
+function cellsOf(items) {
+    const cells = [];
+    let cell = null;
+    for (const item of items) {
+        const gap = cell ? item.x - cell.end : 0;
+        if (!cell || gap > COLUMN_GAP * item.size) {
+            cell = { x: item.x, text: item.text, end: item.x + item.width };
+            cells.push(cell);
+            continue;
+        }
+        const spaced = gap > 0.15 * item.size && !/\s$/.test(cell.text) && !/^\s/.test(item.text);
+        cell.text += (spaced ? ' ' : '') + item.text;
+        cell.end = Math.max(cell.end, item.x + item.width);
+    }
+    return cells.map(c => ({ ...c, text: c.text.replace(/\s+/g, ' ').trim() }));
+}
+
+// pdf.js text items grouped into lines, top to bottom
+function layoutLines(items) {
+    const runs = items
+        .filter(item => typeof item.str === 'string' && item.str.trim())
+        .map(item => ({
+            text: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width,
+            size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10
+        }))
+        .sort((a, b) => b.y - a.y || a.x - b.x);
+
+    const lines = [];
+    for (const run of runs) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - run.y) <= line.size * 0.5) {
+            line.runs.push(run);
+            line.size = Math.max(line.size, run.size);
+        } else {
+            lines.push({ y: run.y, size: run.size, runs: [run] });
+        }
+    }
+    return lines.map(line => ({ ...line, cells: cellsOf(line.runs.sort((a, b) => a.x - b.x)) }));
+}
+
+// Consecutive lines that split into two or more cells become one table;
+// cells are put in columns by clustering their left edges
+function tableFrom(lines) {
+    const size = median(lines.map(line => line.size));
+    const edges = lines.flatMap(line => line.cells.map(cell => cell.x)).sort((a, b) => a - b);
+    const columns = [];
+    for (const x of edges) {
+        if (columns.length && x - columns[columns.length - 1].last <= size) {
+            columns[columns.length - 1].last = x;
+        } else {
+            columns.push({ first: x, last: x });
+        }
+    }
+    const columnOf = x => columns.findIndex(column => x >= column.first && x <= column.last);
+    return markdownTable(lines.map(line => {
+        const row = new Array(columns.length).fill('');
+        line.cells.forEach(cell => { row[columnOf(cell.x)] = cell.text; });
+        return row;
+    }));
+}
+
+/**
+ * One page's text: paragraphs are separated by blank lines (a larger than
+ * usual line gap), lines set well above the body size become "## " headings
+ * and aligned multi-column lines become markdown tables.
+ */
+function pageText(lines) {
+    const bodySize = median(lines.map(line => line.size));
+    const spacing = median(lines.slice(1).map((line, i) => lines[i].y - line.y)) || bodySize * 1.2;
+    const blocks = [];
+    let paragraph = [];
+    let tables = 0;
+    const endParagraph = () => {
+        if (paragraph.length) blocks.push(paragraph.join('\n'));
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.cells.length > 1) {
+            let end = i;
+            while (end + 1 < lines.length && lines[end + 1].cells.length > 1) end++;
+            if (end > i) {
+                endParagraph();
+                blocks.push(tableFrom(lines.slice(i, end + 1)));
+                tables++;
+                i = end;
+                continue;
+            }
+        }
+
+        const text = line.cells.map(cell => cell.text).join(' ');
+        if (line.size >= bodySize * 1.3 && text.length <= 100) {
+            endParagraph();
+            blocks.push(`## ${text}`);
+            continue;
+        }
+        if (i > 0 && lines[i - 1].y - line.y > spacing * 1.5) endParagraph();
+        paragraph.push(text);
+    }
+    endParagraph();
+    return { text: blocks.join('\n\n'), tables };
+}
+
+async function paintsImage(page, OPS) {
+    const imageOps = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintImageMaskXObject].filter(Boolean));
+    const { fnArray } = await page.getOperatorList();
+    return fnArray.some(fn => imageOps.has(fn));
+}
+
+// Renders one page to PNG (pdf2pic, needs GraphicsMagick and Ghostscript) and has the LLM read it
+async function ocrPage(buffer, pageNumber, llm) {
+    const convert = fromBuffer(buffer, { density: OCR_DENSITY, format: 'png', preserveAspectRatio: true, width: 1700 });
+    const { buffer: image } = await convert(pageNumber, { responseType: 'buffer' });
+    if (!image?.length) throw new Error('page could not be rendered (GraphicsMagick and Ghostscript are required)');
+    return (await llm.extractText(image, 'image/png')).trim();
+}
+
+async function parsePdf(buffer, { llm, ocrFallback }) {
+    const { getDocument, OPS } = await loadPdfjs();
+    const pdf = await getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0
+    }).promise;
+
+    const pages = [];
+    const ocrPages = [];
+    const warnings = [];
+    let tables = 0;
+    try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const parsed = pageText(layoutLines((await page.getTextContent()).items));
+            tables += parsed.tables;
+
+            if (parsed.text.replace(/\s/g, '').length < SCANNED_PAGE_CHARS && await paintsImage(page, OPS)) {
+                if (ocrFallback === 'none' || !llm?.configured) {
+                    const reason = ocrFallback === 'none' ? 'CHATBOT_OCR_FALLBACK=none' : 'no LLM configured';
+                    warnings.push(`Page ${pageNumber} looks scanned and was skipped (${reason})`);
+                } else {
+                    try {
+                        parsed.text = await ocrPage(buffer, pageNumber, llm);
+                        ocrPages.push(pageNumber);
+                    } catch (error) {
+                        console.error(`OCR failed for page ${pageNumber}:`, error.message);
+                        warnings.push(`Page ${pageNumber} looks scanned and could not be read: ${error.message}`);
+                    }
+                }
+            }
+            pages.push(parsed.text);
+            page.cleanup();
+        }
+    } finally {
+        await pdf.destroy();
+    }
+
+    // Form feeds keep page numbers for the chunker
+    return { text: pages.join('\f'), method: 'pdf', pageCount: pages.length, tables, ocrPages, warnings };
+}
+
+// =============================
+// 📘 DOCX
+// =============================
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+        }
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()];
+    });
+}
+
+function attribute(attributes, name) {
+    const match = attributes.match(new RegExp(`${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Walks word/document.xml: paragraphs become blocks, Heading/Title styles
+ * become markdown headings, numbered paragraphs list items and tables
+ * markdown tables. Word records where it last broke pages
+ * (w:lastRenderedPageBreak); those become form feeds, or the explicit page
+ * breaks when a document has none.
+ */
+function docxBlocks(xml) {
+    const renderedBreaks = xml.includes('<w:lastRenderedPageBreak');
+    const pages = [[]];
+    const paragraphs = [];
+    const tables = [];
+    let tableCount = 0;
+    let inText = false;
+    let skipDepth = 0;
+
+    const emit = block => {
+        const table = tables[tables.length - 1];
+        if (table) {
+            const row = table.rows[table.rows.length - 1];
+            row[row.length - 1].push(block);
+        } else {
+            pages[pages.length - 1].push(block);
+        }
+    };
+    const flushParagraph = paragraph => {
+        const text = paragraph.text.replace(/[ \t]+\n/g, '\n').trim();
+        if (!text) return;
+        if (paragraph.heading) emit(`${'#'.repeat(paragraph.heading)} ${text}`);
+        else if (paragraph.list) emit(`- ${text}`);
+        else emit(text);
+        paragraph.text = '';
+    };
+    const pageBreak = () => {
+        if (tables.length) return;
+        const paragraph = paragraphs[paragraphs.length - 1];
+        if (paragraph) flushParagraph(paragraph);
+        pages.push([]);
+    };
+
+    for (const [, closing, tag, attributes, selfClosing, text] of xml.matchAll(/<(\/)?([\w:]+)([^>]*?)(\/)?>|([^<]+)/g)) {
+        // Old-format copies of drawings and text boxes
+        if (tag === 'mc:Fallback') {
+            if (!selfClosing) skipDepth += closing ? -1 : 1;
+            continue;
+        }
+        if (skipDepth > 0) continue;
+
+        if (text !== undefined) {
+            if (inText && paragraphs.length) paragraphs[paragraphs.length - 1].text += decodeXml(text);
+            continue;
+        }
+        const paragraph = paragraphs[paragraphs.length - 1];
+
+        switch (tag) {
+            case 'w:p':
+                if (selfClosing) break;
+                if (closing) flushParagraph(paragraphs.pop());
+                else paragraphs.push({ text: '', heading: 0, list: false });
+                break;
+            case 'w:pStyle': {
+                const style = attribute(attributes, 'w:val') || '';
+                const heading = style.match(/^heading\s*(\d)$/i);
+                if (paragraph && heading) paragraph.heading = Math.min(Number(heading[1]), 6);
+                else if (paragraph && /^title$/i.test(style)) paragraph.heading = 1;
+                else if (paragraph && /^list/i.test(style)) paragraph.list = true;
+                break;
+            }
+            case 'w:numPr':
+                if (paragraph && !closing) paragraph.list = true;
+                break;
+            case 'w:t':
+                inText = !closing && !selfClosing;
+                break;
+            case 'w:tab':
+                // Tab stops in paragraph properties carry a position
+                if (paragraph && !attribute(attributes, 'w:pos')) paragraph.text += '\t';
+                break;
+            case 'w:br':
+                if (attribute(attributes, 'w:type') === 'page' && !renderedBreaks) pageBreak();
+                else if (paragraph) paragraph.text += '\n';
+                break;
+            case 'w:cr':
+                if (paragraph) paragraph.text += '\n';
+                break;
+            case 'w:lastRenderedPageBreak':
+                pageBreak();
+                break;
+            case 'w:tbl':
+                if (!closing) {
+                    tables.push({ rows: [] });
+                } else {
+                    const { rows } = tables.pop();
+                    const cells = rows.map(row => row.map(cell => cell.join(' ')));
+                    if (cells.length === 0) break;
+                    tableCount++;
+                    // A table inside a table cell is flattened into that cell
+                    emit(tables.length ? cells.map(row => row.join(' ')).join('; ') : markdownTable(cells));
+                }
+                break;
+            case 'w:tr':
+                if (!closing && tables.length) tables[tables.length - 1].rows.push([]);
+                break;
+            case 'w:tc':
+                if (!closing && tables.length) {
+                    const { rows } = tables[tables.length - 1];
+                    rows[rows.length - 1].push([]);
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    const nonEmpty = pages.filter(page => page.length);
+    return {
+        text: pages.map(page => page.join('\n\n')).join('\f'),
+        pageCount: renderedBreaks || pages.length > 1 ? nonEmpty.length : null,
+        tables: tableCount
+    };
+}
+
+async function parseDocx(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const documentXml = zip.file('word/document.xml');
+    if (!documentXml) throw new Error('Not a DOCX file: word/document.xml is missing');
+
+    const { text, pageCount, tables } = docxBlocks(await documentXml.async('string'));
+    return { text, method: 'docx', pageCount, tables, ocrPages: [], warnings: [] };
+}
+
+// =============================
+// 📄 Entry Point
+// =============================
+/**
+ * Extracts the text of an uploaded file. Returns
+ * { text, method, pageCount, tables, ocrPages, warnings } where method is
+ * 'text', 'pdf', 'docx' or 'llm' (legacy DOC), pageCount is null when the
+ * format has no pages, tables counts the markdown tables in `text` and
+ * ocrPages lists the scanned PDF pages the LLM read. Pages are separated by
+ * form feeds. `llm` is only called for scanned pages and DOC files.
+ */
+export async function parseDocument(buffer, mimeType, { llm = null, ocrFallback = getParserConfig().ocrFallback } = {}) {
+    switch (mimeType) {
+        case 'text/plain':
+            return { text: buffer.toString('utf-8'), method: 'text', pageCount: null, tables: 0, ocrPages: [], warnings: [] };
+        case 'application/pdf':
+            return parsePdf(buffer, { llm, ocrFallback });
+        case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+            return parseDocx(buffer);
+        case 'application/msword':
+            if (!llm) throw new Error('DOC files need the LLM for extraction; save them as DOCX or PDF');
+            return { text: await llm.extractText(buffer, mimeType), method: 'llm', pageCount: null, tables: 0, ocrPages: [], warnings: [] };
+        default:
+            throw new Error(`Unsupported file type: ${mimeType}`);
+    }
+}
@@ -0,0 +1,84 @@
+// event-stream.js
+// Server-Sent Events for streamed answers (POST /api/chatbot/chat/stream and
+// POST /ask-mcp/stream). Browsers read these with fetch rather than
+// EventSource, which can't POST; aborting the fetch cancels the answer.
+//
+// Event schema (every `data` is JSON):
+//   start        { ... }                  request accepted; route-specific context
+//   token        { text }                 next piece of the answer, append in order
+//   tool_call    { id, name, args, author }
+//                                         agent started a tool (MCP only)
+//   tool_result  { id, name, response, table, author }
+//                                         tool finished (MCP only); table is
+//                                         { columns, rows, rowCount } or null
+//   done         { ... }                  final payload, same as the non-streaming route
+//   error        { error, details }       the answer failed; the stream ends
+// The text in `done` is authoritative: clients replace what they built from
+// `token` events with it.
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switches `res` to an event stream. Returns { send(event, data), end(),
+ * signal } where `signal` aborts when the client goes away before end().
+ */
+export function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+/**
+ * Parses a Server-Sent Events response body (any async iterable of bytes or
+ * strings) into { event, data } messages; `data` is the raw string. Comments
+ * and id/retry fields are skipped.
+ */
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (line === '') {
+        if (data.length) yield { event, data: data.join('\n') };
+        event = 'message';
+        data = [];
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      }
+    }
+  }
+  // An event without its closing blank line is incomplete and dropped
+}
@@ -0,0 +1,242 @@
+// hybrid-search.js
+// Keyword (BM25) index kept next to a vector index, rank fusion of the two
+// result lists, and optional reranking. Plant documents are full of exact
+// tokens - equipment tags (K1-ID-FAN), error codes, formulas (C3S, Fe2O3) -
+// that embeddings blur; the keyword side finds those.
+import fs from 'fs/promises';
+import path from 'path';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const RERANKERS = ['none', 'keyword', 'gemini'];
+
+const RRF_K = 60;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Hybrid search settings, read from env:
+ *   CHATBOT_HYBRID_SEARCH - "false" turns the keyword side off (default on)
+ *   CHATBOT_RERANKER      - none (default) | keyword | gemini
+ */
+export function getHybridSearchConfig() {
+    const reranker = process.env.CHATBOT_RERANKER || 'none';
+    if (!RERANKERS.includes(reranker)) {
+        throw new Error(`CHATBOT_RERANKER must be one of ${RERANKERS.join(', ')}, got "${reranker}"`);
+    }
+    return { keyword: process.env.CHATBOT_HYBRID_SEARCH !== 'false', reranker };
+}
+
+// =============================
+// 🔤 Tokenizer
+// =============================
+/**
+ * Lowercased terms. Compound tokens such as "k1-id-fan" or "fe2o3" are kept
+ * whole and their parts are added too, so "ID fan" still matches "K1-ID-FAN".
+ */
+export function tokenizeForSearch(text) {
+    const compounds = String(text).toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || [];
+    const terms = [];
+    for (const compound of compounds) {
+        terms.push(compound);
+        const parts = compound.split(/[-_./]/);
+        if (parts.length > 1) terms.push(...parts);
+    }
+    return terms;
+}
+
+// =============================
+// 📚 BM25 Keyword Index
+// =============================
+// Chunks are kept with their metadata in one JSON file (or only in memory
+// without a file path) and scored per query; document frequencies are
+// computed over the chunks that pass the filter, so every session is scored
+// against its own documents.
+export class KeywordIndex {
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.chunks = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (this.chunks) return;
+        if (!this.filePath) {
+            this.chunks = new Map();
+            return;
+        }
+        try {
+            const saved = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+            this.chunks = new Map(saved.map(chunk => [chunk.id, chunk]));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            this.chunks = new Map();
+        }
+    }
+
+    save() {
+        if (!this.filePath) return Promise.resolve();
+        const result = this.writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            // Write to a temp file first so a crash never leaves half a file
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(Array.from(this.chunks.values())));
+            await fs.rename(tmpPath, this.filePath);
+        });
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    // entries: [{ id, metadata }] where metadata.content is the chunk text
+    async add(entries) {
+        await this.load();
+        for (const { id, metadata } of entries) {
+            const terms = tokenizeForSearch(metadata.content);
+            const frequencies = {};
+            terms.forEach(term => { frequencies[term] = (frequencies[term] || 0) + 1; });
+            this.chunks.set(id, { id, metadata, length: terms.length, frequencies });
+        }
+        await this.save();
+    }
+
+    // predicate(metadata, id) picks the chunks to drop
+    async remove(predicate) {
+        await this.load();
+        for (const chunk of this.chunks.values()) {
+            if (predicate(chunk.metadata, chunk.id)) this.chunks.delete(chunk.id);
+        }
+        await this.save();
+    }
+
+    // Ids of the chunks whose metadata passes `predicate`
+    async ids(predicate) {
+        await this.load();
+        return Array.from(this.chunks.values()).filter(chunk => predicate(chunk.metadata)).map(chunk => chunk.id);
+    }
+
+    /**
+     * BM25 over the chunks whose metadata passes `predicate`. Returns
+     * [{ id, score, metadata }] best first, only chunks with a matching term.
+     */
+    async search(query, predicate, topK) {
+        await this.load();
+        const candidates = Array.from(this.chunks.values()).filter(chunk => predicate(chunk.metadata));
+        const queryTerms = [...new Set(tokenizeForSearch(query))];
+        if (candidates.length === 0 || queryTerms.length === 0) return [];
+
+        const averageLength = candidates.reduce((sum, chunk) => sum + chunk.length, 0) / candidates.length;
+        const idf = {};
+        for (const term of queryTerms) {
+            const containing = candidates.filter(chunk => chunk.frequencies[term]).length;
+            idf[term] = Math.log(1 + (candidates.length - containing + 0.5) / (containing + 0.5));
+        }
+
+        return candidates
+            .map(chunk => {
+                let score = 0;
+                for (const term of queryTerms) {
+                    const tf = chunk.frequencies[term] || 0;
+                    if (tf === 0) continue;
+                    score += idf[term] * (tf * (BM25_K1 + 1))
+                        / (tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / averageLength));
+                }
+                return { id: chunk.id, score, metadata: chunk.metadata };
+            })
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+}
+
+// =============================
+// 🔀 Fusion
+// =============================
+/**
+ * Reciprocal rank fusion of vector and keyword matches (lists of
+ * { id, score, metadata }, best first). Each fused match carries
+ * `retrieval` ('vector' | 'keyword' | 'hybrid') and the component scores in
+ * `scores: { vector, keyword, fused }`; `score` is the fused score.
+ */
+export function fuseMatches(vectorMatches, keywordMatches) {
+    const fused = new Map();
+    const addList = (matches, source) => {
+        matches.forEach((match, rank) => {
+            const entry = fused.get(match.id) || {
+                id: match.id,
+                metadata: match.metadata,
+                sources: new Set(),
+                scores: { vector: null, keyword: null, fused: 0 }
+            };
+            entry.sources.add(source);
+            entry.scores[source] = match.score;
+            entry.scores.fused += 1 / (RRF_K + rank + 1);
+            fused.set(match.id, entry);
+        });
+    };
+    addList(vectorMatches, 'vector');
+    addList(keywordMatches, 'keyword');
+
+    return Array.from(fused.values())
+        .map(({ sources, ...entry }) => ({
+            ...entry,
+            score: entry.scores.fused,
+            retrieval: sources.size === 2 ? 'hybrid' : [...sources][0]
+        }))
+        .sort((a, b) => b.score - a.score);
+}
+
+// =============================
+// 🏅 Reranking
+// =============================
+// Query-term coverage: share of the distinct query terms found in the chunk,
+// blended with the normalized fused score so ties keep their fused order
+function keywordRerank(query, matches) {
+    const queryTerms = [...new Set(tokenizeForSearch(query))];
+    const best = Math.max(...matches.map(match => match.score), 0) || 1;
+    return matches.map(match => {
+        const terms = new Set(tokenizeForSearch(match.metadata.content || ''));
+        const coverage = queryTerms.length ? queryTerms.filter(term => terms.has(term)).length / queryTerms.length : 0;
+        return 0.5 * coverage + 0.5 * (match.score / best);
+    });
+}
+
+async function geminiRerank(query, matches) {
+    const model = new GoogleGenerativeAI(process.env.GEMINI_API_KEY).getGenerativeModel({ model: 'gemini-2.0-flash' });
+    const passages = matches
+        .map((match, i) => `[${i}] ${(match.metadata.content || '').substring(0, 800)}`)
+        .join('\n\n');
+    const prompt = `Rate how well each passage answers the question, from 0 (irrelevant) to 10 (fully answers it).
+
+Question: ${query}
+
+${passages}
+
+Reply with only a JSON array of ${matches.length} numbers, one per passage in order.`;
+
+    const result = await model.generateContent(prompt);
+    const text = (await result.response).text();
+    const ratings = JSON.parse(text.slice(text.indexOf('['), text.lastIndexOf(']') + 1));
+    if (!Array.isArray(ratings) || ratings.length !== matches.length) {
+        throw new Error('Reranker returned the wrong number of ratings');
+    }
+    return ratings.map(rating => Math.min(Math.max(Number(rating) || 0, 0), 10) / 10);
+}
+
+/**
+ * Reorders fused matches with the configured reranker and sets
+ * `scores.rerank`; `score` becomes the rerank score. A failing reranker
+ * leaves the fused order untouched.
+ */
+export async function rerankMatches(query, matches, reranker) {
+    if (reranker === 'none' || matches.length < 2) return matches;
+    try {
+        const scores = reranker === 'gemini'
+            ? await geminiRerank(query, matches)
+            : keywordRerank(query, matches);
+        return matches
+            .map((match, i) => ({ ...match, score: scores[i], scores: { ...match.scores, rerank: scores[i] } }))
+            .sort((a, b) => b.score - a.score);
+    } catch (error) {
+        console.error(`Reranking with ${reranker} failed, keeping fused order:`, error.message);
+        return matches;
+    }
+}
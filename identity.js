@@ -0,0 +1,25 @@
+// identity.js
+import crypto from 'crypto';
+
+// =============================
+// 🪪 Caller Identity
+// =============================
+// X-User-Id is only believed with MCP_TRUST_USER_HEADER=true, i.e. when an
+// identity proxy in front of the app sets it and strips it from client
+// requests; otherwise any client could send someone else's id.
+
+export const trustsUserHeader = () => process.env.MCP_TRUST_USER_HEADER === 'true';
+
+export function trustedUserId(req) {
+  if (!trustsUserHeader()) return null;
+  return req.get('x-user-id') || null;
+}
+
+// True when the request carries `Authorization: Bearer <token>`
+export function hasBearerToken(req, token) {
+  if (!token) return false;
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (!match) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
@@ -0,0 +1,233 @@
+// local-vector-store.js
+// File-backed vector index with the same store/search/list interface as
+// PineconeClient, for running the document chatbot offline and as the
+// fallback when Pinecone is unreachable.
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import PineconeClient from './pinecone-client.js';
+import { KeywordIndex } from './hybrid-search.js';
+
+// =============================
+// 🧮 Local Embeddings
+// =============================
+export const LOCAL_EMBEDDING_DIMENSION = 512;
+
+function hashFeature(feature, dimension) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    // Sign bit keeps colliding features from always adding up
+    return { index: digest.readUInt32LE(0) % dimension, sign: digest[4] & 1 ? 1 : -1 };
+}
+
+/**
+ * Deterministic feature-hashing embedding: words, word pairs and character
+ * trigrams are hashed into `dimension` buckets with log-scaled counts, then
+ * L2-normalized. No model or network needed; similar wording gives similar
+ * vectors, which is enough to rank plant documents by relevance.
+ */
+export function localEmbedding(text, dimension = LOCAL_EMBEDDING_DIMENSION) {
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    words.forEach((word, i) => {
+        add(`w:${word}`, 1);
+        if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+        const padded = ` ${word} `;
+        for (let j = 0; j + 3 <= padded.length; j++) add(`c:${padded.slice(j, j + 3)}`, 0.25);
+    });
+
+    const vector = new Array(dimension).fill(0);
+    counts.forEach((count, feature) => {
+        const { index, sign } = hashFeature(feature, dimension);
+        vector[index] += sign * Math.log1p(count);
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+// =============================
+// 🔎 Metadata Filters
+// =============================
+// Pinecone filter subset: { field: value }, { field: { $eq, $ne, $in, $nin,
+// $gt, $gte, $lt, $lte } }, $and and $or.
+function matchesCondition(value, condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return value === condition;
+    }
+    return Object.entries(condition).every(([operator, expected]) => {
+        switch (operator) {
+            case '$eq': return value === expected;
+            case '$ne': return value !== expected;
+            case '$in': return expected.includes(value);
+            case '$nin': return !expected.includes(value);
+            case '$gt': return value > expected;
+            case '$gte': return value >= expected;
+            case '$lt': return value < expected;
+            case '$lte': return value <= expected;
+            default: throw new Error(`Unsupported filter operator: ${operator}`);
+        }
+    });
+}
+
+export function matchesFilter(metadata, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+        if (key === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+        return matchesCondition(metadata[key], condition);
+    });
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+// =============================
+// 💾 File-Backed Index
+// =============================
+// Mirrors the parts of a Pinecone index the client uses: upsert, query,
+// listPaginated, fetch, deleteMany and describeIndexStats. Vectors are kept in memory and the whole
+// index is rewritten to one JSON file after every change (never written without a file path).
+export class LocalVectorIndex {
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.vectors = new Map();
+        this.dimension = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.filePath) return;
+        try {
+            const saved = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+            this.vectors = new Map(saved.vectors.map(vector => [vector.id, vector]));
+            this.dimension = saved.dimension;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    save() {
+        if (!this.filePath) return Promise.resolve();
+        const result = this.writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            // Write to a temp file first so a crash never leaves half a file
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify({
+                dimension: this.dimension,
+                vectors: Array.from(this.vectors.values())
+            }));
+            await fs.rename(tmpPath, this.filePath);
+        });
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    async upsert(vectors) {
+        for (const vector of vectors) {
+            if (this.dimension === null) this.dimension = vector.values.length;
+            if (vector.values.length !== this.dimension) {
+                throw new Error(`Vector dimension ${vector.values.length} does not match index dimension ${this.dimension}`);
+            }
+            this.vectors.set(vector.id, { id: vector.id, values: vector.values, metadata: vector.metadata || {} });
+        }
+        await this.save();
+    }
+
+    async query({ vector, topK = 10, filter, includeMetadata = false }) {
+        const matches = [];
+        for (const stored of this.vectors.values()) {
+            if (filter && !matchesFilter(stored.metadata, filter)) continue;
+            matches.push({
+                id: stored.id,
+                score: cosineSimilarity(vector, stored.values),
+                ...(includeMetadata ? { metadata: stored.metadata } : {})
+            });
+        }
+        matches.sort((a, b) => b.score - a.score);
+        return { matches: matches.slice(0, topK) };
+    }
+
+    // Ids in sorted order; the pagination token is the offset of the next page
+    async listPaginated({ prefix = '', limit = 100, paginationToken } = {}) {
+        const ids = Array.from(this.vectors.keys()).filter(id => id.startsWith(prefix)).sort();
+        const start = Number(paginationToken) || 0;
+        const next = start + limit < ids.length ? String(start + limit) : undefined;
+        return {
+            vectors: ids.slice(start, start + limit).map(id => ({ id })),
+            pagination: next ? { next } : undefined
+        };
+    }
+
+    async fetch(ids) {
+        const records = {};
+        ids.forEach(id => {
+            if (this.vectors.has(id)) records[id] = this.vectors.get(id);
+        });
+        return { records };
+    }
+
+    async deleteMany(idsOrFilter) {
+        const ids = Array.isArray(idsOrFilter)
+            ? idsOrFilter
+            : Array.from(this.vectors.values()).filter(v => matchesFilter(v.metadata, idsOrFilter)).map(v => v.id);
+        ids.forEach(id => this.vectors.delete(id));
+        await this.save();
+    }
+
+    async describeIndexStats() {
+        return { totalVectorCount: this.vectors.size, dimension: this.dimension || 0 };
+    }
+}
+
+// =============================
+// 🗂️ Local Vector Store
+// =============================
+/**
+ * PineconeClient backed by a LocalVectorIndex. `embed(text)` defaults to
+ * localEmbedding; pass PineconeClient's Gemini embedding for better recall
+ * when online. The index file is CHATBOT_VECTOR_PATH (default
+ * ./data/chatbot-vectors.json); the keyword index sits next to it as
+ * <name>-keywords.json. `filePath: null` keeps both in memory only.
+ */
+class LocalVectorStore extends PineconeClient {
+    constructor({ filePath = process.env.CHATBOT_VECTOR_PATH || './data/chatbot-vectors.json', embed = localEmbedding } = {}) {
+        super(null);
+        this.indexName = 'local';
+        this.filePath = filePath;
+        this.keywordIndex = new KeywordIndex(filePath ? filePath.replace(/\.json$/, '') + '-keywords.json' : null);
+        this.embed = embed;
+        this.loading = null;
+    }
+
+    async initialize() {
+        try {
+            this.loading = this.loading || (async () => {
+                const index = new LocalVectorIndex(this.filePath);
+                await index.load();
+                this.index = index;
+                this.initialized = true;
+                console.log(this.filePath ? `Local vector store loaded from ${this.filePath}` : 'Local vector store kept in memory');
+            })();
+            await this.loading;
+            return { success: true };
+        } catch (error) {
+            console.error('Failed to load local vector store:', error);
+            this.loading = null;
+            return { success: false, error: error.message };
+        }
+    }
+
+    async generateEmbedding(text) {
+        return this.embed(text);
+    }
+}
+
+export default LocalVectorStore;
@@ -0,0 +1,249 @@
+// mix-optimizer.js
+import { STRENGTH_FIELDS, predictStrengths } from './strength-model.js';
+import { SCHEMAS } from './model-schemas.js';
+
+// Everything except age is a decision variable; age is fixed by the request.
+const MIX_FIELDS = STRENGTH_FIELDS.filter(field => field !== 'age');
+
+// Default material costs (₹ per kg)
+const DEFAULT_COSTS = {
+  cement: 8,
+  slag: 3,
+  flyash: 1.5,
+  water: 0.05,
+  superplasticizer: 150,
+  coarseaggregate: 0.8,
+  fineaggregate: 0.7
+};
+
+const DEFAULTS = {
+  age: 28,
+  safetyMargin: 0,
+  waterCementRatio: { min: 0.3, max: 0.6 },
+  // Fresh concrete density; keeps the search on mixes that actually fill 1 m³
+  totalMass: { min: 2200, max: 2600 },
+  candidates: 5,
+  samples: 100,
+  rounds: 3,
+  seed: 42
+};
+
+const MAX_EVALUATIONS = 2000;
+
+// Small seeded PRNG so the same request always explores the same mixes
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function readRange(input, fallback, name, errors) {
+  const range = { ...fallback, ...(input || {}) };
+  const min = Number(range.min);
+  const max = Number(range.max);
+  if (!Number.isFinite(min) || !Number.isFinite(max)) {
+    errors.push({ field: name, message: `${name} min and max must be numbers` });
+  } else if (min > max) {
+    errors.push({ field: name, message: `${name} min must not exceed max` });
+  }
+  return { min, max };
+}
+
+/**
+ * Validates an /optimize-mix request and fills in defaults.
+ * Returns { options, errors } with errors in the same { field, message } shape
+ * as the prediction routes.
+ */
+export function parseOptimizerRequest(body = {}) {
+  const errors = [];
+  const fields = SCHEMAS.strength.fields;
+
+  const targetStrength = Number(body.targetStrength);
+  if (!Number.isFinite(targetStrength) || targetStrength <= 0) {
+    errors.push({ field: 'targetStrength', message: 'targetStrength (MPa) must be a positive number' });
+  }
+
+  const safetyMargin = Number(body.safetyMargin ?? DEFAULTS.safetyMargin);
+  if (!Number.isFinite(safetyMargin) || safetyMargin < 0) {
+    errors.push({ field: 'safetyMargin', message: 'safetyMargin (MPa) must be zero or positive' });
+  }
+
+  const age = Number(body.age ?? DEFAULTS.age);
+  if (!Number.isFinite(age) || age < fields.age.min || age > fields.age.max) {
+    errors.push({ field: 'age', message: `age must be between ${fields.age.min} and ${fields.age.max} days` });
+  }
+
+  const bounds = {};
+  for (const field of MIX_FIELDS) {
+    const schemaRange = { min: fields[field].min, max: fields[field].max };
+    const range = readRange(body.bounds?.[field], schemaRange, `bounds.${field}`, errors);
+    if (range.min < schemaRange.min || range.max > schemaRange.max) {
+      errors.push({
+        field: `bounds.${field}`,
+        message: `${fields[field].label} bounds must stay within ${schemaRange.min}-${schemaRange.max} kg/m3`
+      });
+    }
+    bounds[field] = range;
+  }
+
+  const costs = { ...DEFAULT_COSTS };
+  for (const [field, cost] of Object.entries(body.costs || {})) {
+    if (!MIX_FIELDS.includes(field)) {
+      errors.push({ field: `costs.${field}`, message: `Unknown material: ${field}` });
+    } else if (!Number.isFinite(Number(cost)) || Number(cost) < 0) {
+      errors.push({ field: `costs.${field}`, message: `Cost of ${field} must be zero or positive` });
+    } else {
+      costs[field] = Number(cost);
+    }
+  }
+
+  const waterCementRatio = readRange(body.waterCementRatio, DEFAULTS.waterCementRatio, 'waterCementRatio', errors);
+  const totalMass = readRange(body.totalMass, DEFAULTS.totalMass, 'totalMass', errors);
+
+  const candidates = Math.min(Math.max(parseInt(body.candidates, 10) || DEFAULTS.candidates, 1), 20);
+  const samples = Math.min(Math.max(parseInt(body.samples, 10) || DEFAULTS.samples, 10), 500);
+  const rounds = Math.min(Math.max(parseInt(body.rounds, 10) || DEFAULTS.rounds, 1), 10);
+  if (samples * rounds > MAX_EVALUATIONS) {
+    errors.push({ field: 'samples', message: `samples x rounds must not exceed ${MAX_EVALUATIONS}` });
+  }
+
+  const seed = Number.isFinite(Number(body.seed)) ? Number(body.seed) : DEFAULTS.seed;
+
+  return {
+    options: {
+      targetStrength, safetyMargin, age, bounds, costs,
+      waterCementRatio, totalMass, candidates, samples, rounds, seed
+    },
+    errors
+  };
+}
+
+function mixKey(mix) {
+  return MIX_FIELDS.map(field => mix[field]).join('|');
+}
+
+function mixCost(mix, costs) {
+  return MIX_FIELDS.reduce((sum, field) => sum + mix[field] * costs[field], 0);
+}
+
+function satisfiesConstraints(mix, { waterCementRatio, totalMass }) {
+  const ratio = mix.water / mix.cement;
+  const mass = MIX_FIELDS.reduce((sum, field) => sum + mix[field], 0);
+  return ratio >= waterCementRatio.min && ratio <= waterCementRatio.max
+    && mass >= totalMass.min && mass <= totalMass.max;
+}
+
+// Draws a mix uniformly within bounds, or around `center` with the given spread.
+function sampleMix(random, bounds, center = null, spread = 0) {
+  const mix = {};
+  for (const field of MIX_FIELDS) {
+    const { min, max } = bounds[field];
+    let value;
+    if (center) {
+      // Sum of two uniforms: cheap bell-shaped perturbation
+      const offset = (random() + random() - 1) * spread * (max - min);
+      value = center[field] + offset;
+    } else {
+      value = min + random() * (max - min);
+    }
+    mix[field] = round(Math.min(Math.max(value, min), max));
+  }
+  return mix;
+}
+
+function drawFeasibleMixes(random, count, options, centers, spread) {
+  const mixes = [];
+  const seen = new Set();
+  let attempts = 0;
+
+  while (mixes.length < count && attempts < count * 50) {
+    attempts++;
+    const center = centers.length > 0 ? centers[attempts % centers.length] : null;
+    const mix = sampleMix(random, options.bounds, center, spread);
+    const key = mixKey(mix);
+    if (seen.has(key) || !satisfiesConstraints(mix, options)) continue;
+    seen.add(key);
+    mixes.push(mix);
+  }
+
+  return mixes;
+}
+
+// Mixes that meet the required strength come first, cheapest first;
+// the rest are ordered by how close they got.
+function compareCandidates(a, b) {
+  if (a.feasible !== b.feasible) return a.feasible ? -1 : 1;
+  if (a.feasible) return a.cost - b.cost;
+  return b.predictedStrength - a.predictedStrength;
+}
+
+/**
+ * Searches the strength model's inputs for the cheapest mixes that reach
+ * targetStrength + safetyMargin at the given age. Each round evaluates a
+ * batch of mixes in one chunked model call, then resamples around the best
+ * mixes with a shrinking spread.
+ */
+export async function optimizeMix(options) {
+  const random = mulberry32(options.seed);
+  const requiredStrength = options.targetStrength + options.safetyMargin;
+  const evaluated = [];
+  const seen = new Set();
+  let failedPredictions = 0;
+  let centers = [];
+
+  for (let pass = 0; pass < options.rounds; pass++) {
+    const spread = 0.2 / (pass + 1);
+    const mixes = drawFeasibleMixes(random, options.samples, options, centers, spread)
+      .filter(mix => !seen.has(mixKey(mix)));
+
+    if (mixes.length === 0) break;
+    mixes.forEach(mix => seen.add(mixKey(mix)));
+
+    const predictions = await predictStrengths(mixes.map(mix => ({ ...mix, age: options.age })));
+
+    predictions.forEach((prediction, i) => {
+      if (prediction.error || !Number.isFinite(Number(prediction.value))) {
+        failedPredictions++;
+        return;
+      }
+      const mix = mixes[i];
+      const predictedStrength = Number(prediction.value);
+      evaluated.push({
+        mix: { ...mix, age: options.age },
+        predictedStrength: round(predictedStrength, 2),
+        lower_bound: prediction.lower_bound,
+        upper_bound: prediction.upper_bound,
+        cost: round(mixCost(mix, options.costs), 2),
+        waterCementRatio: round(mix.water / mix.cement, 3),
+        feasible: predictedStrength >= requiredStrength,
+        margin: round(predictedStrength - requiredStrength, 2)
+      });
+    });
+
+    evaluated.sort(compareCandidates);
+    centers = evaluated.slice(0, Math.max(options.candidates, 5)).map(c => c.mix);
+  }
+
+  if (evaluated.length === 0 && failedPredictions > 0) {
+    throw new Error('Strength model failed for every candidate mix');
+  }
+
+  return {
+    requiredStrength,
+    age: options.age,
+    evaluated: evaluated.length,
+    feasibleFound: evaluated.filter(c => c.feasible).length,
+    failedPredictions,
+    candidates: evaluated.slice(0, options.candidates).map((c, i) => ({ rank: i + 1, ...c }))
+  };
+}
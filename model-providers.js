@@ -0,0 +1,302 @@
+// model-providers.js
+import { GoogleAuth } from 'google-auth-library';
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// =============================
+// 🧠 Model Catalogue
+// =============================
+// Each model can be bound to a provider with <NAME>_MODEL_PROVIDER
+// (falls back to MODEL_PROVIDER, then 'vertex'):
+//   vertex  - Vertex AI endpoint (needs service-account-key.json)
+//   http    - local stand-in server, POST {LOCAL_MODEL_URL}/models/<name>:predict
+//   fixture - replays recorded responses, otherwise returns deterministic mock output
+//   record  - replays recorded responses, otherwise calls Vertex AI and records the result
+export const MODELS = {
+  strength: {
+    envPrefix: 'STRENGTH',
+    location: 'northamerica-northeast1',
+    endpointId: '2790098716411822080',
+    mock: mockStrengthPrediction
+  },
+  demand: {
+    envPrefix: 'DEMAND',
+    location: 'northamerica-northeast2',
+    endpointId: '3225540505383206912',
+    mock: mockDemandPrediction
+  },
+  clinker: {
+    envPrefix: 'CLINKER',
+    location: 'us-central1',
+    endpointId: '1039811444922646528',
+    mock: (instance) => mockClassification(instance, ['good', 'overburnt', 'underburnt'])
+  },
+  packaging: {
+    envPrefix: 'PACKAGING',
+    location: 'europe-west4',
+    endpointId: '5846545328559357952',
+    mock: (instance) => mockClassification(instance, ['good_packaging', 'torn', 'misprinted_label'])
+  }
+};
+
+// Env is read lazily because server.js loads dotenv after its imports are evaluated.
+function getProject() {
+  return process.env.GCP_PROJECT_ID || 'genai-exchange-472212';
+}
+
+function getFixturesDir() {
+  return process.env.MODEL_FIXTURES_DIR || './fixtures/models';
+}
+
+// =============================
+// ☁️ Vertex AI Provider
+// =============================
+let vertexAuth = null;
+
+class VertexAIProvider {
+  constructor(name, { location, endpointId }) {
+    this.name = name;
+    this.type = 'vertex';
+    this.location = location;
+    this.endpointId = endpointId;
+  }
+
+  async predict(instances) {
+    if (!vertexAuth) {
+      vertexAuth = new GoogleAuth({
+        keyFilename: './service-account-key.json',
+        scopes: ['https://www.googleapis.com/auth/cloud-platform']
+      });
+    }
+
+    const authClient = await vertexAuth.getClient();
+    const accessToken = await authClient.getAccessToken();
+    const project = getProject();
+
+    const url = `https://${this.location}-aiplatform.googleapis.com/v1/projects/${project}/locations/${this.location}/endpoints/${this.endpointId}:predict`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ instances })
+    });
+
+    // Errors are usually { error: { message } }, but a proxy in between may answer with HTML
+    if (!response.ok) {
+      const text = await response.text();
+      let message = text.substring(0, 500);
+      try {
+        message = JSON.parse(text).error?.message || message;
+      } catch { /* keep the raw text */ }
+      throw new Error(`Vertex AI (${this.location}) returned ${response.status}: ${message}`);
+    }
+
+    const result = await response.json();
+    if (result.error) throw new Error(result.error.message || JSON.stringify(result.error));
+    return result;
+  }
+
+  describe() {
+    return { type: this.type, location: this.location, endpointId: this.endpointId };
+  }
+}
+
+// =============================
+// 🖥️ Local HTTP Provider
+// =============================
+class LocalHttpProvider {
+  constructor(name, { url }) {
+    this.name = name;
+    this.type = 'http';
+    this.url = url;
+  }
+
+  async predict(instances) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ instances })
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`Local model server returned ${response.status}: ${text.substring(0, 500)}`);
+    }
+
+    const result = await response.json();
+    console.log(`Local model (${this.name}) Response:`, JSON.stringify(result));
+
+    if (result.error) {
+      throw new Error(typeof result.error === 'string' ? result.error : result.error.message || JSON.stringify(result.error));
+    }
+    return result;
+  }
+
+  describe() {
+    return { type: this.type, url: this.url };
+  }
+}
+
+// =============================
+// 📼 Fixture / Replay Provider
+// =============================
+class FixtureProvider {
+  constructor(name, { dir, mock, upstream = null }) {
+    this.name = name;
+    this.type = upstream ? 'record' : 'fixture';
+    this.dir = dir;
+    this.mock = mock;
+    this.upstream = upstream;
+  }
+
+  fixturePath(instances) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(instances)).digest('hex');
+    return path.join(this.dir, this.name, `${hash.substring(0, 16)}.json`);
+  }
+
+  async predict(instances) {
+    const file = this.fixturePath(instances);
+
+    try {
+      const recorded = JSON.parse(await fs.readFile(file, 'utf-8'));
+      console.log(`Fixture (${this.name}) replayed: ${file}`);
+      return recorded.response;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    if (!this.upstream) {
+      return {
+        predictions: instances.map(instance => this.mock(instance)),
+        deployedModelId: `fixture-${this.name}`
+      };
+    }
+
+    const response = await this.upstream.predict(instances);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ instances, response }, null, 2));
+    console.log(`Fixture (${this.name}) recorded: ${file}`);
+    return response;
+  }
+
+  describe() {
+    return { type: this.type, dir: path.join(this.dir, this.name) };
+  }
+}
+
+// =============================
+// 🎲 Deterministic Mock Outputs
+// =============================
+function num(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Abrams' law on the water/binder ratio with an ACI-style age curve.
+function mockStrengthPrediction(instance) {
+  const binder = num(instance.cement) + 0.6 * num(instance.slag) + 0.4 * num(instance.ash);
+  const ratio = binder > 0 ? num(instance.water) / binder : 2;
+  const age = Math.max(num(instance.age), 0);
+  const strength28 = 96.5 / Math.pow(7, ratio) + 0.3 * num(instance.superplastic);
+  const value = Math.max(strength28 * (age / (4 + 0.85 * age)), 0);
+
+  return {
+    value: round(value),
+    lower_bound: round(value * 0.9),
+    upper_bound: round(value * 1.1)
+  };
+}
+
+function mockDemandPrediction(instance) {
+  const value = Math.max(
+    50000 * (1 + num(instance.gdp_growth_rate) / 100)
+      + 200 * num(instance.construction_index)
+      + 2 * num(instance.infrastructure_spending_million)
+      - 5 * num(instance.cement_price_per_ton)
+      - 10 * num(instance.rainfall_mm),
+    0
+  );
+
+  return {
+    value: round(value),
+    lower_bound: round(value * 0.9),
+    upper_bound: round(value * 1.1)
+  };
+}
+
+// Scores are derived from a hash of the image so the same frame always gets the same answer.
+function mockClassification(instance, labels) {
+  const digest = crypto.createHash('sha256').update(String(instance.content || '')).digest();
+  const weights = labels.map((label, i) => digest[i] + 1);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  return {
+    ids: labels.map((label, i) => String(i)),
+    displayNames: labels,
+    confidences: weights.map(w => round(w / total, 4))
+  };
+}
+
+// =============================
+// 🔌 Provider Registry
+// =============================
+const providers = new Map();
+
+function createProvider(name) {
+  const model = MODELS[name];
+  if (!model) throw new Error(`Unknown model: ${name}`);
+
+  const env = (key) => process.env[`${model.envPrefix}_${key}`];
+  const type = env('MODEL_PROVIDER') || process.env.MODEL_PROVIDER || 'vertex';
+
+  const vertex = () => new VertexAIProvider(name, {
+    location: env('LOCATION') || model.location,
+    endpointId: env('ENDPOINT_ID') || model.endpointId
+  });
+
+  switch (type) {
+    case 'vertex':
+      return vertex();
+    case 'http': {
+      const baseUrl = process.env.LOCAL_MODEL_URL || 'http://localhost:8501';
+      return new LocalHttpProvider(name, { url: env('MODEL_URL') || `${baseUrl}/models/${name}:predict` });
+    }
+    case 'fixture':
+      return new FixtureProvider(name, { dir: getFixturesDir(), mock: model.mock });
+    case 'record':
+      return new FixtureProvider(name, { dir: getFixturesDir(), mock: model.mock, upstream: vertex() });
+    default:
+      throw new Error(`Unknown model provider "${type}" for ${name} model`);
+  }
+}
+
+export function getModelProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, createProvider(name));
+  }
+  return providers.get(name);
+}
+
+/**
+ * Sends instances to whichever provider the named model is bound to.
+ * Every provider resolves to the Vertex AI predict response shape: { predictions: [...] }.
+ */
+export async function callModel(name, instances) {
+  return getModelProvider(name).predict(instances);
+}
+
+export function describeModelProviders() {
+  return Object.fromEntries(
+    Object.keys(MODELS).map(name => [name, getModelProvider(name).describe()])
+  );
+}
@@ -0,0 +1,147 @@
+// model-schemas.js
+
+// Unit groups: every value is converted to `canonical` by multiplying with its factor.
+const MASS_PER_VOLUME = {
+  canonical: 'kg/m3',
+  factors: { 'kg/m3': 1, 'lb/yd3': 0.593276 }
+};
+
+const DURATION = {
+  canonical: 'days',
+  factors: { days: 1, hours: 1 / 24 }
+};
+
+const LENGTH_MM = {
+  canonical: 'mm',
+  factors: { mm: 1, cm: 10, in: 25.4 }
+};
+
+/**
+ * Declarative input schemas for the prediction routes. Ranges are physical
+ * limits in the canonical unit; values outside them are rejected before
+ * reaching the model. Served as-is by GET /api/schemas for client-side checks.
+ */
+export const SCHEMAS = {
+  strength: {
+    fields: {
+      cement: { label: 'Cement', type: 'number', required: true, min: 50, max: 700, units: MASS_PER_VOLUME },
+      slag: { label: 'Blast Furnace Slag', type: 'number', required: true, min: 0, max: 450, units: MASS_PER_VOLUME },
+      flyash: { label: 'Fly Ash', type: 'number', required: true, min: 0, max: 300, units: MASS_PER_VOLUME },
+      water: { label: 'Water', type: 'number', required: true, min: 100, max: 300, units: MASS_PER_VOLUME },
+      superplasticizer: { label: 'Superplasticizer', type: 'number', required: true, min: 0, max: 40, units: MASS_PER_VOLUME },
+      coarseaggregate: { label: 'Coarse Aggregate', type: 'number', required: true, min: 600, max: 1300, units: MASS_PER_VOLUME },
+      fineaggregate: { label: 'Fine Aggregate', type: 'number', required: true, min: 400, max: 1100, units: MASS_PER_VOLUME },
+      age: { label: 'Age', type: 'number', required: true, min: 1, max: 365, units: DURATION }
+    }
+  },
+  demand: {
+    fields: {
+      date: { label: 'Date', type: 'string', required: true, pattern: '^\\d{4}-\\d{2}(-\\d{2})?$', hint: 'YYYY-MM' },
+      region: { label: 'State', type: 'string', required: true, maxLength: 100 },
+      gdp_growth_rate: { label: 'GDP Growth Rate (%)', type: 'number', required: true, min: -30, max: 30 },
+      construction_index: { label: 'Construction Index', type: 'number', required: true, min: 0, max: 1000 },
+      rainfall_mm: { label: 'Rainfall', type: 'number', required: true, min: 0, max: 5000, units: LENGTH_MM },
+      cement_price_per_ton: { label: 'Cement Price (₹/ton)', type: 'number', required: true, min: 0, max: 100000 },
+      infrastructure_spending_million: { label: 'Infrastructure Spending (million ₹)', type: 'number', required: true, min: 0, max: 10000000 }
+    }
+  }
+};
+
+function convert(field, value, unit) {
+  if (!field.units || unit === undefined || unit === null || unit === '') {
+    return { value };
+  }
+  const factor = field.units.factors[unit];
+  if (factor === undefined) {
+    return { error: `unit "${unit}" is not supported (use ${Object.keys(field.units.factors).join(', ')})` };
+  }
+  return { value: value * factor };
+}
+
+/**
+ * Validates a request body against a model schema and converts every value
+ * to its canonical unit. A field may be given as a plain value, as
+ * { value, unit }, or with its unit in a top-level `units` map.
+ *
+ * Returns { values, errors } where errors lists every bad field as
+ * { field, message, value }. Fields named in `skip` are not checked.
+ */
+export function validateInput(modelName, input, { skip = [] } = {}) {
+  const schema = SCHEMAS[modelName];
+  if (!schema) throw new Error(`No schema for model: ${modelName}`);
+
+  const body = input && typeof input === 'object' ? input : {};
+  const units = body.units && typeof body.units === 'object' ? body.units : {};
+  const values = {};
+  const errors = [];
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    if (skip.includes(name)) continue;
+
+    let raw = body[name];
+    let unit = units[name];
+    if (raw && typeof raw === 'object' && 'value' in raw) {
+      unit = raw.unit ?? unit;
+      raw = raw.value;
+    }
+
+    const fail = (message) => errors.push({ field: name, message: `${field.label} ${message}`, value: raw });
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (field.required) fail('is required');
+      continue;
+    }
+
+    if (field.type === 'number') {
+      const parsed = typeof raw === 'number' ? raw : (typeof raw === 'string' ? Number(raw.trim()) : NaN);
+      if (!Number.isFinite(parsed)) {
+        fail('must be a number');
+        continue;
+      }
+
+      const converted = convert(field, parsed, unit);
+      if (converted.error) {
+        fail(converted.error);
+        continue;
+      }
+
+      const canonical = field.units ? ` ${field.units.canonical}` : '';
+      if (field.min !== undefined && converted.value < field.min) {
+        fail(`must be at least ${field.min}${canonical}`);
+        continue;
+      }
+      if (field.max !== undefined && converted.value > field.max) {
+        fail(`must be at most ${field.max}${canonical}`);
+        continue;
+      }
+      values[name] = converted.value;
+    } else {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        fail('must be a string');
+        continue;
+      }
+      const str = String(raw).trim();
+      if (field.pattern && !new RegExp(field.pattern).test(str)) {
+        fail(`must match ${field.hint || field.pattern}`);
+        continue;
+      }
+      if (field.maxLength && str.length > field.maxLength) {
+        fail(`must be at most ${field.maxLength} characters`);
+        continue;
+      }
+      values[name] = str;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Express helper: sends the structured 400 response used by every prediction route.
+ */
+export function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: 'Invalid input',
+    fields: errors
+  });
+}
@@ -0,0 +1,310 @@
+// notifications.js
+import fs from 'fs/promises';
+import path from 'path';
+import { Firestore } from '@google-cloud/firestore';
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Rows have no key column, so a notification is identified by machine and timestamp.
+// The id is reversible so ack routes don't need a lookup.
+export function notificationId(machineId, anomalyTs) {
+  return Buffer.from(`${machineId}|${anomalyTs}`).toString('base64url');
+}
+
+export function parseNotificationId(id) {
+  const decoded = Buffer.from(String(id), 'base64url').toString('utf-8');
+  const separator = decoded.lastIndexOf('|');
+  if (separator <= 0 || Number.isNaN(Date.parse(decoded.slice(separator + 1)))) return null;
+  return { machineId: decoded.slice(0, separator), anomalyTs: decoded.slice(separator + 1) };
+}
+
+// =============================
+// 🔎 notification_log Repository
+// =============================
+// Severity comes from details.severity when the writer set one, otherwise
+// anomalies are warnings and everything else is info.
+const SEVERITY_SQL = `
+  COALESCE(
+    LOWER(JSON_VALUE(details, '$.severity')),
+    IF(LOWER(JSON_VALUE(details, '$.is_anomaly')) IN ('true', '1'), 'warning', 'info')
+  )`;
+
+export class NotificationRepository {
+  constructor(bigquery, tableRef) {
+    this.bigquery = bigquery;
+    this.tableRef = tableRef;
+  }
+
+  fromRow(row) {
+    const anomalyTs = row.anomaly_ts?.value || row.anomaly_ts;
+    return {
+      id: notificationId(row.machine_id, anomalyTs),
+      machine_id: row.machine_id,
+      anomaly_ts: anomalyTs,
+      severity: row.severity,
+      details: row.details
+    };
+  }
+
+  buildWhere(filters) {
+    const clauses = [];
+    const params = {};
+    if (filters.machines?.length) {
+      clauses.push('CAST(machine_id AS STRING) IN UNNEST(@machines)');
+      params.machines = filters.machines;
+    }
+    if (filters.severities?.length) {
+      clauses.push('severity IN UNNEST(@severities)');
+      params.severities = filters.severities;
+    }
+    if (filters.from) { clauses.push('anomaly_ts >= TIMESTAMP(@from)'); params.from = filters.from; }
+    if (filters.to) { clauses.push('anomaly_ts <= TIMESTAMP(@to)'); params.to = filters.to; }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  get source() {
+    return `(SELECT machine_id, anomaly_ts, details, ${SEVERITY_SQL} AS severity FROM ${this.tableRef})`;
+  }
+
+  // Newest first
+  async query(filters, { limit, offset }) {
+    const { where, params } = this.buildWhere(filters);
+    const [[{ total }]] = await this.bigquery.query({
+      query: `SELECT COUNT(*) AS total FROM ${this.source} ${where}`,
+      params
+    });
+    const [rows] = await this.bigquery.query({
+      query: `SELECT * FROM ${this.source} ${where} ORDER BY anomaly_ts DESC LIMIT @limit OFFSET @offset`,
+      params: { ...params, limit, offset }
+    });
+    return { total: Number(total), notifications: rows.map(row => this.fromRow(row)) };
+  }
+
+  async get(id) {
+    const key = parseNotificationId(id);
+    if (!key) return null;
+    const [rows] = await this.bigquery.query({
+      query: `SELECT * FROM ${this.source}
+              WHERE CAST(machine_id AS STRING) = @machineId AND anomaly_ts = TIMESTAMP(@anomalyTs) LIMIT 1`,
+      params: key
+    });
+    return rows.length ? this.fromRow(rows[0]) : null;
+  }
+
+  // Oldest first; with no `since` only the latest row is returned
+  async fetchSince(since) {
+    const [rows] = since === null
+      ? await this.bigquery.query({ query: `SELECT * FROM ${this.source} ORDER BY anomaly_ts DESC LIMIT 1` })
+      : await this.bigquery.query({
+        query: `SELECT * FROM ${this.source} WHERE anomaly_ts > TIMESTAMP(@since) ORDER BY anomaly_ts ASC LIMIT 100`,
+        params: { since }
+      });
+    return rows.map(row => this.fromRow(row));
+  }
+}
+
+/**
+ * Validates the query string of GET /api/notifications. Returns
+ * { filters, page, pageSize, errors } with errors in the structured 400 shape.
+ */
+export function parseNotificationQuery(query) {
+  const errors = [];
+  const list = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+
+  const filters = {
+    machines: list(query.machine),
+    severities: list(query.severity).map(s => s.toLowerCase())
+  };
+  filters.severities.forEach(severity => {
+    if (!SEVERITIES.includes(severity)) {
+      errors.push({ field: 'severity', message: `severity must be one of ${SEVERITIES.join(', ')}`, value: severity });
+    }
+  });
+
+  for (const field of ['from', 'to']) {
+    if (!query[field]) continue;
+    const time = Date.parse(query[field]);
+    if (Number.isNaN(time)) {
+      errors.push({ field, message: `${field} must be an ISO date or timestamp`, value: query[field] });
+    } else {
+      filters[field] = new Date(time).toISOString();
+    }
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? 20 : Number(query.pageSize);
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push({ field: 'page', message: 'page must be a positive integer', value: query.page });
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 200) {
+    errors.push({ field: 'pageSize', message: 'pageSize must be between 1 and 200', value: query.pageSize });
+  }
+
+  return { filters, page, pageSize, errors };
+}
+
+// =============================
+// ✅ Acknowledgement Stores
+// =============================
+// Every store implements:
+//   getMany(ids)        -> Promise<Map<id, state>>
+//   update(id, change)  -> Promise<state>
+// where state is { id, acknowledged, acknowledgedBy, acknowledgedAt,
+// assignee, assignedBy, assignedAt, comments: [{ author, text, at }], updatedAt }.
+
+export function emptyAckState(id) {
+  return {
+    id,
+    acknowledged: false,
+    acknowledgedBy: null,
+    acknowledgedAt: null,
+    assignee: null,
+    assignedBy: null,
+    assignedAt: null,
+    comments: [],
+    updatedAt: null
+  };
+}
+
+/**
+ * Applies one change to an ack state. change: { action: 'ack' | 'unack' |
+ * 'assign' | 'comment', user, assignee, comment }.
+ */
+export function applyAckChange(state, { action, user, assignee, comment }) {
+  const now = new Date().toISOString();
+  const next = { ...state, comments: [...state.comments], updatedAt: now };
+
+  if (action === 'ack') {
+    next.acknowledged = true;
+    next.acknowledgedBy = user;
+    next.acknowledgedAt = now;
+  } else if (action === 'unack') {
+    next.acknowledged = false;
+    next.acknowledgedBy = null;
+    next.acknowledgedAt = null;
+  } else if (action === 'assign') {
+    next.assignee = assignee || null;
+    next.assignedBy = user;
+    next.assignedAt = now;
+  }
+
+  if (comment) {
+    next.comments.push({ author: user, text: comment, at: now, action });
+  }
+  return next;
+}
+
+class MemoryAckStore {
+  constructor() {
+    this.type = 'memory';
+    this.states = new Map();
+  }
+
+  async getMany(ids) {
+    return new Map(ids.filter(id => this.states.has(id)).map(id => [id, this.states.get(id)]));
+  }
+
+  async update(id, change) {
+    const state = applyAckChange(this.states.get(id) || emptyAckState(id), change);
+    this.states.set(id, state);
+    return state;
+  }
+}
+
+// Single JSON file keyed by notification id, shared by every shift on this host.
+class FileAckStore {
+  constructor(filePath) {
+    this.type = 'file';
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async readAll() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  }
+
+  async getMany(ids) {
+    await this.writeQueue;
+    const all = await this.readAll();
+    return new Map(ids.filter(id => all[id]).map(id => [id, all[id]]));
+  }
+
+  async update(id, change) {
+    const result = this.writeQueue.then(async () => {
+      const all = await this.readAll();
+      all[id] = applyAckChange(all[id] || emptyAckState(id), change);
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      // Write to a temp file first so a crash never leaves half a file
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(all, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+      return all[id];
+    });
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+}
+
+// One document per notification id, shared by every instance; changes run
+// in a transaction so concurrent acks and comments don't overwrite each other.
+class FirestoreAckStore {
+  constructor({ projectId, collection }) {
+    this.type = 'firestore';
+    this.db = new Firestore({ projectId, keyFilename: './service-account-key.json' });
+    this.collection = this.db.collection(collection);
+  }
+
+  async getMany(ids) {
+    if (ids.length === 0) return new Map();
+    const snapshots = await this.db.getAll(...ids.map(id => this.collection.doc(id)));
+    return new Map(snapshots.filter(snapshot => snapshot.exists).map(snapshot => [snapshot.id, snapshot.data()]));
+  }
+
+  async update(id, change) {
+    const ref = this.collection.doc(id);
+    return this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      const state = applyAckChange(snapshot.exists ? snapshot.data() : emptyAckState(id), change);
+      transaction.set(ref, state);
+      return state;
+    });
+  }
+}
+
+let ackStore = null;
+
+// NOTIFICATION_ACK_STORE = firestore | file | memory; defaults to firestore
+// with NODE_ENV=production (every instance sees the same acks), otherwise file
+export function getAckStore() {
+  if (ackStore) return ackStore;
+
+  const type = process.env.NOTIFICATION_ACK_STORE || (process.env.NODE_ENV === 'production' ? 'firestore' : 'file');
+  switch (type) {
+    case 'firestore':
+      ackStore = new FirestoreAckStore({
+        projectId: process.env.GCP_PROJECT_ID || 'genai-exchange-472212',
+        collection: process.env.NOTIFICATION_ACK_COLLECTION || 'notification_acks'
+      });
+      break;
+    case 'file':
+      ackStore = new FileAckStore(process.env.NOTIFICATION_ACK_PATH || './data/notification-acks.json');
+      break;
+    case 'memory':
+      ackStore = new MemoryAckStore();
+      break;
+    default:
+      throw new Error(`Unknown notification ack store: ${type}`);
+  }
+  return ackStore;
+}
+
+// Merges stored ack state into notification rows
+export async function withAckState(notifications) {
+  const states = await getAckStore().getMany(notifications.map(n => n.id));
+  return notifications.map(n => ({ ...n, ack: states.get(n.id) || emptyAckState(n.id) }));
+}
@@ -1,5 +1,24 @@
 import { Pinecone } from '@pinecone-database/pinecone';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { chunkDocument, getChunkingConfig, groupChunkMatches, reassembleChunks } from './document-chunker.js';
+import { KeywordIndex, fuseMatches, getHybridSearchConfig, rerankMatches } from './hybrid-search.js';
+
+const UPSERT_BATCH_SIZE = 100;
+const FETCH_BATCH_SIZE = 100;
+const DELETE_BATCH_SIZE = 1000;
+// How long a session's keyword entries are trusted before they are checked against Pinecone again
+const KEYWORD_SYNC_MS = 60 * 1000;
+
+// Vector ids of a document: "<documentId>#<chunkIndex>", or the bare
+// documentId for vectors stored before chunking
+function belongsTo(vectorId, documentId) {
+    return vectorId === documentId || vectorId.startsWith(`${documentId}#`);
+}
+
+function documentIdOf(vectorId) {
+    const hash = vectorId.lastIndexOf('#');
+    return hash === -1 ? vectorId : vectorId.slice(0, hash);
+}
 
 class PineconeClient {
     constructor(apiKey) {
@@ -9,6 +28,11 @@ class PineconeClient {
         this.indexName = 'chatbot-documents';
         this.genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
         this.model = this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+        // Chunk texts are also indexed in memory for keyword search (see hybrid-search.js).
+        // Pinecone is shared by every instance, so the index is rebuilt per session from
+        // its chunk metadata (see syncKeywordIndex) rather than kept on local disk.
+        this.keywordIndex = new KeywordIndex();
+        this.keywordSyncs = new Map();
         this.initialized = false;
     }
 
@@ -73,7 +97,9 @@ class PineconeClient {
         }
     }
 
-    async storeDocument(sessionId, documentId, content, metadata = {}) {
+    // Documents are stored as one vector per chunk, id "<documentId>#<chunkIndex>".
+    // onProgress({ stage: 'chunking' | 'embedding', embedded, total }) follows the work.
+    async storeDocument(sessionId, documentId, content, metadata = {}, { onProgress = () => {} } = {}) {
         try {
             if (!this.initialized) {
                 const initResult = await this.initialize();
@@ -82,28 +108,48 @@ class PineconeClient {
                 }
             }
 
-            // Generate embedding for the content
-            const embedding = await this.generateEmbedding(content);
-
-            // Prepare the vector
-            const vector = {
-                id: documentId,
-                values: embedding,
-                metadata: {
+            onProgress({ stage: 'chunking' });
+            const chunks = chunkDocument(content, getChunkingConfig());
+            const timestamp = new Date().toISOString();
+            const vectors = [];
+            for (const chunk of chunks) {
+                onProgress({ stage: 'embedding', embedded: vectors.length, total: chunks.length });
+                const chunkMetadata = {
                     sessionId,
-                    content: content.substring(0, 40000), // Limit content size
                     ...metadata,
-                    timestamp: new Date().toISOString()
-                }
-            };
+                    documentId,
+                    chunkIndex: chunk.chunkIndex,
+                    chunkCount: chunks.length,
+                    content: chunk.text,
+                    overlap: chunk.overlap,
+                    timestamp
+                };
+                // Pinecone rejects null metadata values
+                if (chunk.page !== null) chunkMetadata.page = chunk.page;
+                if (chunk.section !== null) chunkMetadata.section = chunk.section;
 
-            // Upsert the vector
-            await this.index.upsert([vector]);
+                vectors.push({
+                    id: `${documentId}#${chunk.chunkIndex}`,
+                    values: await this.generateEmbedding(chunk.text),
+                    metadata: chunkMetadata
+                });
+            }
+
+            for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+                await this.index.upsert(vectors.slice(i, i + UPSERT_BATCH_SIZE));
+            }
+
+            try {
+                await this.keywordIndex.add(vectors);
+            } catch (keywordError) {
+                console.error('Error adding document to keyword index:', keywordError);
+            }
 
             return {
                 success: true,
                 documentId,
-                vectorId: documentId
+                chunkCount: chunks.length,
+                vectorIds: vectors.map(vector => vector.id)
             };
         } catch (error) {
             console.error('Error storing document in Pinecone:', error);
@@ -111,7 +157,16 @@ class PineconeClient {
         }
     }
 
-    async searchDocuments(sessionId, query, topK = 3) {
+    /**
+     * Hybrid chunk search: vector similarity and BM25 keyword matches are
+     * fused by rank, optionally reranked (CHATBOT_RERANKER), then grouped per
+     * document. Returns up to `topK` documents, best first, each as
+     * { id, content, metadata, score, chunks: [{ chunkIndex, page, section,
+     * content, score, retrieval, scores }] } where `retrieval` says which path
+     * found the passage ('vector', 'keyword' or 'hybrid') and `content` joins
+     * the document's matching passages in reading order.
+     */
+    async searchDocuments(sessionId, query, topK = 3, { chunksPerDocument = 3 } = {}) {
         try {
             if (!this.initialized) {
                 const initResult = await this.initialize();
@@ -120,28 +175,44 @@ class PineconeClient {
                 }
             }
 
-            // Generate embedding for the query
-            const queryEmbedding = await this.generateEmbedding(query);
+            const { keyword, reranker } = getHybridSearchConfig();
+            // Fetch more chunks than documents so each document can contribute several passages
+            const candidates = topK * chunksPerDocument * 2;
 
-            // Search for similar vectors
-            const searchResults = await this.index.query({
-                vector: queryEmbedding,
-                topK,
-                filter: { sessionId: { $eq: sessionId } },
-                includeMetadata: true
-            });
+            // A failed embedding (quota, offline) still leaves the keyword results
+            let vectorMatches = [];
+            let vectorError = null;
+            try {
+                const queryEmbedding = await this.generateEmbedding(query);
+                const searchResults = await this.index.query({
+                    vector: queryEmbedding,
+                    topK: candidates,
+                    filter: { sessionId: { $eq: sessionId } },
+                    includeMetadata: true
+                });
+                vectorMatches = searchResults.matches;
+            } catch (error) {
+                console.error('Vector search failed:', error.message);
+                vectorError = error;
+            }
 
-            // Format the results
-            const documents = searchResults.matches.map(match => ({
-                id: match.id,
-                content: match.metadata.content,
-                metadata: match.metadata,
-                score: match.score
-            }));
+            let keywordMatches = [];
+            if (keyword) {
+                try {
+                    await this.syncKeywordIndex(sessionId);
+                    keywordMatches = await this.keywordIndex.search(query, metadata => metadata.sessionId === sessionId, candidates);
+                } catch (error) {
+                    console.error('Keyword search failed:', error.message);
+                }
+            }
+            if (vectorError && keywordMatches.length === 0) throw vectorError;
+
+            const fused = fuseMatches(vectorMatches, keywordMatches).slice(0, candidates);
+            const ranked = await rerankMatches(query, fused, reranker);
 
             return {
                 success: true,
-                documents,
+                documents: groupChunkMatches(ranked, topK, chunksPerDocument),
                 query
             };
         } catch (error) {
@@ -150,6 +221,71 @@ class PineconeClient {
         }
     }
 
+    // All vector ids starting with `prefix`, following the list pagination
+    async listVectorIds(prefix) {
+        const ids = [];
+        let paginationToken;
+        do {
+            const page = await this.index.listPaginated({ prefix, paginationToken });
+            ids.push(...(page.vectors || []).map(vector => vector.id));
+            paginationToken = page.pagination?.next;
+        } while (paginationToken);
+        return ids;
+    }
+
+    async fetchVectors(ids) {
+        const records = [];
+        for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+            const result = await this.index.fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+            records.push(...Object.values(result.records || {}));
+        }
+        return records;
+    }
+
+    /**
+     * Brings the session's keyword entries in line with Pinecone: chunks
+     * stored by other instances (or before a restart) are fetched and added,
+     * deleted ones dropped. Runs at most once per KEYWORD_SYNC_MS per session;
+     * concurrent searches share the run.
+     */
+    async syncKeywordIndex(sessionId) {
+        const last = this.keywordSyncs.get(sessionId);
+        if (last && Date.now() - last.at < KEYWORD_SYNC_MS) return last.promise;
+
+        const inSession = metadata => metadata.sessionId === sessionId;
+        const promise = (async () => {
+            const stored = new Set(await this.listVectorIds(`${sessionId}_`));
+            const indexed = new Set(await this.keywordIndex.ids(inSession));
+            const missing = [...stored].filter(id => !indexed.has(id));
+            if ([...indexed].some(id => !stored.has(id))) {
+                await this.keywordIndex.remove((metadata, id) => inSession(metadata) && !stored.has(id));
+            }
+            if (missing.length > 0) {
+                const records = await this.fetchVectors(missing);
+                await this.keywordIndex.add(records
+                    .filter(record => record.metadata?.sessionId === sessionId && record.metadata.content)
+                    .map(record => ({ id: record.id, metadata: record.metadata })));
+            }
+        })();
+        this.keywordSyncs.set(sessionId, { at: Date.now(), promise });
+        // A failed sync is retried by the next search
+        promise.catch(() => this.keywordSyncs.delete(sessionId));
+        return promise;
+    }
+
+    // The vector ids of one document, or null when it isn't in this session
+    async documentVectorIds(sessionId, documentId) {
+        const ids = (await this.listVectorIds(documentId)).filter(id => belongsTo(id, documentId));
+        if (ids.length === 0) return null;
+        const [first] = await this.fetchVectors(ids.slice(0, 1));
+        return first?.metadata?.sessionId === sessionId ? ids : null;
+    }
+
+    /**
+     * Documents of a session as [{ id, metadata }], read from the first chunk
+     * of each. Document ids start with "<sessionId>_", so only the session's
+     * own vectors are listed.
+     */
     async getSessionDocuments(sessionId) {
         try {
             if (!this.initialized) {
@@ -159,18 +295,17 @@ class PineconeClient {
                 }
             }
 
-            // Query all documents for the session
-            const searchResults = await this.index.query({
-                vector: new Array(1536).fill(0), // Dummy vector
-                topK: 100,
-                filter: { sessionId: { $eq: sessionId } },
-                includeMetadata: true
-            });
+            const ids = await this.listVectorIds(`${sessionId}_`);
+            const firstChunks = ids.filter(id => !id.includes('#') || id.endsWith('#0'));
+            const records = await this.fetchVectors(firstChunks);
 
-            const documents = searchResults.matches.map(match => ({
-                id: match.id,
-                metadata: match.metadata
-            }));
+            const documents = records
+                .filter(record => record.metadata?.sessionId === sessionId)
+                .map(record => {
+                    const { content, chunkIndex, page, section, overlap, ...metadata } = record.metadata;
+                    return { id: documentIdOf(record.id), metadata };
+                })
+                .sort((a, b) => String(a.metadata.timestamp).localeCompare(String(b.metadata.timestamp)));
 
             return {
                 success: true,
@@ -181,6 +316,67 @@ class PineconeClient {
             return { success: false, error: error.message, documents: [] };
         }
     }
+
+    /**
+     * One document with its text rebuilt from the chunks:
+     * { success, document: { id, metadata, content } }, document null when
+     * the id is unknown or belongs to another session.
+     */
+    async getDocument(sessionId, documentId) {
+        try {
+            if (!this.initialized) {
+                const initResult = await this.initialize();
+                if (!initResult.success) {
+                    return { success: false, error: initResult.error, document: null };
+                }
+            }
+
+            const ids = await this.documentVectorIds(sessionId, documentId);
+            if (!ids) return { success: true, document: null };
+
+            const records = await this.fetchVectors(ids);
+            const chunks = records.map(record => ({ ...record.metadata, chunkIndex: record.metadata.chunkIndex ?? 0 }));
+            const { content, chunkIndex, page, section, overlap, ...metadata } = chunks[0];
+
+            return {
+                success: true,
+                document: { id: documentId, metadata, content: reassembleChunks(chunks) }
+            };
+        } catch (error) {
+            console.error('Error getting document:', error);
+            return { success: false, error: error.message, document: null };
+        }
+    }
+
+    // Removes every vector of a document and its keyword index entries
+    async deleteDocument(sessionId, documentId) {
+        try {
+            if (!this.initialized) {
+                const initResult = await this.initialize();
+                if (!initResult.success) {
+                    return { success: false, error: initResult.error };
+                }
+            }
+
+            const ids = await this.documentVectorIds(sessionId, documentId);
+            if (!ids) return { success: true, deleted: false };
+
+            for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+                await this.index.deleteMany(ids.slice(i, i + DELETE_BATCH_SIZE));
+            }
+
+            try {
+                await this.keywordIndex.remove(metadata => metadata.sessionId === sessionId && metadata.documentId === documentId);
+            } catch (keywordError) {
+                console.error('Error removing document from keyword index:', keywordError);
+            }
+
+            return { success: true, deleted: true, vectorCount: ids.length };
+        } catch (error) {
+            console.error('Error deleting document from Pinecone:', error);
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 export default PineconeClient;
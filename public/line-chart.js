@@ -0,0 +1,103 @@
+// line-chart.js
+// Minimal dependency-free SVG line chart used by the predictor pages.
+//
+// renderLineChart(container, {
+//   series:  [{ name, color, points: [{ x, y }] }],
+//   xLabel, yLabel,
+//   xTicks:  optional [{ x, label }] (defaults to the x values of the first series),
+//   hLines:  optional [{ y, label, color }]   horizontal reference lines
+//   markers: optional [{ x, y, label, color }] highlighted points
+// })
+
+const CHART_COLORS = ['#0078ff', '#00b894', '#f44336', '#fdcb6e', '#6c5ce7', '#e17055'];
+
+function renderLineChart(container, options) {
+  const width = 560;
+  const height = 300;
+  const pad = { top: 20, right: 20, bottom: 45, left: 60 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+
+  const series = options.series.filter(s => s.points.length > 0);
+  const hLines = options.hLines || [];
+  const markers = options.markers || [];
+  const allPoints = series.flatMap(s => s.points);
+  if (allPoints.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const xs = allPoints.map(p => p.x);
+  const ys = allPoints.map(p => p.y).concat(hLines.map(l => l.y));
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const yMin = Math.min(0, ...ys);
+  const yMax = Math.max(...ys) * 1.1 || 1;
+
+  const sx = x => pad.left + (xMax === xMin ? plotW / 2 : ((x - xMin) / (xMax - xMin)) * plotW);
+  const sy = y => pad.top + plotH - ((y - yMin) / (yMax - yMin)) * plotH;
+  const fmt = v => (Math.abs(v) >= 1000 ? Math.round(v).toLocaleString() : +v.toFixed(1));
+
+  let svg = `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" style="font-size:11px;">`;
+
+  // Grid and y ticks
+  for (let i = 0; i <= 5; i++) {
+    const y = yMin + ((yMax - yMin) * i) / 5;
+    svg += `<line x1="${pad.left}" x2="${width - pad.right}" y1="${sy(y)}" y2="${sy(y)}" stroke="currentColor" stroke-opacity="0.1"/>`;
+    svg += `<text x="${pad.left - 6}" y="${sy(y) + 4}" text-anchor="end" fill="currentColor">${fmt(y)}</text>`;
+  }
+
+  // X ticks
+  const xTicks = options.xTicks || series[0].points.map(p => ({ x: p.x, label: fmt(p.x) }));
+  xTicks.forEach(t => {
+    svg += `<text x="${sx(t.x)}" y="${height - pad.bottom + 16}" text-anchor="middle" fill="currentColor">${t.label}</text>`;
+  });
+
+  // Reference lines
+  hLines.forEach(l => {
+    const color = l.color || '#f44336';
+    svg += `<line x1="${pad.left}" x2="${width - pad.right}" y1="${sy(l.y)}" y2="${sy(l.y)}" stroke="${color}" stroke-dasharray="5,4"/>`;
+    svg += `<text x="${width - pad.right}" y="${sy(l.y) - 4}" text-anchor="end" fill="${color}">${l.label || fmt(l.y)}</text>`;
+  });
+
+  // Series
+  series.forEach((s, i) => {
+    const color = s.color || CHART_COLORS[i % CHART_COLORS.length];
+    const path = s.points.map((p, j) => `${j === 0 ? 'M' : 'L'}${sx(p.x)},${sy(p.y)}`).join(' ');
+    svg += `<path d="${path}" fill="none" stroke="${color}" stroke-width="2.5"/>`;
+    s.points.forEach(p => {
+      svg += `<circle cx="${sx(p.x)}" cy="${sy(p.y)}" r="3" fill="${color}"><title>${s.name}: ${fmt(p.y)}</title></circle>`;
+    });
+  });
+
+  // Markers
+  markers.forEach(m => {
+    const color = m.color || '#f44336';
+    svg += `<line x1="${sx(m.x)}" x2="${sx(m.x)}" y1="${sy(m.y)}" y2="${pad.top + plotH}" stroke="${color}" stroke-dasharray="2,3"/>`;
+    svg += `<circle cx="${sx(m.x)}" cy="${sy(m.y)}" r="6" fill="none" stroke="${color}" stroke-width="2"/>`;
+    if (m.label) {
+      svg += `<text x="${sx(m.x) + 8}" y="${sy(m.y) + 14}" fill="${color}">${m.label}</text>`;
+    }
+  });
+
+  // Axes and labels
+  svg += `<line x1="${pad.left}" x2="${pad.left}" y1="${pad.top}" y2="${pad.top + plotH}" stroke="currentColor" stroke-opacity="0.5"/>`;
+  svg += `<line x1="${pad.left}" x2="${width - pad.right}" y1="${pad.top + plotH}" y2="${pad.top + plotH}" stroke="currentColor" stroke-opacity="0.5"/>`;
+  if (options.xLabel) {
+    svg += `<text x="${pad.left + plotW / 2}" y="${height - 8}" text-anchor="middle" fill="currentColor">${options.xLabel}</text>`;
+  }
+  if (options.yLabel) {
+    svg += `<text transform="translate(14 ${pad.top + plotH / 2}) rotate(-90)" text-anchor="middle" fill="currentColor">${options.yLabel}</text>`;
+  }
+  svg += '</svg>';
+
+  // Legend for multi-series charts
+  let legend = '';
+  if (series.length > 1) {
+    legend = '<div style="display:flex;gap:15px;justify-content:center;font-size:0.85rem;">' +
+      series.map((s, i) => `<span><span style="display:inline-block;width:12px;height:12px;border-radius:3px;background:${s.color || CHART_COLORS[i % CHART_COLORS.length]};margin-right:5px;"></span>${s.name}</span>`).join('') +
+      '</div>';
+  }
+
+  container.innerHTML = svg + legend;
+}
@@ -0,0 +1,56 @@
+// schema-validation.js
+// Client-side mirror of model-schemas.js: fetches the schema a prediction
+// route validates against and checks form values before they are submitted.
+
+async function loadSchema(model) {
+  const res = await fetch(`/api/schemas/${model}`);
+  if (!res.ok) throw new Error(`Could not load ${model} schema`);
+  return res.json();
+}
+
+// Returns a list of { field, message } in the same shape as the server's 400 response.
+// Fields named in `skip` are not checked.
+function validateAgainstSchema(schema, body, skip = []) {
+  const units = body.units || {};
+  const errors = [];
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    if (skip.includes(name)) continue;
+
+    const raw = body[name];
+    const fail = (message) => errors.push({ field: name, message: `${field.label} ${message}` });
+
+    if (raw === undefined || raw === null || raw === '' || Number.isNaN(raw)) {
+      if (field.required) fail('is required');
+      continue;
+    }
+
+    if (field.type === 'number') {
+      const parsed = Number(raw);
+      if (!Number.isFinite(parsed)) {
+        fail('must be a number');
+        continue;
+      }
+      const factor = field.units && units[name] ? field.units.factors[units[name]] : 1;
+      const value = parsed * factor;
+      const canonical = field.units ? ` ${field.units.canonical}` : '';
+      if (field.min !== undefined && value < field.min) fail(`must be at least ${field.min}${canonical}`);
+      else if (field.max !== undefined && value > field.max) fail(`must be at most ${field.max}${canonical}`);
+    } else {
+      const str = String(raw).trim();
+      if (field.pattern && !new RegExp(field.pattern).test(str)) fail(`must match ${field.hint || field.pattern}`);
+      else if (field.maxLength && str.length > field.maxLength) fail(`must be at most ${field.maxLength} characters`);
+    }
+  }
+
+  return errors;
+}
+
+// Marks invalid inputs (by element id == field name) and lists the messages in `target`.
+function showValidationErrors(errors, target) {
+  document.querySelectorAll('.form-group input.invalid').forEach(el => el.classList.remove('invalid'));
+  errors.forEach(e => document.getElementById(e.field)?.classList.add('invalid'));
+  target.innerHTML = errors.length
+    ? '<ul class="validation-errors">' + errors.map(e => `<li>${e.message}</li>`).join('') + '</ul>'
+    : '';
+}
@@ -2,22 +2,55 @@
 import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
-import { GoogleAuth } from 'google-auth-library';
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
 import { BigQuery } from '@google-cloud/bigquery';
+import multer from 'multer';
+import { callModel, describeModelProviders } from './model-providers.js';
+import {
+  STRENGTH_FIELDS, DEFAULT_CURVE_AGES, toStrengthInstance, normalizeStrengthRow,
+  predictStrengths, predictStrengthCurve, findThresholdCrossings
+} from './strength-model.js';
+import { parseCsv, toCsv } from './csv-utils.js';
+import { SCHEMAS, validateInput, sendValidationError } from './model-schemas.js';
+import { parseOptimizerRequest, optimizeMix } from './mix-optimizer.js';
+import {
+  DEMAND_DRIVERS, toDemandInstance, buildForecastPlan, runForecast, analyzeDemandSensitivity, resolvePriceRange
+} from './demand-model.js';
+import { auditPrediction, getAuditStore, AUDIT_CSV_COLUMNS } from './audit-log.js';
+import { classifyClinkerFrame, getClinkerVerdictConfig, CLINKER_CLASSES } from './clinker-verdict.js';
+import {
+  parseSessionOptions, createMonitoringSession, getMonitoringSession, listMonitoringSessions,
+  recordMonitoringFrame, stopMonitoringSession, sessionSummary, MAX_SESSIONS, clinkerMonitorEvents
+} from './clinker-monitor.js';
+import {
+  publishAlert, recentAlerts, alertsSince, streamAlerts, startNotificationPoller, subscribeAlerts
+} from './alert-stream.js';
+import {
+  NotificationRepository, parseNotificationQuery, parseNotificationId, getAckStore, withAckState
+} from './notifications.js';
+import { AlertRuleEngine, createRuleStore, parseAlertRule } from './alert-rules.js';
+import {
+  callAdkAgent, streamAdkAgent, validateSessionContext, createAgentSession, listAgentSessions,
+  getAgentSession, findAgentSession, deleteAgentSession, resetAgentSession
+} from './adk-agent.js';
+import { openEventStream } from './event-stream.js';
+import { trustedUserId, trustsUserHeader, hasBearerToken } from './identity.js';
 
 // Load environment variables
 dotenv.config();
 
 // === Chatbot setup selection ===
 const usePinecone = process.env.USE_PINECONE === 'true';
+const useLocalVectors = process.env.CHATBOT_STORE === 'local';
 const isProduction = process.env.NODE_ENV === 'production';
 
 let chatbotModule;
 if (usePinecone) {
   chatbotModule = './chatbot-api-pinecone.js';
   console.log('🧠 Using Pinecone chatbot API');
+} else if (useLocalVectors) {
+  chatbotModule = './chatbot-api-local.js';
+  console.log('🧠 Using local vector store chatbot API');
 } else if (isProduction) {
   chatbotModule = './chatbot-api-production.js';
   console.log('🧠 Using Production chatbot API (Firestore)');
@@ -34,118 +67,237 @@ app.use(cors());
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
 
-// === Google Auth (for Vertex AI) ===
-const auth = new GoogleAuth({
-  keyFilename: './service-account-key.json',
-  scopes: ['https://www.googleapis.com/auth/cloud-platform']
+// === GCP Project ===
+const project = process.env.GCP_PROJECT_ID || 'genai-exchange-472212';
+
+// === Alert Rules ===
+// Routes feed detector results and anomalies into the rule engine; delivery
+// failures are recorded in the rule history and never affect the response.
+const alertRules = new AlertRuleEngine(createRuleStore());
+await alertRules.load();
+
+function feedAlertRules(kind, event) {
+  alertRules.handleEvent(kind, event).catch(err => console.error(`Alert rules failed for ${kind}:`, err));
+}
+
+// =============================
+// 🔌 Model Providers
+// =============================
+// Lists which backend (Vertex AI, local HTTP, fixture) each model is bound to.
+app.get('/api/models', (req, res) => {
+  try {
+    res.json(describeModelProviders());
+  } catch (err) {
+    console.error('Model provider config error:', err);
+    res.status(500).json({ error: 'Invalid model provider configuration', details: err.message });
+  }
 });
 
-const adkAuth = new GoogleAuth({
-  keyFilename: './service-account-key.json'
+// =============================
+// 📐 Input Schemas
+// =============================
+// Same schemas the prediction routes validate against, for client-side checks.
+app.get('/api/schemas', (req, res) => {
+  res.json(SCHEMAS);
 });
 
-// === Vertex AI Config ===
-const project = 'genai-exchange-472212';
+app.get('/api/schemas/:model', (req, res) => {
+  const schema = SCHEMAS[req.params.model];
+  if (!schema) {
+    return res.status(404).json({ error: `No schema for model: ${req.params.model}` });
+  }
+  res.json(schema);
+});
 
-// Strength Model (Asia region)
-const strengthModel = {
-  location: 'northamerica-northeast1',
-  endpointId: '2790098716411822080'
-};
+// =============================
+// 🧱 Cement Strength Prediction
+// =============================
+app.post('/predict', auditPrediction('strength'), async (req, res) => {
+  try {
+    console.log('Strength Model Input:', req.body);
 
-// Demand Model (US region)
-const demandModel = {
-  location: 'northamerica-northeast2',
-  endpointId: '3225540505383206912'
-};
+    const { values, errors } = validateInput('strength', req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
 
-const clinkerQuality = {
-  location: 'us-central1',
-  endpointId: '1039811444922646528'
-}
+    const instances = [toStrengthInstance(values)];
 
-const packagingQualityDetector = {
-  location: 'europe-west4',
-  endpointId: '5846545328559357952'
-}
+    const result = await callModel('strength', instances);
+    res.json({ prediction: result.predictions[0].value });
+    feedAlertRules('strength_prediction', { prediction: result.predictions[0].value, ...values });
+  } catch (err) {
+    console.error('Strength model error:', err);
+    res.status(500).json({ error: 'Strength prediction failed', details: err.message });
+  }
+});
 
-// === Helper: Call Vertex AI ===
-async function callVertexAI(instances, { location, endpointId }) {
-  const authClient = await auth.getClient();
-  const accessToken = await authClient.getAccessToken();
+// =============================
+// 📉 Strength Development Curve
+// =============================
+const MAX_CURVE_AGES = 50;
 
-  const url = `https://${location}-aiplatform.googleapis.com/v1/projects/${project}/locations/${location}/endpoints/${endpointId}:predict`;
+// Predicts one mix across an age sweep, e.g. to pick form-stripping times.
+app.post('/predict-curve', auditPrediction('strength'), async (req, res) => {
+  try {
+    console.log('Strength Curve Input:', req.body);
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${accessToken.token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({ instances })
-  });
+    const { values, errors } = validateInput('strength', req.body, { skip: ['age'] });
 
-  const result = await response.json();
-  console.log(`Vertex AI (${location}) Response:`, JSON.stringify(result));
+    const ageField = SCHEMAS.strength.fields.age;
+    const ages = req.body.ages ?? DEFAULT_CURVE_AGES;
+    if (!Array.isArray(ages) || ages.length === 0 || ages.length > MAX_CURVE_AGES) {
+      errors.push({ field: 'ages', message: `ages must be a list of 1-${MAX_CURVE_AGES} ages in days` });
+    } else if (ages.some(age => !Number.isFinite(Number(age)) || age < ageField.min || age > ageField.max)) {
+      errors.push({ field: 'ages', message: `Every age must be between ${ageField.min} and ${ageField.max} days` });
+    }
 
-  if (result.error) throw new Error(result.error.message || JSON.stringify(result.error));
-  return result;
-}
+    const thresholds = req.body.thresholds ?? [];
+    if (!Array.isArray(thresholds) || thresholds.some(t => !Number.isFinite(Number(t)) || t <= 0)) {
+      errors.push({ field: 'thresholds', message: 'thresholds must be a list of positive strengths in MPa' });
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const curve = await predictStrengthCurve(values, ages.map(Number));
+    if (curve.every(point => point.error)) {
+      throw new Error(curve[0].error);
+    }
+
+    res.json({
+      mix: values,
+      curve,
+      thresholds: findThresholdCrossings(curve, thresholds.map(Number))
+    });
+  } catch (err) {
+    console.error('Strength curve error:', err);
+    res.status(500).json({ error: 'Strength curve prediction failed', details: err.message });
+  }
+});
 
 // =============================
-// 🧱 Cement Strength Prediction
+// 🧪 Batch Strength Prediction
 // =============================
-app.post('/predict', async (req, res) => {
+const MAX_BATCH_ROWS = 1000;
+
+// CSV uploads are kept in memory; mix design sheets are small
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'));
+    }
+  }
+});
+
+// Accepts a CSV upload (field "file"), a JSON array, or { rows: [...] }.
+// Add ?format=csv to download the results as a CSV file.
+app.post('/predict-batch', auditPrediction('strength'), csvUpload.single('file'), async (req, res) => {
   try {
-    const {
-      cement, slag, flyash, water,
-      superplasticizer, coarseaggregate, fineaggregate, age
-    } = req.body;
+    let rows;
+    if (req.file) {
+      rows = parseCsv(req.file.buffer.toString('utf-8'));
+    } else if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else {
+      rows = req.body.rows;
+    }
 
-    console.log('Strength Model Input:', req.body);
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'No rows provided. Upload a CSV file or send a JSON array of mix designs.' });
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({ error: `Too many rows (${rows.length}). Maximum is ${MAX_BATCH_ROWS}.` });
+    }
 
-    const instances = [{
-      cement: cement.toString(),
-      slag: slag.toString(),
-      ash: flyash.toString(),
-      water: water.toString(),
-      superplastic: superplasticizer.toString(),
-      coarseagg: coarseaggregate.toString(),
-      fineagg: fineaggregate.toString(),
-      age: age.toString()
-    }];
-
-    const result = await callVertexAI(instances, strengthModel);
-    res.json({ prediction: result.predictions[0].value });
+    console.log(`Strength Batch Input: ${rows.length} rows`);
+
+    const parsed = rows.map(normalizeStrengthRow);
+    const valid = parsed.filter(p => p.mix);
+    const predictions = await predictStrengths(valid.map(p => p.mix));
+
+    let next = 0;
+    const results = parsed.map((p, index) => {
+      const row = index + 1;
+      if (p.error) return { row, ...p.values, error: p.error };
+
+      const prediction = predictions[next++];
+      if (prediction.error) return { row, ...p.mix, error: prediction.error };
+
+      return {
+        row,
+        ...p.mix,
+        prediction: prediction.value,
+        lower_bound: prediction.lower_bound,
+        upper_bound: prediction.upper_bound
+      };
+    });
+
+    const failed = results.filter(r => r.error).length;
+    const format = req.query.format || req.body.format;
+
+    if (format === 'csv') {
+      const columns = ['row', ...STRENGTH_FIELDS, 'prediction', 'lower_bound', 'upper_bound', 'error'];
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="strength-predictions.csv"');
+      return res.send(toCsv(results, columns));
+    }
+
+    res.json({
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results
+    });
   } catch (err) {
-    console.error('Strength model error:', err);
-    res.status(500).json({ error: 'Strength prediction failed', details: err.message });
+    console.error('Strength batch error:', err);
+    res.status(500).json({ error: 'Batch strength prediction failed', details: err.message });
   }
 });
 
 // =============================
-// 📈 Cement Demand Prediction
+// 🎯 Mix Design Optimizer
 // =============================
-app.post('/predict-demand', async (req, res) => {
+// Inverse of /predict: finds the cheapest mixes reaching a target strength.
+app.post('/optimize-mix', auditPrediction('strength'), async (req, res) => {
   try {
-    const {
-      date, region, gdp_growth_rate, construction_index,
-      rainfall_mm, cement_price_per_ton, infrastructure_spending_million
-    } = req.body;
+    console.log('Mix Optimizer Input:', req.body);
+
+    const { options, errors } = parseOptimizerRequest(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
 
+    const result = await optimizeMix(options);
+    res.json(result);
+  } catch (err) {
+    console.error('Mix optimizer error:', err);
+    res.status(500).json({ error: 'Mix optimization failed', details: err.message });
+  }
+});
+
+// =============================
+// 📈 Cement Demand Prediction
+// =============================
+app.post('/predict-demand', auditPrediction('demand'), async (req, res) => {
+  try {
     console.log('Demand Model Input:', req.body);
 
-    const instances = [{
-      date: date.toString(),
-      region: region.toString(),
-      gdp_growth_rate: gdp_growth_rate.toString(),
-      construction_index: construction_index.toString(),
-      rainfall_mm: rainfall_mm.toString(),
-      cement_price_per_ton: cement_price_per_ton.toString(),
-      infrastructure_spending_million: infrastructure_spending_million.toString()
-    }];
-
-    const result = await callVertexAI(instances, demandModel);
+    const { values, errors } = validateInput('demand', req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const instances = [toDemandInstance(values)];
+
+    const result = await callModel('demand', instances);
     res.json({ prediction: result.predictions[0].value });
   } catch (err) {
     console.error('Demand model error:', err);
@@ -153,10 +305,105 @@ app.post('/predict-demand', async (req, res) => {
   }
 });
 
+// =============================
+// 🗓️ Multi-Period Demand Forecast
+// =============================
+// Month-by-month forecast for one region, with named scenarios side by side.
+// Add ?format=csv to download every scenario as one CSV file.
+app.post('/forecast-demand', auditPrediction('demand'), async (req, res) => {
+  try {
+    console.log('Demand Forecast Input:', req.body);
+
+    const { plan, errors } = buildForecastPlan(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const forecast = await runForecast(plan);
+    if (forecast.scenarios.every(s => s.failed === s.series.length)) {
+      throw new Error(forecast.scenarios[0].series[0].error);
+    }
+
+    const format = req.query.format || req.body.format;
+    if (format === 'csv') {
+      const rows = forecast.scenarios.flatMap(s => s.series.map(point => ({ scenario: s.name, region: forecast.region, ...point })));
+      const columns = ['scenario', 'region', 'date', ...DEMAND_DRIVERS, 'prediction', 'lower_bound', 'upper_bound', 'error'];
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="demand-forecast.csv"');
+      return res.send(toCsv(rows, columns));
+    }
+
+    res.json(forecast);
+  } catch (err) {
+    console.error('Demand forecast error:', err);
+    res.status(500).json({ error: 'Demand forecast failed', details: err.message });
+  }
+});
+
+// =============================
+// 🌪️ Demand Sensitivity & Price Elasticity
+// =============================
+// Body: the /predict-demand inputs as the baseline, plus optional
+// `perturbation` (fraction, default 0.1) and `priceRange` { min, max, steps }.
+app.post('/demand-sensitivity', auditPrediction('demand'), async (req, res) => {
+  try {
+    console.log('Demand Sensitivity Input:', req.body);
+
+    const { values, errors } = validateInput('demand', req.body);
+
+    const perturbation = req.body.perturbation ?? 0.1;
+    if (!Number.isFinite(Number(perturbation)) || perturbation <= 0 || perturbation > 1) {
+      errors.push({ field: 'perturbation', message: 'perturbation must be a fraction between 0 and 1' });
+    }
+
+    const priceRange = req.body.priceRange;
+    if (priceRange !== undefined) {
+      const { min, max, steps = 13 } = priceRange || {};
+      if ((min !== undefined && !Number.isFinite(Number(min))) || (max !== undefined && !Number.isFinite(Number(max)))
+        || (min !== undefined && max !== undefined && Number(min) >= Number(max))) {
+        errors.push({ field: 'priceRange', message: 'priceRange min and max must be numbers with min < max' });
+      }
+      if (!Number.isInteger(Number(steps)) || steps < 2 || steps > 50) {
+        errors.push({ field: 'priceRange.steps', message: 'priceRange.steps must be between 2 and 50' });
+      }
+      // A single bound is checked against the default for the other one
+      if (errors.length === 0 && (min === undefined || max === undefined)) {
+        const range = resolvePriceRange(values.cement_price_per_ton, SCHEMAS.demand.fields.cement_price_per_ton, {
+          min: min !== undefined ? Number(min) : undefined,
+          max: max !== undefined ? Number(max) : undefined
+        });
+        if (range.min >= range.max) {
+          const message = min !== undefined
+            ? `priceRange.min must be below the default max of ${range.max}; give priceRange.max too`
+            : `priceRange.max must be above the default min of ${range.min}; give priceRange.min too`;
+          errors.push({ field: 'priceRange', message });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const result = await analyzeDemandSensitivity(values, SCHEMAS.demand.fields, {
+      perturbation: Number(perturbation),
+      priceRange: priceRange && {
+        min: priceRange.min !== undefined ? Number(priceRange.min) : undefined,
+        max: priceRange.max !== undefined ? Number(priceRange.max) : undefined,
+        steps: priceRange.steps !== undefined ? Number(priceRange.steps) : undefined
+      }
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('Demand sensitivity error:', err);
+    res.status(err.status || 500).json({ error: 'Demand sensitivity analysis failed', details: err.message });
+  }
+});
+
 // =============================
 // 🏭 Clinker Quality Detection
 // =============================
-app.post('/detect-clinker', async (req, res) => {
+app.post('/detect-clinker', auditPrediction('clinker'), async (req, res) => {
   try {
     // The frontend will send a JSON object: { "image": "..." }
     // where "image" is the Base64 encoded string of a video frame.
@@ -168,20 +415,19 @@ app.post('/detect-clinker', async (req, res) => {
 
     console.log('Clinker Detector Input: Image data received (Base64 string)');
 
-    // Format the instances for an AutoML Image Object Detection model.
-    // It expects an object with a "content" key.
-    const instances = [
-      {
-        "content": image 
-      }
-    ];
-
-    // Call your existing helper function with the new model config
-    const result = await callVertexAI(instances, clinkerQuality);
+    // Raw predictions plus the server-side verdict, so every client
+    // (UI, MCP agent, alerts) makes the same decision.
+    const { predictions, verdict } = await classifyClinkerFrame(image);
+    res.json({ predictions, verdict });
+    feedAlertRules('clinker_verdict', { label: verdict.label, confidence: verdict.confidence, source: 'detect-clinker' });
 
-    // Send back the full list of predictions (all detected objects)
-    // This will be an array of objects with bounding boxes, labels, and scores.
-    res.json({ predictions: result.predictions });
+    verdict.alerts.forEach(alert => publishAlert({
+      type: 'clinker_verdict',
+      source: 'detect-clinker',
+      title: `Clinker ${alert.label}`,
+      message: `${alert.label} scored ${(alert.confidence * 100).toFixed(1)}% (alert threshold ${(alert.threshold * 100).toFixed(0)}%)`,
+      data: { ...alert, verdict: verdict.label }
+    }));
 
   } catch (err) {
     console.error('Clinker detector model error:', err);
@@ -189,10 +435,109 @@ app.post('/detect-clinker', async (req, res) => {
   }
 });
 
+// Thresholds behind the clinker verdict (set with CLINKER_* env vars)
+app.get('/api/clinker/verdict-config', (req, res) => {
+  try {
+    res.json({ classes: CLINKER_CLASSES, ...getClinkerVerdictConfig() });
+  } catch (err) {
+    console.error('Clinker verdict config error:', err);
+    res.status(500).json({ error: 'Invalid clinker verdict configuration', details: err.message });
+  }
+});
+
+// =============================
+// 📹 Continuous Clinker Monitoring
+// =============================
+// A session keeps rolling verdict counts for one camera feed; the UI or a
+// headless kiln camera posts frames to it every sampleIntervalSeconds.
+app.post('/api/clinker/sessions', async (req, res) => {
+  try {
+    const { options, errors } = parseSessionOptions(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const session = await createMonitoringSession(options);
+    if (!session) {
+      return res.status(409).json({ error: `At most ${MAX_SESSIONS} monitoring sessions can run at once` });
+    }
+    res.status(201).json(sessionSummary(session));
+  } catch (err) {
+    console.error('Clinker session store error:', err);
+    res.status(500).json({ error: 'Failed to start monitoring session', details: err.message });
+  }
+});
+
+app.get('/api/clinker/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await listMonitoringSessions() });
+  } catch (err) {
+    console.error('Clinker session store error:', err);
+    res.status(500).json({ error: 'Failed to list monitoring sessions', details: err.message });
+  }
+});
+
+app.get('/api/clinker/sessions/:id', async (req, res) => {
+  try {
+    const session = await getMonitoringSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Monitoring session not found' });
+    }
+    res.json(sessionSummary(session));
+  } catch (err) {
+    console.error('Clinker session store error:', err);
+    res.status(500).json({ error: 'Failed to read monitoring session', details: err.message });
+  }
+});
+
+app.post('/api/clinker/sessions/:id/frames', auditPrediction('clinker'), async (req, res) => {
+  try {
+    if (!(await getMonitoringSession(req.params.id))) {
+      return res.status(404).json({ error: 'Monitoring session not found' });
+    }
+
+    const { image } = req.body;
+    if (!image) {
+      return res.status(400).json({ error: 'No image data provided.' });
+    }
+
+    const { verdict } = await classifyClinkerFrame(image);
+    const recorded = await recordMonitoringFrame(req.params.id, verdict);
+    if (!recorded) {
+      return res.status(404).json({ error: 'Monitoring session not found' });
+    }
+    const { session, stats, alert } = recorded;
+    feedAlertRules('clinker_verdict', {
+      label: verdict.label,
+      confidence: verdict.confidence,
+      source: 'monitor',
+      sessionId: session.id,
+      sessionName: session.options.name
+    });
+    res.json({ verdict, state: session.state, stats, alert });
+  } catch (err) {
+    console.error('Clinker monitoring frame error:', err);
+    res.status(500).json({ error: 'Clinker detection failed', details: err.message });
+  }
+});
+
+app.delete('/api/clinker/sessions/:id', async (req, res) => {
+  try {
+    const session = await stopMonitoringSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Monitoring session not found' });
+    }
+    res.json(sessionSummary(session));
+  } catch (err) {
+    console.error('Clinker session store error:', err);
+    res.status(500).json({ error: 'Failed to stop monitoring session', details: err.message });
+  }
+});
+
 // =============================
 // 📦 Packaging Quality Detection
 // =============================
-app.post('/detect-packaging', async (req, res) => {
+app.post('/detect-packaging', auditPrediction('packaging'), async (req, res) => {
   try {
     const { image } = req.body;
     if (!image) {
@@ -207,11 +552,29 @@ app.post('/detect-packaging', async (req, res) => {
       }
     ];
 
-    // Call your helper function with the NEW model config
-    const result = await callVertexAI(instances, packagingQualityDetector);
+    // Call the packaging model through its configured provider
+    const result = await callModel('packaging', instances);
 
     res.json({ predictions: result.predictions });
 
+    // Anything other than a good-packaging top label is pushed to the alert stream
+    const prediction = result.predictions[0];
+    if (prediction?.displayNames?.length) {
+      const top = prediction.confidences.indexOf(Math.max(...prediction.confidences));
+      const label = prediction.displayNames[top];
+      const defect = !String(label).toLowerCase().includes('good');
+      feedAlertRules('packaging_result', { label, confidence: prediction.confidences[top], defect });
+      if (defect) {
+        publishAlert({
+          type: 'packaging_defect',
+          source: 'detect-packaging',
+          title: `Packaging ${label}`,
+          message: `${label} detected (${(prediction.confidences[top] * 100).toFixed(1)}%)`,
+          data: { label, confidence: prediction.confidences[top] }
+        });
+      }
+    }
+
   } catch (err) {
     console.error('Packaging detector model error:', err);
     res.status(500).json({ error: 'Packaging detection failed', details: err.message });
@@ -219,124 +582,120 @@ app.post('/detect-packaging', async (req, res) => {
 });
 
 // =============================
-// 🤖 MCP Agent (ADK)
+// 🧾 Prediction Audit Log
 // =============================
+function readAuditFilters(query) {
+  const { route, model, caller, status, from, to } = query;
+  return { route, model, caller, status, from, to };
+}
 
-// --- Agent Configuration ---
-const adkAgentUrl = 'https://cement-service-875435952297.us-central1.run.app';
-// !! IMPORTANT !! Change 'capital_agent' to your agent's real name.
-// This is the name of the folder your agent's code is in (e.g., 'mcp_agent').
-const ADK_AGENT_NAME = 'cement-app'; 
-
-/**
- * Calls the deployed Google ADK agent on Cloud Run.
- * This function now:
- * 1. Creates/updates the session, passing the CURRENT_TIME to fix date issues.
- * 2. Handles the "Session already exists" error.
- * 3. Correctly parses the array response from the /run endpoint.
- */
-async function callAdkAgent(prompt) {
-  // 1. Get an Identity Token for the Cloud Run service
-  const authClient = await adkAuth.getIdTokenClient(adkAgentUrl);
-  const headers = await authClient.getRequestHeaders();
-  const authHeader = headers['Authorization']; // Get the "Bearer ..." token
-
-  // --- STEP 1: Create or Update the Session (with current_time) ---
-  const sessionUrl = `${adkAgentUrl}/apps/${ADK_AGENT_NAME}/users/hackathon_user/sessions/hackathon_session`;
-  
-  try {
-    console.log('ADK Step 1: Attempting to create/update session...');
-    
-    // We send the current time so the agent knows what "today" is.
-    // This fixes the "future date" error.
-    const now = new Date();
-    const sessionPayload = {
-      "preferred_language": "English",
-      "context": {
-        "current_time": now.toISOString()
-      }
-    };
-
-    const sessionResponse = await fetch(sessionUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(sessionPayload)
+// Filters: route, model, caller (user id or IP), status, from/to (ISO timestamps)
+app.get('/api/audit', async (req, res) => {
+  try {
+    const store = getAuditStore();
+    if (!store) {
+      return res.status(404).json({ error: 'Audit logging is disabled' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 500);
+    const { total, entries } = await store.query(readAuditFilters(req.query), {
+      limit: pageSize,
+      offset: (page - 1) * pageSize
     });
-    
-    if (sessionResponse.ok) {
-      console.log('ADK Step 1: Session created/updated successfully.');
-    } else {
-      const errorJson = await sessionResponse.json();
-      if (sessionResponse.status === 400 && errorJson.detail?.includes("Session already exists")) {
-        console.log('ADK Step 1: Session already exists. This is expected. Continuing...');
-      } else {
-        throw new Error(`Session creation failed: ${sessionResponse.status} ${JSON.stringify(errorJson)}`);
-      }
+
+    res.json({ page, pageSize, total, totalPages: Math.ceil(total / pageSize), entries });
+  } catch (err) {
+    console.error('Audit query error:', err);
+    res.status(500).json({ error: 'Failed to query audit log', details: err.message });
+  }
+});
+
+app.get('/api/audit/export', async (req, res) => {
+  try {
+    const store = getAuditStore();
+    if (!store) {
+      return res.status(404).json({ error: 'Audit logging is disabled' });
     }
 
+    const { entries } = await store.query(readAuditFilters(req.query), { limit: 10000, offset: 0 });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="prediction-audit.csv"');
+    res.send(toCsv(entries, AUDIT_CSV_COLUMNS));
   } catch (err) {
-    console.error("Error in ADK session creation/check:", err);
-    throw err; 
+    console.error('Audit export error:', err);
+    res.status(500).json({ error: 'Failed to export audit log', details: err.message });
   }
+});
 
-  // --- STEP 2: Run the Agent (with the prompt) ---
-  const runUrl = `${adkAgentUrl}/run`;
-  
-  const runPayload = {
-    "app_name": ADK_AGENT_NAME,
-    "user_id": "hackathon_user",
-    "session_id": "hackathon_session",
-    "new_message": {
-      "role": "user",
-      "parts": [{ "text": prompt }]
+app.get('/api/audit/:id', async (req, res) => {
+  try {
+    const store = getAuditStore();
+    const entry = store ? await store.get(req.params.id) : null;
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit entry not found' });
     }
-  };
-  
-  console.log('ADK Step 2: Calling /run with payload:', JSON.stringify(runPayload));
-  
-  const runResponse = await fetch(runUrl, {
-    method: 'POST',
-    headers: {
-      'Authorization': authHeader,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(runPayload)
-  });
+    res.json(entry);
+  } catch (err) {
+    console.error('Audit lookup error:', err);
+    res.status(500).json({ error: 'Failed to fetch audit entry', details: err.message });
+  }
+});
 
-  const result = await runResponse.json();
-  console.log('ADK Step 2 Response:', JSON.stringify(result));
+// =============================
+// 🤖 MCP Agent (ADK)
+// =============================
+// Agent sessions belong to the browser (X-Client-Id, kept by mcp.html), or to
+// the signed-in user behind an identity proxy (see identity.js).
+const AGENT_USER_PATTERN = /^[\w.@+-]{1,128}$/;
+
+function agentUserId(req) {
+  const userId = trustedUserId(req);
+  if (userId) return AGENT_USER_PATTERN.test(userId) ? userId : null;
+  const clientId = req.get('x-client-id');
+  return clientId && AGENT_USER_PATTERN.test(clientId) ? `browser_${clientId}` : null;
+}
 
-  if (result.error || !runResponse.ok || result.detail) {
-    throw new Error(result.error?.message || result.detail || JSON.stringify(result));
+function requireAgentUser(req, res) {
+  const userId = agentUserId(req);
+  if (!userId) {
+    res.status(400).json({ error: 'An X-Client-Id header (letters, digits and . _ @ + -) is required' });
   }
+  return userId;
+}
 
-  // The ADK agent returns an array of response messages.
-  // We need to parse the first message in that array.
-  if (Array.isArray(result) && result.length > 0) {
-    // Get the last message from the agent
-    const finalMessage = result[result.length - 1];
-    
-    if (finalMessage.content && finalMessage.content.parts && finalMessage.content.parts.length > 0 && finalMessage.content.parts[0].text) {
-      // Return the text from the "model" role
-      return finalMessage.content.parts[0].text;
-    }
+// The session a prompt runs in: `sessionId` from the body, or a new one
+// created with the body's `context` ({ plant, language, timezone })
+async function resolveAgentSession(req, res) {
+  const { prompt, sessionId, context } = req.body;
+  if (!prompt) {
+    res.status(400).json({ error: 'No prompt provided.' });
+    return null;
+  }
+  const userId = requireAgentUser(req, res);
+  if (!userId) return null;
+
+  if (sessionId) {
+    const session = await findAgentSession(userId, String(sessionId));
+    if (!session) res.status(404).json({ error: 'Agent session not found' });
+    return session;
   }
-  
-  return "Agent returned an unexpected response format.";
+  const { context: sessionContext, errors } = validateSessionContext(context);
+  if (errors.length > 0) {
+    sendValidationError(res, errors);
+    return null;
+  }
+  return createAgentSession(userId, sessionContext);
 }
 
 app.post('/ask-mcp', async (req, res) => {
   try {
-    const { prompt } = req.body;
-    if (!prompt) {
-      return res.status(400).json({ error: 'No prompt provided.' });
-    }
+    const session = await resolveAgentSession(req, res);
+    if (!session) return;
     
-    const agentResponse = await callAdkAgent(prompt);
-    res.json({ text: agentResponse });
+    // { text, steps }: the answer plus each tool call and result on the way
+    const { text, steps } = await callAdkAgent(req.body.prompt, session);
+    res.json({ text, steps, sessionId: session.id });
 
   } catch (err) {
     console.error('MCP Agent error:', err);
@@ -344,6 +703,116 @@ app.post('/ask-mcp', async (req, res) => {
   }
 });
 
+// Streamed variant (Server-Sent Events, see event-stream.js): tokens and tool
+// calls as the agent produces them, then `done` with { text, steps, sessionId }
+app.post('/ask-mcp/stream', async (req, res) => {
+  let session;
+  try {
+    session = await resolveAgentSession(req, res);
+    if (!session) return;
+  } catch (err) {
+    console.error('MCP Agent session error:', err);
+    return res.status(500).json({ error: 'Failed to query MCP agent', details: err.message });
+  }
+
+  const stream = openEventStream(res);
+  try {
+    stream.send('start', { prompt: req.body.prompt, sessionId: session.id, context: session.context });
+    const { text, steps } = await streamAdkAgent(req.body.prompt, session, { onEvent: stream.send, signal: stream.signal });
+    stream.send('done', { text, steps, sessionId: session.id });
+  } catch (err) {
+    if (stream.signal.aborted) {
+      console.log('MCP stream cancelled by the client');
+    } else {
+      console.error('MCP Agent stream error:', err);
+      stream.send('error', { error: 'Failed to query MCP agent', details: err.message });
+    }
+  } finally {
+    stream.end();
+  }
+});
+
+// Body: { plant, language, timezone }, each defaulting to MCP_PLANT / MCP_LANGUAGE / MCP_TIMEZONE
+app.post('/api/mcp/sessions', async (req, res) => {
+  try {
+    const userId = requireAgentUser(req, res);
+    if (!userId) return;
+    const { context, errors } = validateSessionContext(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    res.status(201).json(await createAgentSession(userId, context));
+  } catch (err) {
+    console.error('MCP session create error:', err);
+    res.status(500).json({ error: 'Failed to create agent session', details: err.message });
+  }
+});
+
+app.get('/api/mcp/sessions', async (req, res) => {
+  try {
+    const userId = requireAgentUser(req, res);
+    if (!userId) return;
+    res.json({ sessions: await listAgentSessions(userId) });
+  } catch (err) {
+    console.error('MCP session list error:', err);
+    res.status(500).json({ error: 'Failed to list agent sessions', details: err.message });
+  }
+});
+
+// Resume: the session with its messages so far
+app.get('/api/mcp/sessions/:id', async (req, res) => {
+  try {
+    const userId = requireAgentUser(req, res);
+    if (!userId) return;
+    const session = await getAgentSession(userId, req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Agent session not found' });
+    }
+    res.json(session);
+  } catch (err) {
+    console.error('MCP session fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch agent session', details: err.message });
+  }
+});
+
+// Clears the conversation; the body may change the context, which otherwise stays
+app.post('/api/mcp/sessions/:id/reset', async (req, res) => {
+  try {
+    const userId = requireAgentUser(req, res);
+    if (!userId) return;
+    const current = await findAgentSession(userId, req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Agent session not found' });
+    }
+    const { context, errors } = validateSessionContext(req.body, current.context);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const session = await resetAgentSession(userId, req.params.id, context);
+    if (!session) {
+      return res.status(404).json({ error: 'Agent session not found' });
+    }
+    res.json(session);
+  } catch (err) {
+    console.error('MCP session reset error:', err);
+    res.status(500).json({ error: 'Failed to reset agent session', details: err.message });
+  }
+});
+
+app.delete('/api/mcp/sessions/:id', async (req, res) => {
+  try {
+    const userId = requireAgentUser(req, res);
+    if (!userId) return;
+    if (!(await deleteAgentSession(userId, req.params.id))) {
+      return res.status(404).json({ error: 'Agent session not found' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (err) {
+    console.error('MCP session delete error:', err);
+    res.status(500).json({ error: 'Failed to delete agent session', details: err.message });
+  }
+});
+
 // =============================
 // 💬 Chatbot (Gemini / Pinecone / Firestore)
 // =============================
@@ -357,21 +826,260 @@ const bigquery = new BigQuery({
   keyFilename: './service-account-key.json'
 });
 
-// Example: dataset "cement_data", table "anomaly_logs"
+const notificationRepo = new NotificationRepository(bigquery, `\`${project}.cement_ds.notification_log\``);
+
+// Filters: machine (comma list), severity (comma list), from, to; paged newest first
 app.get('/api/notifications', async (req, res) => {
   try {
-    const query = `
-      SELECT machine_id, anomaly_ts, details
-      FROM \`${project}.cement_ds.notification_log\`
-      ORDER BY anomaly_ts DESC
-      LIMIT 5
-    `;
+    const { filters, page, pageSize, errors } = parseNotificationQuery(req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
 
-    const [rows] = await bigquery.query({ query });
-    res.json(rows);
+    const { total, notifications } = await notificationRepo.query(filters, {
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+    res.json({
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      notifications: await withAckState(notifications)
+    });
+  } catch (err) {
+    console.error('BigQuery fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch notifications', details: err.message });
+  }
+});
+
+app.get('/api/notifications/:id', async (req, res) => {
+  try {
+    const notification = await notificationRepo.get(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    const [withAck] = await withAckState([notification]);
+    res.json(withAck);
   } catch (err) {
     console.error('BigQuery fetch error:', err);
-    res.status(500).json({ error: 'Failed to fetch notifications' });
+    res.status(500).json({ error: 'Failed to fetch notification', details: err.message });
+  }
+});
+
+// Acknowledge / assign / comment. Behind the identity proxy
+// (MCP_TRUST_USER_HEADER=true) the acting user is the signed-in one and
+// body.user is ignored; otherwise it is the name the client gives in body.user.
+// The state is kept in the ack store so the next shift sees it.
+function notificationAction(action) {
+  return async (req, res) => {
+    try {
+      if (!parseNotificationId(req.params.id)) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      const user = trustsUserHeader() ? trustedUserId(req) : req.body.user;
+      if (trustsUserHeader() && !user) {
+        return res.status(401).json({ error: 'Notification actions need a signed-in user' });
+      }
+      const { assignee, comment } = req.body;
+      const errors = [];
+      if (!user) errors.push({ field: 'user', message: 'user is required' });
+      if (action === 'assign' && !assignee) errors.push({ field: 'assignee', message: 'assignee is required' });
+      if (action === 'comment' && !comment) errors.push({ field: 'comment', message: 'comment is required' });
+      if (comment && String(comment).length > 2000) {
+        errors.push({ field: 'comment', message: 'comment must be at most 2000 characters' });
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const ack = await getAckStore().update(req.params.id, {
+        action,
+        user: String(user),
+        assignee: assignee && String(assignee),
+        comment: comment && String(comment)
+      });
+      res.json(ack);
+    } catch (err) {
+      console.error('Notification ack store error:', err);
+      res.status(500).json({ error: 'Failed to update notification', details: err.message });
+    }
+  };
+}
+
+app.post('/api/notifications/:id/ack', notificationAction('ack'));
+app.post('/api/notifications/:id/unack', notificationAction('unack'));
+app.post('/api/notifications/:id/assign', notificationAction('assign'));
+app.post('/api/notifications/:id/comments', notificationAction('comment'));
+
+// New notification_log rows are pushed to the alert stream while a dashboard is connected
+startNotificationPoller({
+  intervalSeconds: Number(process.env.NOTIFICATION_POLL_SECONDS ?? 30),
+  fetchSince: (since) => notificationRepo.fetchSince(since),
+  timestampOf: (notification) => notification.anomaly_ts,
+  keyOf: (notification) => `notification_log:${notification.id}`,
+  toAlert: (notification) => ({
+    type: 'machine_anomaly',
+    severity: notification.severity,
+    source: 'notification_log',
+    title: `Machine ${notification.machine_id}`,
+    message: 'Anomaly logged',
+    data: notification
+  })
+});
+
+// =============================
+// 📡 Live Alert Stream
+// =============================
+clinkerMonitorEvents.on('alert', (alert) => {
+  publishAlert({
+    type: alert.type,
+    severity: alert.severity,
+    source: 'clinker-monitor',
+    title: `Clinker monitor ${alert.sessionName || alert.sessionId}`,
+    message: alert.message,
+    data: alert
+  });
+  if (alert.type === 'clinker_bad_fraction') feedAlertRules('clinker_monitor_alarm', alert);
+});
+
+// Server-Sent Events; reconnecting clients resume from Last-Event-ID
+app.get('/api/alerts/stream', streamAlerts);
+
+// Polling fallback: ?since=<event id> returns what was missed, otherwise the latest alerts
+app.get('/api/alerts', async (req, res) => {
+  try {
+    if (req.query.since) {
+      return res.json(await alertsSince(req.query.since));
+    }
+    res.json({ alerts: await recentAlerts(Math.min(parseInt(req.query.limit, 10) || 50, 500)), gap: false });
+  } catch (err) {
+    console.error('Alert channel error:', err);
+    res.status(500).json({ error: 'Failed to read alerts', details: err.message });
+  }
+});
+
+// =============================
+// 🚨 Alert Rules
+// =============================
+// machine_anomaly rules need the notification poller, so the engine listens
+// to the alert stream (which keeps the poller running) only while such a rule is enabled.
+let unsubscribeAnomalies = null;
+function syncAnomalyFeed() {
+  const needed = alertRules.listensTo('machine_anomaly');
+  if (needed && !unsubscribeAnomalies) {
+    unsubscribeAnomalies = subscribeAlerts((alert) => {
+      if (alert.type === 'machine_anomaly') feedAlertRules('machine_anomaly', alert.data);
+    });
+  } else if (!needed && unsubscribeAnomalies) {
+    unsubscribeAnomalies();
+    unsubscribeAnomalies = null;
+  }
+}
+syncAnomalyFeed();
+
+// Rules make the server send requests to the targets they name and may carry
+// webhook credentials, so every rule route needs the ALERT_RULES_TOKEN bearer
+// token or a user signed in through the identity proxy.
+app.use('/api/alert-rules', (req, res, next) => {
+  if (hasBearerToken(req, process.env.ALERT_RULES_TOKEN) || trustedUserId(req)) return next();
+  res.status(401).json({ error: 'Alert rules need an ALERT_RULES_TOKEN bearer token or a signed-in user' });
+});
+
+// Rules edited on another instance take effect here within ALERT_RULE_RELOAD_SECONDS
+alertRules.startReloading(Number(process.env.ALERT_RULE_RELOAD_SECONDS ?? 30), syncAnomalyFeed);
+
+// Reads go to the store first so they show edits made on other instances
+app.get('/api/alert-rules', async (req, res) => {
+  try {
+    await alertRules.load();
+    res.json({ rules: alertRules.list() });
+  } catch (err) {
+    console.error('Alert rule store error:', err);
+    res.status(500).json({ error: 'Failed to load alert rules', details: err.message });
+  }
+});
+
+app.post('/api/alert-rules', async (req, res) => {
+  try {
+    const { rule, errors } = parseAlertRule(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const created = await alertRules.create(rule);
+    syncAnomalyFeed();
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('Alert rule store error:', err);
+    res.status(500).json({ error: 'Failed to save alert rule', details: err.message });
+  }
+});
+
+// Rules fired or suppressed recently, newest first; ?ruleId= narrows to one rule
+app.get('/api/alert-rules/history', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json({ history: alertRules.recentHistory({ ruleId: req.query.ruleId, limit }) });
+});
+
+app.get('/api/alert-rules/:id', async (req, res) => {
+  try {
+    await alertRules.load();
+    const rule = alertRules.get(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(rule);
+  } catch (err) {
+    console.error('Alert rule store error:', err);
+    res.status(500).json({ error: 'Failed to load alert rules', details: err.message });
+  }
+});
+
+app.put('/api/alert-rules/:id', async (req, res) => {
+  try {
+    const { rule, errors } = parseAlertRule(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const updated = await alertRules.update(req.params.id, rule);
+    if (!updated) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    syncAnomalyFeed();
+    res.json(updated);
+  } catch (err) {
+    console.error('Alert rule store error:', err);
+    res.status(500).json({ error: 'Failed to save alert rule', details: err.message });
+  }
+});
+
+app.delete('/api/alert-rules/:id', async (req, res) => {
+  try {
+    const removed = await alertRules.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    syncAnomalyFeed();
+    res.json(removed);
+  } catch (err) {
+    console.error('Alert rule store error:', err);
+    res.status(500).json({ error: 'Failed to delete alert rule', details: err.message });
+  }
+});
+
+// Sends a sample notification to every target of the rule right away
+app.post('/api/alert-rules/:id/test', async (req, res) => {
+  try {
+    await alertRules.load();
+    const entry = await alertRules.test(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(entry);
+  } catch (err) {
+    console.error('Alert rule test error:', err);
+    res.status(500).json({ error: 'Failed to send test notification', details: err.message });
   }
 });
 
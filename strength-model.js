@@ -0,0 +1,148 @@
+// strength-model.js
+import { callModel } from './model-providers.js';
+import { validateInput } from './model-schemas.js';
+
+// Mix design fields as the frontend sends them
+export const STRENGTH_FIELDS = [
+  'cement', 'slag', 'flyash', 'water',
+  'superplasticizer', 'coarseaggregate', 'fineaggregate', 'age'
+];
+
+// Frontend field -> column name the strength model was trained on
+const MODEL_COLUMNS = {
+  cement: 'cement',
+  slag: 'slag',
+  flyash: 'ash',
+  water: 'water',
+  superplasticizer: 'superplastic',
+  coarseaggregate: 'coarseagg',
+  fineaggregate: 'fineagg',
+  age: 'age'
+};
+
+// Alternative column headers accepted in uploaded CSV files
+const FIELD_ALIASES = {
+  ash: 'flyash',
+  fly_ash: 'flyash',
+  superplastic: 'superplasticizer',
+  coarseagg: 'coarseaggregate',
+  coarse_aggregate: 'coarseaggregate',
+  fineagg: 'fineaggregate',
+  fine_aggregate: 'fineaggregate'
+};
+
+const DEFAULT_CHUNK_SIZE = 100;
+
+export function toStrengthInstance(mix) {
+  return Object.fromEntries(
+    STRENGTH_FIELDS.map(field => [MODEL_COLUMNS[field], mix[field].toString()])
+  );
+}
+
+/**
+ * Maps aliased column names onto STRENGTH_FIELDS and validates the row
+ * against the strength schema. Returns { mix } or, for invalid rows,
+ * { error, values } where values holds the raw inputs under the canonical names.
+ */
+export function normalizeStrengthRow(row) {
+  const values = {};
+  for (const [key, value] of Object.entries(row || {})) {
+    const name = key.trim().toLowerCase();
+    values[FIELD_ALIASES[name] || name] = value;
+  }
+
+  const { values: mix, errors } = validateInput('strength', values);
+  if (errors.length > 0) {
+    const raw = Object.fromEntries(STRENGTH_FIELDS.map(field => [field, values[field]]));
+    return { error: errors.map(e => e.message).join('; '), values: raw };
+  }
+  return { mix };
+}
+
+/**
+ * Predicts strength for many mixes, splitting them into chunked model calls.
+ * The result array is aligned with `mixes`: each entry is either the model
+ * prediction ({ value, lower_bound, upper_bound }) or { error } if its chunk failed.
+ */
+export async function predictStrengths(mixes, { chunkSize } = {}) {
+  const size = chunkSize || parseInt(process.env.STRENGTH_BATCH_CHUNK_SIZE, 10) || DEFAULT_CHUNK_SIZE;
+  const results = new Array(mixes.length);
+
+  for (let start = 0; start < mixes.length; start += size) {
+    const chunk = mixes.slice(start, start + size);
+    try {
+      const result = await callModel('strength', chunk.map(toStrengthInstance));
+      chunk.forEach((mix, i) => {
+        const prediction = result.predictions?.[i];
+        results[start + i] = prediction
+          ? prediction
+          : { error: 'Model returned no prediction for this row' };
+      });
+    } catch (err) {
+      console.error(`Strength batch chunk starting at ${start} failed:`, err);
+      chunk.forEach((mix, i) => {
+        results[start + i] = { error: err.message };
+      });
+    }
+  }
+
+  return results;
+}
+
+export const DEFAULT_CURVE_AGES = [1, 3, 7, 14, 28, 56, 90];
+
+/**
+ * Predicts strength for one mix at every age in `ages` (days) with a single
+ * batched model call. Returns points sorted by age.
+ */
+export async function predictStrengthCurve(mix, ages) {
+  const sorted = [...new Set(ages)].sort((a, b) => a - b);
+  const predictions = await predictStrengths(
+    sorted.map(age => ({ ...mix, age })),
+    { chunkSize: sorted.length }
+  );
+
+  return sorted.map((age, i) => {
+    const prediction = predictions[i];
+    if (prediction.error) return { age, error: prediction.error };
+    return {
+      age,
+      strength: prediction.value,
+      lower_bound: prediction.lower_bound,
+      upper_bound: prediction.upper_bound
+    };
+  });
+}
+
+/**
+ * For each threshold (MPa), finds the first sweep age whose predicted
+ * strength reaches it and linearly interpolates the crossing age between
+ * that point and the previous one. `reachedAt` is null if the curve never
+ * gets there within the sweep.
+ */
+export function findThresholdCrossings(curve, thresholds) {
+  const points = curve.filter(point => Number.isFinite(Number(point.strength)));
+
+  return thresholds.map(threshold => {
+    const index = points.findIndex(point => Number(point.strength) >= threshold);
+    if (index === -1) {
+      return { threshold, reachedAt: null, firstSweepAge: null };
+    }
+
+    const point = points[index];
+    if (index === 0) {
+      return { threshold, reachedAt: point.age, firstSweepAge: point.age };
+    }
+
+    const previous = points[index - 1];
+    const rise = Number(point.strength) - Number(previous.strength);
+    const fraction = rise > 0 ? (threshold - Number(previous.strength)) / rise : 1;
+    const reachedAt = previous.age + fraction * (point.age - previous.age);
+
+    return {
+      threshold,
+      reachedAt: Math.round(reachedAt * 10) / 10,
+      firstSweepAge: point.age
+    };
+  });
+}
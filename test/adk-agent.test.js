@@ -0,0 +1,98 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTranscript, getAgentSessionDefaults, tableOf, validateSessionContext } from '../adk-agent.js';
+
+describe('getAgentSessionDefaults', () => {
+  afterEach(() => {
+    delete process.env.MCP_PLANT;
+    delete process.env.MCP_LANGUAGE;
+    delete process.env.MCP_TIMEZONE;
+  });
+
+  it('reads plant, language and time zone from env', () => {
+    assert.deepEqual(getAgentSessionDefaults(), { plant: null, language: 'English', timezone: 'UTC' });
+    process.env.MCP_PLANT = 'Plant 2';
+    process.env.MCP_LANGUAGE = 'Hindi';
+    process.env.MCP_TIMEZONE = 'Asia/Kolkata';
+    assert.deepEqual(getAgentSessionDefaults(), { plant: 'Plant 2', language: 'Hindi', timezone: 'Asia/Kolkata' });
+  });
+
+  it('refuses an unknown time zone', () => {
+    process.env.MCP_TIMEZONE = 'Mars/Olympus';
+    assert.throws(() => getAgentSessionDefaults(), /MCP_TIMEZONE "Mars\/Olympus" is not a valid time zone/);
+  });
+});
+
+describe('validateSessionContext', () => {
+  const base = { plant: 'Plant 1', language: 'English', timezone: 'UTC' };
+
+  it('fills missing fields from the defaults', () => {
+    assert.deepEqual(validateSessionContext({ language: 'Tamil', plant: '' }, base), {
+      context: { plant: 'Plant 1', language: 'Tamil', timezone: 'UTC' },
+      errors: []
+    });
+  });
+
+  it('reports fields that are not short text or not a time zone', () => {
+    const { errors } = validateSessionContext({ plant: 'x'.repeat(101), language: 7, timezone: 'Asia/Nowhere' }, base);
+    assert.deepEqual(errors.map(e => e.field), ['plant', 'language', 'timezone']);
+    assert.match(errors[2].message, /"Asia\/Nowhere" is not a valid time zone/);
+  });
+});
+
+const ROWS = [{ machine_id: 'K1', temp: 1450 }, { machine_id: 'K2', temp: 1390, alarm: true }];
+
+describe('tableOf', () => {
+  it('finds rows inside MCP text content holding JSON', () => {
+    const response = { result: { content: [{ type: 'text', text: JSON.stringify({ rows: ROWS }) }] } };
+    assert.deepEqual(tableOf(response), {
+      columns: ['machine_id', 'temp', 'alarm'],
+      rows: [['K1', 1450, null], ['K2', 1390, true]],
+      rowCount: 2
+    });
+  });
+
+  it('keeps at most 200 rows but counts them all', () => {
+    const table = tableOf(Array.from({ length: 250 }, (_, i) => ({ i })));
+    assert.equal(table.rows.length, 200);
+    assert.equal(table.rowCount, 250);
+  });
+
+  it('is null for responses without flat records', () => {
+    assert.equal(tableOf({ status: 'ok' }), null);
+    assert.equal(tableOf([{ nested: { a: 1 } }]), null);
+    assert.equal(tableOf('not json'), null);
+  });
+});
+
+describe('createTranscript', () => {
+  const event = (author, ...parts) => ({ author, content: { parts } });
+
+  it('records tool calls and results in order and ends with the answer', () => {
+    const transcript = createTranscript();
+    transcript.add(event('agent',
+      { text: 'Checking kilns. ' },
+      { functionCall: { id: 'c1', name: 'query_bigquery', args: { sql: 'SELECT 1' } } }
+    ));
+    transcript.add(event('agent', { functionResponse: { id: 'c1', name: 'query_bigquery', response: ROWS } }));
+    assert.deepEqual(transcript.add({ ...event('agent', { text: 'K2' }), partial: true }), []);
+    transcript.add(event('agent', { text: 'thinking', thought: true }, { text: 'K2 runs ' }, { text: 'cool.' }));
+
+    const { text, steps } = transcript.result();
+    assert.equal(text, 'K2 runs cool.');
+    assert.deepEqual(steps.map(step => step.type), ['text', 'tool_call', 'tool_result']);
+    assert.deepEqual(steps[1], { type: 'tool_call', id: 'c1', name: 'query_bigquery', args: { sql: 'SELECT 1' }, author: 'agent' });
+    assert.equal(steps[2].table.rowCount, 2);
+  });
+
+  it('has no answer when the turn ends on a tool', () => {
+    const transcript = createTranscript();
+    transcript.add(event('agent', { functionCall: { name: 'list_tables' } }));
+    assert.equal(transcript.result().text, '');
+    assert.equal(createTranscript().result().text, 'Agent returned an unexpected response format.');
+  });
+
+  it('throws on agent errors', () => {
+    assert.throws(() => createTranscript().add({ author: 'agent', error_message: 'quota exhausted' }), /Agent error: quota exhausted/);
+  });
+});
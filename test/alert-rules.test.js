@@ -0,0 +1,188 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AlertRuleEngine, createRuleStore, inQuietHours, parseAlertRule } from '../alert-rules.js';
+
+process.env.ALERT_RULE_STORE = 'memory';
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2026-03-02T12:00:00Z');
+
+// Records notifications instead of delivering them
+class RecordingEngine extends AlertRuleEngine {
+  constructor(store) {
+    super(store);
+    this.sent = [];
+  }
+
+  async dispatch(rule, kind, event, base) {
+    const notification = this.buildNotification(rule, kind, event, base);
+    this.sent.push(notification);
+    const entry = { ...base, status: 'sent', notification, results: [] };
+    this.recordHistory(entry);
+    return entry;
+  }
+}
+
+function ruleDefinition(overrides = {}) {
+  const { rule, errors } = parseAlertRule({
+    name: 'Overburnt streak',
+    event: 'clinker_verdict',
+    conditions: [{ field: 'label', op: 'eq', value: 'overburnt' }],
+    threshold: 3,
+    windowMinutes: 10,
+    cooldownMinutes: 30,
+    targets: [{ type: 'webhook', url: 'https://hooks.example.com/alerts' }],
+    ...overrides
+  });
+  assert.deepEqual(errors, []);
+  return rule;
+}
+
+const overburnt = (extra = {}) => ({ label: 'overburnt', confidence: 0.9, ...extra });
+
+describe('AlertRuleEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RecordingEngine(createRuleStore());
+  });
+
+  async function feed(times, event = overburnt) {
+    const entries = [];
+    for (const time of times) {
+      entries.push(...await engine.handleEvent('clinker_verdict', typeof event === 'function' ? event() : event, time));
+    }
+    return entries;
+  }
+
+  it('fires once threshold matching events fall in the window', async () => {
+    await engine.create(ruleDefinition());
+
+    assert.deepEqual(await feed([START, START + MINUTE]), []);
+    const [entry] = await feed([START + 2 * MINUTE]);
+    assert.equal(entry.status, 'sent');
+    assert.equal(entry.count, 3);
+    assert.match(engine.sent[0].message, /^3 clinker_verdict events in the last 10 min/);
+  });
+
+  it('ignores events that do not match the conditions', async () => {
+    await engine.create(ruleDefinition({ threshold: 1 }));
+
+    assert.deepEqual(await feed([START], { label: 'good', confidence: 0.99 }), []);
+    assert.equal(engine.sent.length, 0);
+  });
+
+  it('only counts matches inside the window', async () => {
+    await engine.create(ruleDefinition());
+
+    const entries = await feed([START, START + MINUTE, START + 12 * MINUTE, START + 13 * MINUTE]);
+    assert.deepEqual(entries, []);
+    const [entry] = await feed([START + 14 * MINUTE]);
+    assert.equal(entry.count, 3);
+  });
+
+  it('counts each groupBy key separately', async () => {
+    await engine.create(ruleDefinition({ threshold: 2, groupBy: ['kiln'] }));
+
+    assert.deepEqual(await feed([START], overburnt({ kiln: 'K1' })), []);
+    assert.deepEqual(await feed([START + MINUTE], overburnt({ kiln: 'K2' })), []);
+    const [entry] = await feed([START + 2 * MINUTE], overburnt({ kiln: 'K1' }));
+    assert.equal(entry.group, 'K1');
+    assert.equal(engine.sent[0].title, 'Overburnt streak (K1)');
+  });
+
+  it('suppresses firings during the cooldown', async () => {
+    await engine.create(ruleDefinition({ threshold: 1, cooldownMinutes: 30 }));
+
+    const [first] = await feed([START]);
+    const [held] = await feed([START + 10 * MINUTE]);
+    const [after] = await feed([START + 31 * MINUTE]);
+
+    assert.equal(first.status, 'sent');
+    assert.equal(held.status, 'suppressed');
+    assert.equal(held.reason, 'cooldown');
+    assert.equal(after.status, 'sent');
+    assert.equal(engine.sent.length, 2);
+  });
+
+  it('holds rules back during quiet hours unless critical ones are allowed', async () => {
+    const quietHours = { start: '22:00', end: '06:00', timezone: 'UTC' };
+    const night = Date.parse('2026-03-02T23:30:00Z');
+    await engine.create(ruleDefinition({ threshold: 1, quietHours }));
+    await engine.create(ruleDefinition({
+      name: 'Critical overburnt',
+      threshold: 1,
+      severity: 'critical',
+      quietHours: { ...quietHours, allowCritical: true }
+    }));
+
+    const entries = await feed([night]);
+    assert.deepEqual(entries.map(entry => [entry.ruleName, entry.status, entry.reason]), [
+      ['Overburnt streak', 'suppressed', 'quiet_hours'],
+      ['Critical overburnt', 'sent', undefined]
+    ]);
+
+    // A quiet-hours suppression does not start the cooldown
+    const [morning] = await feed([Date.parse('2026-03-03T06:05:00Z')]);
+    assert.equal(morning.status, 'sent');
+  });
+
+  it('treats quiet hours that cross midnight in the rule time zone', () => {
+    const quietHours = { start: '22:00', end: '06:00', timezone: 'Asia/Kolkata' };
+    assert.equal(inQuietHours(quietHours, new Date('2026-03-02T17:00:00Z')), true); // 22:30 IST
+    assert.equal(inQuietHours(quietHours, new Date('2026-03-02T00:00:00Z')), true); // 05:30 IST
+    assert.equal(inQuietHours(quietHours, new Date('2026-03-02T01:00:00Z')), false); // 06:30 IST
+    assert.equal(inQuietHours(null), false);
+  });
+
+  it('counts an event id only once per rule', async () => {
+    await engine.create(ruleDefinition({ threshold: 2 }));
+
+    assert.deepEqual(await feed([START, START + MINUTE, START + 2 * MINUTE], overburnt({ id: 'frame-1' })), []);
+    const [entry] = await feed([START + 3 * MINUTE], overburnt({ id: 'frame-2' }));
+    assert.equal(entry.count, 2);
+  });
+
+  it('starts a rule over when it is updated', async () => {
+    const rule = await engine.create(ruleDefinition({ threshold: 2 }));
+
+    await feed([START]);
+    await engine.update(rule.id, ruleDefinition({ threshold: 2 }));
+    assert.deepEqual(await feed([START + MINUTE]), []);
+  });
+
+  it('keeps concurrent rule changes in the file store', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'alert-rules-'));
+    process.env.ALERT_RULE_STORE = 'file';
+    process.env.ALERT_RULES_PATH = path.join(dir, 'rules.json');
+    try {
+      const fileEngine = new RecordingEngine(createRuleStore());
+      const created = await Promise.all([1, 2, 3].map(n => fileEngine.create(ruleDefinition({ name: `Rule ${n}` }))));
+      await Promise.all([fileEngine.remove(created[0].id), fileEngine.update(created[1].id, ruleDefinition({ name: 'Rule 2b' }))]);
+
+      const reloaded = new RecordingEngine(createRuleStore());
+      await reloaded.load();
+      assert.deepEqual(reloaded.list().map(rule => rule.name).sort(), ['Rule 2b', 'Rule 3']);
+    } finally {
+      process.env.ALERT_RULE_STORE = 'memory';
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('shares rules and state with engines on the same store', async () => {
+    const store = createRuleStore();
+    const first = new RecordingEngine(store);
+    const second = new RecordingEngine(store);
+    await first.create(ruleDefinition({ threshold: 2 }));
+
+    await second.load();
+    await first.handleEvent('clinker_verdict', overburnt({ id: 'frame-1' }), START);
+    assert.deepEqual(await second.handleEvent('clinker_verdict', overburnt({ id: 'frame-1' }), START + MINUTE), []);
+    const [entry] = await second.handleEvent('clinker_verdict', overburnt({ id: 'frame-2' }), START + MINUTE);
+    assert.equal(entry.status, 'sent');
+    assert.equal(entry.count, 2);
+  });
+});
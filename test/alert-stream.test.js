@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { alertsSince, publishAlert, recentAlerts, streamAlerts, subscribeAlerts } from '../alert-stream.js';
+
+process.env.ALERT_CHANNEL = 'memory';
+
+const alert = (title) => ({ type: 'packaging_defect', source: 'test', title, message: `${title} detected` });
+
+// Just enough of Express for streamAlerts
+function fakeStream(lastEventId) {
+  const req = new EventEmitter();
+  req.get = (name) => (name === 'last-event-id' ? lastEventId : undefined);
+  req.query = {};
+  const res = {
+    chunks: [],
+    set() {},
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); }
+  };
+  const ids = () => res.chunks.join('').split('\n').filter(line => line.startsWith('id: ')).map(line => line.slice(4));
+  return { req, res, ids };
+}
+
+describe('alert stream', () => {
+  it('delivers published alerts to subscribers', async () => {
+    const received = [];
+    const unsubscribe = subscribeAlerts(event => received.push(event));
+    try {
+      const event = await publishAlert(alert('Torn bag'));
+      assert.equal(event.severity, 'warning');
+      assert.match(event.id, /^[0-9a-f]+-\d+$/);
+      assert.deepEqual(received.map(e => e.id), [event.id]);
+    } finally {
+      unsubscribe();
+    }
+  });
+
+  it('publishes a keyed row only once', async () => {
+    const first = await publishAlert(alert('Machine 7'), { key: 'notification_log:abc' });
+    const again = await publishAlert(alert('Machine 7'), { key: 'notification_log:abc' });
+
+    assert.ok(first);
+    assert.equal(again, null);
+    assert.equal((await recentAlerts(1))[0].id, first.id);
+  });
+
+  it('returns the alerts after a Last-Event-ID', async () => {
+    const first = await publishAlert(alert('One'));
+    const second = await publishAlert(alert('Two'));
+    const third = await publishAlert(alert('Three'));
+
+    const { alerts, gap } = await alertsSince(first.id);
+    assert.deepEqual(alerts.map(e => e.id), [second.id, third.id]);
+    assert.equal(gap, false);
+    assert.deepEqual(await alertsSince(third.id), { alerts: [], gap: false });
+  });
+
+  it('reports a gap when an id is older than the buffer or from another epoch', async () => {
+    const first = await publishAlert(alert('Old'));
+    for (let i = 0; i < 501; i++) await publishAlert(alert(`Flood ${i}`));
+
+    const missed = await alertsSince(first.id);
+    assert.equal(missed.gap, true);
+    assert.equal(missed.alerts.length, 500);
+
+    const other = await alertsSince('deadbeef-3');
+    assert.equal(other.gap, true);
+    assert.equal(other.alerts.length, 500);
+  });
+
+  it('streams missed alerts, then live ones, without repeats', async () => {
+    const before = await publishAlert(alert('Before'));
+    const missed = await publishAlert(alert('Missed'));
+    const { req, res, ids } = fakeStream(before.id);
+
+    await streamAlerts(req, res);
+    const live = await publishAlert(alert('Live'));
+    req.emit('close');
+    await publishAlert(alert('After close'));
+
+    assert.deepEqual(ids(), [missed.id, live.id]);
+    assert.equal(res.chunks.some(chunk => chunk.startsWith('event: gap')), false);
+  });
+});
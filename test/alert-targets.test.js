@@ -0,0 +1,183 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns/promises';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import { isBlockedAddress, sendEmail, sendToTarget, targetUrlProblem, validateTarget } from '../alert-targets.js';
+
+const notification = {
+  ruleId: 'r1',
+  ruleName: 'Overburnt streak',
+  severity: 'warning',
+  title: 'Overburnt streak',
+  message: '3 clinker_verdict events in the last 10 min',
+  firedAt: '2026-03-02T12:00:00.000Z',
+  event: { kind: 'clinker_verdict', label: 'overburnt' }
+};
+
+afterEach(() => {
+  delete process.env.ALERT_TARGET_ALLOWED_HOSTS;
+});
+
+describe('alert target hosts', () => {
+  it('refuses local, private and link-local addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888']) {
+      assert.equal(isBlockedAddress(address), false, address);
+    }
+  });
+
+  it('rejects target URLs aimed at the server network', () => {
+    for (const url of [
+      'http://169.254.169.254/computeMetadata/v1/',
+      'http://metadata.google.internal/computeMetadata/v1/',
+      'http://localhost:8025/hook',
+      'http://[::1]/hook',
+      'http://10.0.0.5/hook'
+    ]) {
+      assert.match(targetUrlProblem(url), /local, private or link-local/, url);
+    }
+    assert.equal(targetUrlProblem('https://hooks.slack.com/services/T0/B0/x'), null);
+    assert.equal(targetUrlProblem('ftp://example.com/x'), 'url must be an http(s) URL');
+  });
+
+  it('limits targets to ALERT_TARGET_ALLOWED_HOSTS when set', () => {
+    process.env.ALERT_TARGET_ALLOWED_HOSTS = 'localhost, *.example.com';
+
+    assert.equal(targetUrlProblem('http://localhost:8025/hook'), null);
+    assert.equal(targetUrlProblem('https://alerts.example.com/hook'), null);
+    assert.match(targetUrlProblem('https://hooks.slack.com/x'), /ALERT_TARGET_ALLOWED_HOSTS/);
+  });
+
+  it('reports bad targets in the validation shape', () => {
+    assert.deepEqual(validateTarget({ type: 'webhook', url: 'http://127.0.0.1/' }, 0), [
+      { field: 'targets[0].url', message: 'url must not point at a local, private or link-local address' }
+    ]);
+    assert.deepEqual(validateTarget({ type: 'smtp', to: ['ops@example.com'] }, 1), []);
+  });
+});
+
+describe('webhook delivery', () => {
+  let server;
+  let port;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.url === '/redirect') {
+          res.writeHead(302, { Location: 'http://169.254.169.254/' });
+          return res.end();
+        }
+        received.push({ url: req.url, body: JSON.parse(body) });
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  it('posts to allowed hosts', async () => {
+    process.env.ALERT_TARGET_ALLOWED_HOSTS = 'localhost';
+
+    await sendToTarget({ type: 'chat', url: `http://localhost:${port}/chat` }, notification);
+    assert.equal(received.at(-1).url, '/chat');
+    assert.match(received.at(-1).body.text, /Overburnt streak/);
+  });
+
+  it('refuses a local target without sending it', async () => {
+    const count = received.length;
+    await assert.rejects(sendToTarget({ type: 'webhook', url: `http://127.0.0.1:${port}/hook` }, notification), /Refusing/);
+    assert.equal(received.length, count);
+  });
+
+  it('does not follow redirects', async () => {
+    process.env.ALERT_TARGET_ALLOWED_HOSTS = 'localhost';
+
+    await assert.rejects(sendToTarget({ type: 'webhook', url: `http://localhost:${port}/redirect` }, notification), /redirect/);
+  });
+
+  it('refuses a host name that resolves to a local address', async (t) => {
+    const hostname = os.hostname();
+    const { address } = await dns.lookup(hostname).catch(() => ({ address: null }));
+    if (!address || !isBlockedAddress(address) || hostname === 'localhost') {
+      return t.skip(`${hostname} does not resolve to a local address here`);
+    }
+
+    const count = received.length;
+    await assert.rejects(sendToTarget({ type: 'webhook', url: `http://${hostname}:${port}/hook` }, notification), /resolves to/);
+    assert.equal(received.length, count);
+  });
+});
+
+describe('SMTP delivery', () => {
+  let server;
+  let lines;
+
+  before(async () => {
+    // Replies are written a few bytes at a time, so they arrive split across reads
+    server = net.createServer(socket => {
+      const reply = async (text) => {
+        for (let i = 0; i < text.length; i += 3) {
+          socket.write(text.slice(i, i + 3));
+          await new Promise(resolve => setImmediate(resolve));
+        }
+      };
+      let buffer = '';
+      let inData = false;
+      reply('220 sink ready\r\n');
+      socket.on('data', async chunk => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          lines.push(line);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              await reply('250 queued\r\n');
+            }
+          } else if (line.startsWith('EHLO')) {
+            await reply('250-sink\r\n250-SIZE 1000000\r\n250 8BITMIME\r\n');
+          } else if (line === 'DATA') {
+            inData = true;
+            await reply('354 go ahead\r\n');
+          } else if (line === 'QUIT') {
+            await reply('221 bye\r\n');
+            socket.end();
+          } else {
+            await reply('250 ok\r\n');
+          }
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(server.address().port);
+  });
+
+  after(() => {
+    server.close();
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+  });
+
+  it('sends a message when replies arrive in pieces', async () => {
+    lines = [];
+    const result = await sendEmail({ to: ['ops@example.com'], subject: '⚠️ Kiln alert', text: 'Line one\n.hidden dot' });
+
+    assert.deepEqual(result, { accepted: ['ops@example.com'] });
+    assert.ok(lines.includes('RCPT TO:<ops@example.com>'));
+    assert.ok(lines.includes('Subject: =?UTF-8?B?' + Buffer.from('⚠️ Kiln alert').toString('base64') + '?='));
+    assert.ok(lines.includes('..hidden dot'));
+  });
+});
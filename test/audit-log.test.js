@@ -0,0 +1,82 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { auditPrediction, getAuditStore } from '../audit-log.js';
+
+process.env.AUDIT_STORE = 'memory';
+process.env.MODEL_PROVIDER = 'fixture';
+
+const IMAGE = Buffer.from('not really a jpeg').toString('base64');
+
+describe('auditPrediction', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/detect-clinker', auditPrediction('clinker'), (req, res) => {
+      res.json({ predictions: [{ label: 'overburnt' }] });
+    });
+    app.post('/broken', auditPrediction('strength'), (req, res) => {
+      res.status(500).json({ error: 'Model failed' });
+    });
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  afterEach(() => {
+    delete process.env.MCP_TRUST_USER_HEADER;
+  });
+
+  async function post(path, body, headers = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    await res.json();
+    // The entry is written once the response has finished
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const { entries } = await getAuditStore().query({}, { limit: 1, offset: 0 });
+    return entries[0];
+  }
+
+  it('records the route, model, output and a hash in place of the image', async () => {
+    const entry = await post('/detect-clinker', { image: IMAGE, cameraId: 'kiln-1' });
+
+    assert.equal(entry.route, '/detect-clinker');
+    assert.equal(entry.model, 'clinker');
+    assert.equal(entry.provider.type, 'fixture');
+    assert.equal(entry.status, 200);
+    assert.deepEqual(entry.output, { predictions: [{ label: 'overburnt' }] });
+    assert.deepEqual(entry.inputs, {
+      image: { sha256: crypto.createHash('sha256').update(IMAGE).digest('hex'), bytes: Buffer.from(IMAGE, 'base64').length },
+      cameraId: 'kiln-1'
+    });
+    assert.equal(typeof entry.latencyMs, 'number');
+  });
+
+  it('records failed predictions too', async () => {
+    const entry = await post('/broken', { cement: 300 });
+
+    assert.equal(entry.status, 500);
+    assert.deepEqual(entry.output, { error: 'Model failed' });
+  });
+
+  it('ignores X-User-Id unless the identity proxy is trusted', async () => {
+    const untrusted = await post('/detect-clinker', { image: IMAGE }, { 'X-User-Id': 'mallory' });
+    assert.equal(untrusted.caller.user, null);
+    assert.equal(untrusted.caller.ip, '127.0.0.1');
+
+    process.env.MCP_TRUST_USER_HEADER = 'true';
+    const trusted = await post('/detect-clinker', { image: IMAGE }, { 'X-User-Id': 'alice' });
+    assert.equal(trusted.caller.user, 'alice');
+
+    const { entries } = await getAuditStore().query({ caller: 'alice' }, { limit: 10, offset: 0 });
+    assert.deepEqual(entries.map(e => e.id), [trusted.id]);
+  });
+});
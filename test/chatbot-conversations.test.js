@@ -0,0 +1,133 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    FileConversationStore, MemoryConversationStore, buildHistoryContext, getHistoryConfig,
+    newConversation, retrievalQuery, summarizeOverflow
+} from '../chatbot-conversations.js';
+
+const message = (role, content) => ({ role, content, timestamp: new Date().toISOString() });
+
+function conversationWith(count) {
+    const conversation = newConversation('plant', 'Kiln oxygen');
+    for (let i = 1; i <= count; i++) {
+        conversation.messages.push(message(i % 2 ? 'user' : 'assistant', `message ${i}`));
+    }
+    return conversation;
+}
+
+describe('getHistoryConfig', () => {
+    afterEach(() => {
+        delete process.env.CHATBOT_HISTORY_MESSAGES;
+        delete process.env.CHATBOT_HISTORY_SUMMARY;
+    });
+
+    it('reads the window and summary switch from env', () => {
+        assert.deepEqual(getHistoryConfig(), { windowMessages: 8, summarize: true });
+        process.env.CHATBOT_HISTORY_MESSAGES = '0';
+        process.env.CHATBOT_HISTORY_SUMMARY = 'false';
+        assert.deepEqual(getHistoryConfig(), { windowMessages: 0, summarize: false });
+        process.env.CHATBOT_HISTORY_MESSAGES = 'all';
+        assert.throws(() => getHistoryConfig(), /non-negative integer, got "all"/);
+    });
+});
+
+describe('buildHistoryContext', () => {
+    it('quotes the summary and the last messages of the window', () => {
+        const conversation = { ...conversationWith(5), summary: 'Asked about kiln 1 oxygen.' };
+        assert.equal(buildHistoryContext(conversation, { windowMessages: 2 }), [
+            'Conversation so far:',
+            'Summary of the earlier conversation: Asked about kiln 1 oxygen.',
+            '',
+            'Assistant: message 4',
+            'User: message 5'
+        ].join('\n'));
+    });
+
+    it('is empty for a new conversation', () => {
+        assert.equal(buildHistoryContext(conversationWith(0), { windowMessages: 8 }), '');
+        assert.equal(buildHistoryContext(conversationWith(3), { windowMessages: 0 }), '');
+    });
+});
+
+describe('retrievalQuery', () => {
+    it('prepends the previous question to a follow-up', () => {
+        const conversation = conversationWith(2);
+        assert.equal(retrievalQuery(conversation, 'and kiln 2?'), 'message 1\nand kiln 2?');
+        assert.equal(retrievalQuery(null, 'kiln oxygen?'), 'kiln oxygen?');
+    });
+});
+
+describe('summarizeOverflow', () => {
+    const llm = {
+        prompts: [],
+        async generate(prompt) {
+            this.prompts.push(prompt);
+            return '  Kiln 1 runs at 3% oxygen.  ';
+        }
+    };
+
+    it('folds only the messages that left the window into the summary', async () => {
+        const conversation = { ...conversationWith(6), summary: 'Earlier notes.', summarizedCount: 1 };
+        const changes = await summarizeOverflow(conversation, llm, { windowMessages: 2, summarize: true });
+
+        assert.deepEqual(changes, { summary: 'Kiln 1 runs at 3% oxygen.', summarizedCount: 4 });
+        const prompt = llm.prompts.at(-1);
+        assert.ok(prompt.includes('Current summary: Earlier notes.'));
+        assert.ok(prompt.includes('Assistant: message 2\nUser: message 3\nAssistant: message 4\n'));
+        assert.equal(prompt.includes('message 5'), false);
+    });
+
+    it('does nothing while everything fits or when turned off', async () => {
+        const count = llm.prompts.length;
+        assert.equal(await summarizeOverflow(conversationWith(4), llm, { windowMessages: 8, summarize: true }), null);
+        assert.equal(await summarizeOverflow(conversationWith(12), llm, { windowMessages: 2, summarize: false }), null);
+        assert.equal(llm.prompts.length, count);
+    });
+});
+
+const STORES = {
+    memory: () => new MemoryConversationStore(),
+    file: dir => new FileConversationStore(path.join(dir, 'conversations.json'))
+};
+
+for (const [name, create] of Object.entries(STORES)) {
+    describe(`${name} conversation store`, () => {
+        let dir;
+        let store;
+
+        before(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conversations-'));
+            store = create(dir);
+        });
+
+        after(() => fs.rm(dir, { recursive: true, force: true }));
+
+        it('keeps conversations per session', async () => {
+            const conversation = await store.create('plant', { title: 'x'.repeat(80) });
+            await store.create('lab', { title: 'Lab notes' });
+
+            assert.equal(conversation.title.length, 60);
+            assert.deepEqual((await store.list('plant')).map(c => [c.id, c.messageCount]), [[conversation.id, 0]]);
+            assert.equal(await store.get('lab', conversation.id), null);
+            assert.equal(await store.appendMessages('lab', conversation.id, [message('user', 'hi')]), null);
+            assert.equal(await store.remove('lab', conversation.id), false);
+        });
+
+        it('appends messages, updates the summary and removes', async () => {
+            const { id } = await store.create('plant', { id: 'conv_fixed', title: 'Oxygen' });
+            await store.appendMessages('plant', id, [message('user', 'kiln oxygen?'), message('assistant', '2 to 4%')]);
+            await store.update('plant', id, { summary: 'Oxygen range', summarizedCount: 2, messages: [] });
+
+            const saved = await store.get('plant', id);
+            assert.deepEqual(saved.messages.map(m => m.content), ['kiln oxygen?', '2 to 4%']);
+            assert.equal(saved.summary, 'Oxygen range');
+            assert.equal(saved.summarizedCount, 2);
+
+            assert.equal(await store.remove('plant', id), true);
+            assert.equal(await store.get('plant', id), null);
+        });
+    });
+}
@@ -0,0 +1,266 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import {
+    MemoryChatStore, buildChatPrompt, collectPassages, createChatbotRouter, describePassages, extractCitations,
+    getStrictConfig, isSupportingPassage
+} from '../chatbot-core.js';
+import { readEventStream } from '../event-stream.js';
+
+process.env.CHATBOT_CONVERSATION_STORE = 'memory';
+process.env.CHATBOT_JOB_STORE = 'memory';
+
+const KILN_TEXT = 'Kiln inlet oxygen should stay between 2 and 4 percent to avoid CO spikes.';
+const BAGGING_TEXT = 'The bagging line packs fifty kilogram sacks at twelve hundred bags per hour.';
+
+const passage = (content, scores = null) => ({ documentId: 'doc', content, scores, score: scores ? 0.02 : 0 });
+
+describe('collectPassages', () => {
+    it('numbers chunk passages and truncates whole documents', () => {
+        const passages = collectPassages([
+            {
+                id: 'manual',
+                metadata: { filename: 'manual.pdf' },
+                chunks: [{ chunkIndex: 4, page: 2, section: 'Start-up', retrieval: 'hybrid', score: 0.03, scores: { vector: 0.8 }, content: KILN_TEXT }]
+            },
+            { id: 'memo', metadata: { filename: 'memo.txt' }, score: 2, content: 'x'.repeat(2500) }
+        ]);
+
+        assert.deepEqual(passages[0], {
+            documentId: 'manual', filename: 'manual.pdf', chunkIndex: 4, page: 2, section: 'Start-up',
+            retrieval: 'hybrid', score: 0.03, scores: { vector: 0.8 }, content: KILN_TEXT
+        });
+        assert.equal(passages[1].retrieval, 'keyword');
+        assert.equal(passages[1].content.length, 2003);
+        assert.deepEqual(describePassages(passages).map(p => [p.marker, p.documentId, 'content' in p]), [
+            [1, 'manual', false], [2, 'memo', false]
+        ]);
+    });
+});
+
+describe('extractCitations', () => {
+    const passages = [
+        { documentId: 'manual', filename: 'manual.pdf', chunkIndex: 0, page: 3, section: 'Kiln', score: 0.9, retrieval: 'vector',
+            content: 'The burner is lit after purging. Kiln inlet oxygen should stay between 2 and 4 percent. Check it hourly.' },
+        { documentId: 'sop', filename: 'sop.txt', chunkIndex: 1, page: null, section: null, score: 0.5, retrieval: 'keyword',
+            content: BAGGING_TEXT }
+    ];
+
+    it('maps each distinct marker to its passage once, in order of first use', () => {
+        const citations = extractCitations('Keep oxygen between 2 and 4 percent [1].\nBags hold fifty kilograms [2, 1]. Again [1][7].', passages);
+
+        assert.deepEqual(citations.map(c => [c.marker, c.documentId, c.page]), [[1, 'manual', 3], [2, 'sop', null]]);
+        assert.equal(citations[0].snippet, 'Kiln inlet oxygen should stay between 2 and 4 percent. Check it hourly.');
+    });
+
+    it('finds nothing without markers', () => {
+        assert.deepEqual(extractCitations('Oxygen should stay low.', passages), []);
+    });
+});
+
+describe('buildChatPrompt', () => {
+    const passages = [{ documentId: 'manual', filename: 'manual.pdf', chunkIndex: 0, page: 3, section: 'Kiln', content: KILN_TEXT }];
+
+    it('numbers the passages and asks for markers', () => {
+        const prompt = buildChatPrompt('Oxygen range?', passages, { history: 'Conversation so far:\nUser: hi' });
+        assert.ok(prompt.startsWith('Conversation so far:\nUser: hi'));
+        assert.ok(prompt.includes('[1] '));
+        assert.ok(prompt.includes(KILN_TEXT));
+        assert.ok(prompt.includes('(general knowledge)'));
+    });
+
+    it('forbids general knowledge in strict mode', () => {
+        const prompt = buildChatPrompt('Oxygen range?', passages, { mode: 'strict' });
+        assert.ok(prompt.includes('reply with exactly NOT_IN_DOCUMENTS'));
+        assert.equal(prompt.includes('(general knowledge)'), false);
+    });
+});
+
+describe('isSupportingPassage', () => {
+    afterEach(() => {
+        delete process.env.CHATBOT_STRICT_MIN_SIMILARITY;
+    });
+
+    it('needs a shared word other than question words', () => {
+        const question = 'What is the kiln inlet oxygen range?';
+        assert.equal(isSupportingPassage(passage(KILN_TEXT), question), true);
+        assert.equal(isSupportingPassage(passage(BAGGING_TEXT), question), false);
+        // "the" and "what" appear in both, but say nothing about the topic
+        assert.equal(isSupportingPassage(passage('What the canteen serves on the weekend.'), question), false);
+    });
+
+    it('takes vector matches alone only from the similarity threshold', () => {
+        const question = 'How do we keep carbon monoxide down?';
+        assert.equal(isSupportingPassage(passage(BAGGING_TEXT, { vector: 0.41, keyword: null, fused: 0.016 }), question), false);
+        assert.equal(isSupportingPassage(passage(KILN_TEXT, { vector: 0.82, keyword: null, fused: 0.016 }), question), true);
+        assert.equal(isSupportingPassage(passage(KILN_TEXT, { vector: 0.82 }), question, { minSimilarity: 0.9 }), false);
+    });
+
+    it('reads the threshold from env', () => {
+        assert.deepEqual(getStrictConfig(), { minSimilarity: 0.75 });
+        process.env.CHATBOT_STRICT_MIN_SIMILARITY = '0.6';
+        assert.deepEqual(getStrictConfig(), { minSimilarity: 0.6 });
+        process.env.CHATBOT_STRICT_MIN_SIMILARITY = '2';
+        assert.throws(() => getStrictConfig(), /between 0 and 1/);
+    });
+});
+
+describe('strict chat', () => {
+    let server;
+    let baseUrl;
+    const prompts = [];
+    const storage = new MemoryChatStore();
+
+    before(async () => {
+        const llm = {
+            type: 'fake',
+            configured: true,
+            async generate(prompt) {
+                prompts.push(prompt);
+                return 'Keep inlet oxygen between 2 and 4 percent [1].';
+            }
+        };
+        const app = express();
+        app.use(express.json());
+        app.use('/api/chatbot', createChatbotRouter({ storage, llm }));
+        await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/chatbot`;
+
+        for (const [name, content] of [['kiln', KILN_TEXT], ['bagging', BAGGING_TEXT]]) {
+            await storage.addDocument('plant', {
+                id: `plant_${name}`,
+                sessionId: 'plant',
+                content,
+                metadata: { filename: `${name}.txt`, mimetype: 'text/plain', timestamp: new Date().toISOString() }
+            });
+        }
+    });
+
+    after(() => server.close());
+
+    const chat = async (message) => {
+        const res = await fetch(`${baseUrl}/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: 'plant', message, mode: 'strict' })
+        });
+        assert.equal(res.status, 200);
+        return res.json();
+    };
+
+    it('leaves unrelated passages out of the prompt', async () => {
+        const answer = await chat('What is the kiln inlet oxygen range?');
+
+        assert.ok(!answer.refused);
+        assert.equal(answer.grounded, true);
+        assert.deepEqual(answer.citations.map(c => [c.marker, c.documentId]), [[1, 'plant_kiln']]);
+        assert.deepEqual(answer.passages.map(p => p.documentId), ['plant_kiln']);
+        assert.ok(prompts.at(-1).includes(KILN_TEXT));
+        assert.equal(prompts.at(-1).includes(BAGGING_TEXT), false);
+    });
+
+    it('refuses when no passage is about the question', async () => {
+        const count = prompts.length;
+        const answer = await chat('What is the canteen menu on Friday?');
+
+        assert.equal(answer.refused, true);
+        assert.equal(answer.refusalReason, 'no_passages');
+        assert.equal(prompts.length, count);
+    });
+});
+
+describe('streamed chat', () => {
+    let server;
+    let baseUrl;
+    let replies;
+    let aborted;
+    const storage = new MemoryChatStore();
+
+    before(async () => {
+        const llm = {
+            type: 'fake',
+            configured: true,
+            generate: async () => assert.fail('the stream route should stream'),
+            async *generateStream(prompt, { signal }) {
+                for (const piece of replies.shift()) {
+                    if (piece === 'hang') {
+                        await new Promise(resolve => signal.addEventListener('abort', resolve));
+                        aborted = true;
+                        throw new Error('aborted');
+                    }
+                    yield piece;
+                }
+            }
+        };
+        const app = express();
+        app.use(express.json());
+        app.use('/api/chatbot', createChatbotRouter({ storage, llm }));
+        await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/chatbot`;
+
+        await storage.addDocument('plant', {
+            id: 'plant_kiln',
+            sessionId: 'plant',
+            content: KILN_TEXT,
+            metadata: { filename: 'kiln.txt', mimetype: 'text/plain', timestamp: new Date().toISOString() }
+        });
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const stream = (body, signal) => fetch(`${baseUrl}/chat/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: 'plant', ...body }),
+        signal
+    });
+
+    async function events(res) {
+        const received = [];
+        for await (const { event, data } of readEventStream(res.body)) received.push([event, JSON.parse(data)]);
+        return received;
+    }
+
+    it('sends the passages, the answer piece by piece, then the /chat payload', async () => {
+        replies = [['Keep inlet oxygen ', 'between 2 and 4 percent [1].']];
+        const received = await events(await stream({ message: 'What is the kiln inlet oxygen range?' }));
+
+        assert.deepEqual(received.map(([event]) => event), ['start', 'token', 'token', 'done']);
+        assert.deepEqual(received[0][1].passages.map(p => p.documentId), ['plant_kiln']);
+        const done = received[3][1];
+        assert.equal(done.response, 'Keep inlet oxygen between 2 and 4 percent [1].');
+        assert.equal(received.slice(1, 3).map(([, data]) => data.text).join(''), done.response);
+        assert.ok(done.conversationId);
+    });
+
+    it('holds back a strict answer that turns out to be NOT_IN_DOCUMENTS', async () => {
+        replies = [['NOT_', 'IN_DOC', 'UMENTS']];
+        const received = await events(await stream({ message: 'What is the kiln inlet oxygen range?', mode: 'strict' }));
+
+        assert.deepEqual(received.map(([event]) => event), ['start', 'done']);
+        assert.equal(received[1][1].refusalReason, 'unsupported');
+    });
+
+    it('answers bad requests before opening the stream', async () => {
+        const res = await stream({ message: 'hi', mode: 'creative' });
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).error, /mode must be one of/);
+    });
+
+    it('stops generating when the client goes away', async () => {
+        replies = [['Keep inlet ', 'hang']];
+        aborted = false;
+        const controller = new AbortController();
+        const res = await stream({ message: 'What is the kiln inlet oxygen range?' }, controller.signal);
+        const reader = readEventStream(res.body);
+        assert.equal((await reader.next()).value.event, 'start');
+        assert.equal((await reader.next()).value.event, 'token');
+        controller.abort();
+
+        for (let i = 0; i < 50 && !aborted; i++) await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(aborted, true);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { MemoryChatStore, createChatbotRouter } from '../chatbot-core.js';
+
+process.env.CHATBOT_CONVERSATION_STORE = 'memory';
+process.env.CHATBOT_JOB_STORE = 'memory';
+
+const KILN_TEXT = 'Kiln inlet oxygen should stay between 2 and 4 percent to avoid CO spikes.';
+const KILN_TEXT_V2 = 'Kiln inlet oxygen should stay between 2.5 and 3.5 percent since the burner upgrade.';
+const BAGGING_TEXT = 'The bagging line packs fifty kilogram sacks at twelve hundred bags per hour.';
+
+describe('document management routes', () => {
+    let server;
+    let baseUrl;
+    const storage = new MemoryChatStore();
+
+    before(async () => {
+        const llm = { type: 'fake', configured: true, generate: async () => assert.fail('no model call expected') };
+        const app = express();
+        app.use(express.json());
+        app.use('/api/chatbot', createChatbotRouter({ storage, llm }));
+        await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/chatbot`;
+    });
+
+    after(() => server.close());
+
+    const textFile = (text) => new Blob([text], { type: 'text/plain' });
+
+    async function upload(files) {
+        const form = new FormData();
+        form.append('sessionId', 'plant');
+        files.forEach(([name, text]) => form.append('documents', textFile(text), name));
+        const res = await fetch(`${baseUrl}/upload?wait=true`, { method: 'POST', body: form });
+        assert.equal(res.status, 200);
+        return res.json();
+    }
+
+    const documents = async () => (await (await fetch(`${baseUrl}/session/plant/documents`)).json()).documents;
+
+    it('lists uploaded documents with their metadata and skips identical files', async () => {
+        const first = await upload([['kiln.txt', KILN_TEXT], ['bagging.txt', BAGGING_TEXT]]);
+        assert.equal(first.results.length, 2);
+
+        const again = await upload([['kiln-copy.txt', KILN_TEXT]]);
+        assert.equal(again.results[0].duplicate, true);
+        assert.equal(again.results[0].documentId, first.results[0].documentId);
+
+        const listed = await documents();
+        assert.deepEqual(listed.map(d => d.filename).sort(), ['bagging.txt', 'kiln.txt']);
+        const kiln = listed.find(d => d.filename === 'kiln.txt');
+        assert.equal(kiln.mimetype, 'text/plain');
+        assert.equal(kiln.textLength, KILN_TEXT.length);
+        assert.equal(kiln.version, 1);
+        assert.match(kiln.contentHash, /^[0-9a-f]{64}$/);
+    });
+
+    it('previews the start of the extracted text', async () => {
+        const kiln = (await documents()).find(d => d.filename === 'kiln.txt');
+        const res = await fetch(`${baseUrl}/session/plant/documents/${encodeURIComponent(kiln.documentId)}?chars=4`);
+        const { document } = await res.json();
+
+        assert.equal(document.preview, 'Kiln');
+        assert.equal(document.truncated, true);
+
+        const bad = await fetch(`${baseUrl}/session/plant/documents/${encodeURIComponent(kiln.documentId)}?chars=-1`);
+        assert.equal(bad.status, 400);
+        const missing = await fetch(`${baseUrl}/session/lab/documents/${encodeURIComponent(kiln.documentId)}`);
+        assert.equal(missing.status, 404);
+    });
+
+    it('replaces a document with a new version that supersedes it', async () => {
+        const kiln = (await documents()).find(d => d.filename === 'kiln.txt');
+        const form = new FormData();
+        form.append('document', textFile(KILN_TEXT_V2), 'kiln.txt');
+        const res = await fetch(`${baseUrl}/session/plant/documents/${encodeURIComponent(kiln.documentId)}`, { method: 'PUT', body: form });
+        const result = await res.json();
+
+        assert.equal(res.status, 200);
+        assert.equal(result.version, 2);
+        assert.equal(result.supersedes, kiln.documentId);
+
+        const listed = await documents();
+        assert.equal(listed.some(d => d.documentId === kiln.documentId), false);
+        const replaced = listed.find(d => d.documentId === result.documentId);
+        assert.deepEqual([replaced.version, replaced.supersedes], [2, kiln.documentId]);
+    });
+
+    it('keeps the old version when the new file is identical to a stored one', async () => {
+        const bagging = (await documents()).find(d => d.filename === 'bagging.txt');
+        const form = new FormData();
+        form.append('document', textFile(KILN_TEXT_V2), 'bagging.txt');
+        const res = await fetch(`${baseUrl}/session/plant/documents/${encodeURIComponent(bagging.documentId)}`, { method: 'PUT', body: form });
+        const result = await res.json();
+
+        assert.equal(result.duplicate, true);
+        assert.ok((await documents()).some(d => d.documentId === bagging.documentId));
+    });
+
+    it('deletes a document once', async () => {
+        const bagging = (await documents()).find(d => d.filename === 'bagging.txt');
+        const url = `${baseUrl}/session/plant/documents/${encodeURIComponent(bagging.documentId)}`;
+
+        assert.deepEqual(await (await fetch(url, { method: 'DELETE' })).json(), { success: true, deleted: bagging.documentId });
+        assert.equal((await fetch(url, { method: 'DELETE' })).status, 404);
+        assert.deepEqual((await documents()).map(d => d.filename), ['kiln.txt']);
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { IngestionQueue, getJobStore, permanentError } from '../chatbot-ingestion.js';
+
+process.env.CHATBOT_JOB_STORE = 'memory';
+
+const file = (name, text = 'Kiln inlet oxygen stays between 2 and 4 percent.') => ({
+    originalname: name,
+    mimetype: 'text/plain',
+    size: text.length,
+    buffer: Buffer.from(text)
+});
+
+// Fails the first `failures` attempts of every file, then indexes it
+function flakyProcessor(failures = 0, error = () => new Error('Embedding service unavailable')) {
+    const attempts = new Map();
+    const calls = [];
+    const processFile = async ({ documentId, file: upload }, report) => {
+        calls.push(upload.originalname);
+        const count = (attempts.get(documentId) || 0) + 1;
+        attempts.set(documentId, count);
+        report('extracting');
+        if (count <= failures) throw error();
+        report('embedding', { done: 1, total: 1 });
+        return { success: true, documentId, chunks: 1 };
+    };
+    return { processFile, calls };
+}
+
+describe('IngestionQueue', () => {
+    // Retry timers are unref'd, so something has to keep the test process up
+    let keepAlive;
+    before(() => { keepAlive = setInterval(() => {}, 1000); });
+    after(() => clearInterval(keepAlive));
+
+    it('indexes every file and reports counts', async () => {
+        const { processFile } = flakyProcessor();
+        const queue = new IngestionQueue(processFile, { maxAttempts: 3, retryDelayMs: 1 });
+
+        const job = await queue.enqueue('session-a', [file('a.txt'), file('b.txt')]);
+        assert.equal(job.counts.total, 2);
+        assert.equal('buffer' in job.files[0], false);
+
+        const finished = await queue.waitFor('session-a', job.id);
+        assert.equal(finished.status, 'completed');
+        assert.deepEqual(finished.counts, { total: 2, indexed: 2, failed: 0 });
+        assert.deepEqual(finished.files.map(f => f.result.chunks), [1, 1]);
+    });
+
+    it('retries failures and gives up after maxAttempts', async () => {
+        const { processFile, calls } = flakyProcessor(1);
+        const queue = new IngestionQueue(processFile, { maxAttempts: 2, retryDelayMs: 1 });
+        const job = await queue.enqueue('session-b', [file('a.txt')]);
+        const finished = await queue.waitFor('session-b', job.id);
+        assert.equal(finished.files[0].state, 'indexed');
+        assert.equal(finished.files[0].attempts, 2);
+        assert.equal(calls.length, 2);
+
+        const { processFile: failing } = flakyProcessor(5);
+        const stubborn = new IngestionQueue(failing, { maxAttempts: 2, retryDelayMs: 1 });
+        const failedJob = await stubborn.enqueue('session-b', [file('b.txt')]);
+        const failed = await stubborn.waitFor('session-b', failedJob.id);
+        assert.equal(failed.files[0].state, 'failed');
+        assert.equal(failed.files[0].attempts, 2);
+        assert.equal(failed.files[0].error, 'Embedding service unavailable');
+    });
+
+    it('does not retry permanent errors', async () => {
+        const { processFile, calls } = flakyProcessor(5, () => permanentError('Unsupported file type'));
+        const queue = new IngestionQueue(processFile, { maxAttempts: 3, retryDelayMs: 1 });
+        const job = await queue.enqueue('session-c', [file('a.bin')]);
+        const finished = await queue.waitFor('session-c', job.id);
+
+        assert.deepEqual(finished.counts, { total: 1, indexed: 0, failed: 1 });
+        assert.equal(calls.length, 1);
+    });
+
+    it('publishes each state change', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const queue = new IngestionQueue(async (task, report) => {
+            await gate;
+            report('extracting');
+            report('embedding', { done: 1, total: 1 });
+            return { success: true, chunks: 1 };
+        }, { maxAttempts: 1, retryDelayMs: 1 });
+        const states = [];
+        const job = await queue.enqueue('session-d', [file('a.txt')]);
+        const unsubscribe = queue.watch('session-d', job.id, view => states.push(view.files[0].state));
+        release();
+        await queue.waitFor('session-d', job.id);
+        unsubscribe();
+
+        assert.deepEqual(states, ['extracting', 'embedding', 'indexed']);
+    });
+
+    it('answers for jobs of another instance from the store', async () => {
+        const { processFile } = flakyProcessor();
+        const worker = new IngestionQueue(processFile, { maxAttempts: 1, retryDelayMs: 1 });
+        const other = new IngestionQueue(processFile, { maxAttempts: 1, retryDelayMs: 1 });
+
+        const job = await worker.enqueue('session-e', [file('a.txt')]);
+        await worker.waitFor('session-e', job.id);
+        await worker.persist(worker.jobs.get(job.id));
+
+        const seen = await other.get('session-e', job.id);
+        assert.equal(seen.status, 'completed');
+        assert.equal('buffer' in seen.files[0], false);
+        assert.deepEqual((await other.list('session-e')).map(j => j.id), [job.id]);
+        assert.equal(await other.get('session-x', job.id), null);
+    });
+
+    it('reports files of a job whose instance stopped as interrupted', async () => {
+        const queue = new IngestionQueue(flakyProcessor().processFile);
+        const now = Date.now();
+        await getJobStore().save({
+            id: 'job_stopped',
+            sessionId: 'session-f',
+            createdAt: new Date(now - 5 * 60 * 1000).toISOString(),
+            updatedAt: new Date(now - 2 * 60 * 1000).toISOString(),
+            leaseUntil: new Date(now - 60 * 1000).toISOString(),
+            files: [
+                { index: 0, filename: 'a.txt', state: 'indexed', attempts: 1, error: null },
+                { index: 1, filename: 'b.txt', state: 'embedding', attempts: 1, error: null, progress: { done: 3, total: 9 } }
+            ]
+        });
+
+        const job = await queue.get('session-f', 'job_stopped');
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(job.counts, { total: 2, indexed: 1, failed: 1 });
+        assert.match(job.files[1].error, /interrupted/);
+    });
+});
@@ -0,0 +1,194 @@
+// Contract every chatbot storage adapter (see chatbot-core.js) must keep.
+// Runs against the in-memory store, a vector store whose primary client is
+// down so documents go to its local fallback, and the Pinecone adapter over a
+// stubbed index. Run with `npm test`.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import PineconeClient from '../pinecone-client.js';
+import LocalVectorStore, { LocalVectorIndex, localEmbedding } from '../local-vector-store.js';
+import { MemoryChatStore, VectorChatStore, createRetriever } from '../chatbot-core.js';
+
+// PineconeClient over a LocalVectorIndex with local embeddings, so the real
+// client code runs without an API key or network. `available: false` makes
+// it fail like an unreachable index.
+class StubPineconeClient extends PineconeClient {
+    constructor(filePath, { available = true } = {}) {
+        super('test-key');
+        this.filePath = filePath;
+        this.available = available;
+    }
+
+    async initialize() {
+        if (!this.available) return { success: false, error: 'Pinecone unavailable' };
+        this.index = this.index || new LocalVectorIndex(this.filePath);
+        this.initialized = true;
+        return { success: true };
+    }
+
+    async generateEmbedding(text) {
+        return localEmbedding(text);
+    }
+}
+
+function pineconeStore(dir, options) {
+    return new VectorChatStore(new StubPineconeClient(path.join(dir, 'pinecone.json'), options), {
+        type: 'pinecone',
+        fallback: new VectorChatStore(new LocalVectorStore({ filePath: path.join(dir, 'local.json') }), { type: 'fallback' })
+    });
+}
+
+const ADAPTERS = {
+    memory: { create: () => new MemoryChatStore() },
+    'vector with local fallback': { create: dir => pineconeStore(dir, { available: false }) },
+    'stubbed pinecone': { create: dir => pineconeStore(dir) }
+};
+
+let sessionCount = 0;
+
+function newSession() {
+    sessionCount += 1;
+    return `session${sessionCount}`;
+}
+
+function testDocument(sessionId, name, content) {
+    return {
+        id: `${sessionId}_${name}`,
+        sessionId,
+        content,
+        metadata: {
+            filename: `${name}.txt`,
+            mimetype: 'text/plain',
+            timestamp: new Date().toISOString(),
+            contentHash: `hash-${name}`,
+            version: 1,
+            supersedes: null
+        }
+    };
+}
+
+const KILN_TEXT = 'Kiln inlet oxygen should stay between 2 and 4 percent to avoid CO spikes.';
+const BAGGING_TEXT = 'The bagging line packs fifty kilogram sacks at twelve hundred bags per hour.';
+
+for (const [name, { create }] of Object.entries(ADAPTERS)) {
+    describe(`chatbot storage adapter: ${name}`, () => {
+        let dir;
+        let storage;
+
+        before(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chatbot-storage-'));
+            storage = create(dir);
+        });
+
+        after(async () => {
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('stores a document and reports where', async () => {
+            const sessionId = newSession();
+            const document = testDocument(sessionId, 'kiln', KILN_TEXT);
+            const stored = await storage.addDocument(sessionId, document);
+
+            assert.equal(stored.documentId, document.id);
+            assert.equal(typeof stored.storage, 'string');
+        });
+
+        it('lists only the documents of the session', async () => {
+            const sessionId = newSession();
+            const otherSession = newSession();
+            await storage.addDocument(sessionId, testDocument(sessionId, 'kiln', KILN_TEXT));
+            await storage.addDocument(otherSession, testDocument(otherSession, 'bagging', BAGGING_TEXT));
+
+            const { documents, storage: storageType } = await storage.listDocuments(sessionId);
+            assert.deepEqual(documents.map(doc => doc.id), [`${sessionId}_kiln`]);
+            assert.equal(documents[0].metadata.filename, 'kiln.txt');
+            assert.equal(documents[0].metadata.contentHash, 'hash-kiln');
+            assert.equal(typeof storageType, 'string');
+        });
+
+        it('reads a document back with its text and metadata', async () => {
+            const sessionId = newSession();
+            const document = testDocument(sessionId, 'kiln', KILN_TEXT);
+            await storage.addDocument(sessionId, document);
+
+            const read = await storage.getDocument(sessionId, document.id);
+            assert.equal(read.id, document.id);
+            assert.equal(read.content.trim(), KILN_TEXT);
+            assert.equal(read.metadata.filename, 'kiln.txt');
+        });
+
+        it('treats unknown documents and those of another session as missing', async () => {
+            const sessionId = newSession();
+            const document = testDocument(sessionId, 'kiln', KILN_TEXT);
+            await storage.addDocument(sessionId, document);
+
+            // Routes answer 404 for these, also while a primary store is down
+            assert.equal(await storage.getDocument(sessionId, `${sessionId}_missing`), null);
+            assert.equal(await storage.getDocument(newSession(), document.id), null);
+            assert.equal(await storage.deleteDocument(newSession(), document.id), false);
+        });
+
+        it('deletes a document', async () => {
+            const sessionId = newSession();
+            const document = testDocument(sessionId, 'kiln', KILN_TEXT);
+            await storage.addDocument(sessionId, document);
+
+            assert.equal(await storage.deleteDocument(sessionId, document.id), true);
+            assert.deepEqual((await storage.listDocuments(sessionId)).documents, []);
+            assert.equal(await storage.deleteDocument(sessionId, document.id), false);
+            assert.equal(await storage.getDocument(sessionId, document.id), null);
+        });
+
+        it('retrieves the relevant document first', async () => {
+            const sessionId = newSession();
+            await storage.addDocument(sessionId, testDocument(sessionId, 'kiln', KILN_TEXT));
+            await storage.addDocument(sessionId, testDocument(sessionId, 'bagging', BAGGING_TEXT));
+
+            const { documents } = await createRetriever(storage).retrieve(sessionId, 'kiln inlet oxygen');
+            assert.equal(documents[0].id, `${sessionId}_kiln`);
+        });
+
+        it('reports its health and conversation store', async () => {
+            const health = await storage.health();
+            assert.equal(health.storage, storage.type);
+            assert.equal(health.conversationStore, storage.conversations.type);
+        });
+
+        it('keeps conversations per session', async () => {
+            const sessionId = newSession();
+            const { conversations } = storage;
+            const conversation = await conversations.create(sessionId, { title: 'Kiln oxygen' });
+
+            const updated = await conversations.appendMessages(sessionId, conversation.id, [
+                { role: 'user', content: 'What is the oxygen range?' },
+                { role: 'assistant', content: '2 to 4 percent.' }
+            ]);
+            assert.equal(updated.messages.length, 2);
+            assert.deepEqual((await conversations.list(sessionId)).map(c => c.id), [conversation.id]);
+            assert.equal(await conversations.get(newSession(), conversation.id), null);
+            assert.equal(await conversations.remove(sessionId, conversation.id), true);
+            assert.equal(await conversations.get(sessionId, conversation.id), null);
+        });
+    });
+}
+
+describe('local vector store without a file path', () => {
+    it('keeps documents in memory and writes nothing', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chatbot-storage-'));
+        const cwd = process.cwd();
+        process.chdir(dir);
+        try {
+            const storage = new VectorChatStore(new LocalVectorStore({ filePath: null }), { type: 'local' });
+            const document = testDocument('memory-only', 'kiln', KILN_TEXT);
+            await storage.addDocument('memory-only', document);
+
+            assert.equal((await storage.getDocument('memory-only', document.id)).id, document.id);
+            assert.deepEqual(await fs.readdir(dir), []);
+        } finally {
+            process.chdir(cwd);
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSessionOptions, recordVerdict, sessionStats, createMonitoringSession, getMonitoringSession,
+  listMonitoringSessions, recordMonitoringFrame, stopMonitoringSession, clinkerMonitorEvents, MAX_SESSIONS
+} from '../clinker-monitor.js';
+
+process.env.CLINKER_SESSION_STORE = 'memory';
+
+const SECOND = 1000;
+// Well in the past, so a stats window ending at Date.now() would miss these frames
+const START = Date.parse('2026-01-05T08:00:00Z');
+
+function session(overrides = {}) {
+  const { options, errors } = parseSessionOptions({ windowMinutes: 10, badFractionLimit: 0.5, minSamples: 4, ...overrides });
+  assert.deepEqual(errors, []);
+  return {
+    id: 'session-1',
+    options,
+    startedAt: new Date(START).toISOString(),
+    lastFrameAt: null,
+    framesProcessed: 0,
+    buckets: [],
+    state: 'ok',
+    alerts: [],
+    lastVerdict: null
+  };
+}
+
+function feed(initial, labels, { start = START, step = 5 * SECOND } = {}) {
+  let current = initial;
+  const results = [];
+  labels.forEach((label, i) => {
+    const result = recordVerdict(current, { label, confidence: 0.9 }, start + i * step);
+    current = result.session;
+    results.push(result);
+  });
+  return { session: current, results };
+}
+
+describe('parseSessionOptions', () => {
+  it('fills defaults and reports out-of-range values', () => {
+    assert.deepEqual(parseSessionOptions({}).options, {
+      name: null, windowMinutes: 10, badFractionLimit: 0.3, minSamples: 5, sampleIntervalSeconds: 5
+    });
+    const { errors } = parseSessionOptions({ windowMinutes: 0, minSamples: 2.5, badFractionLimit: 'x' });
+    assert.deepEqual(errors.map(error => error.field).sort(), ['badFractionLimit', 'minSamples', 'windowMinutes']);
+  });
+});
+
+describe('recordVerdict', () => {
+  it('counts frames at the time they were seen', () => {
+    const { session: recorded, results } = feed(session(), ['good', 'overburnt', 'good']);
+
+    assert.equal(results.at(-1).stats.total, 3);
+    assert.equal(recorded.lastFrameAt, new Date(START + 10 * SECOND).toISOString());
+    assert.equal(sessionStats(recorded, START + 10 * SECOND).counts.overburnt, 1);
+  });
+
+  it('raises an alarm once enough confident frames are bad, and clears it', () => {
+    const { session: alarmed, results } = feed(session(), ['good', 'overburnt', 'underburnt', 'overburnt']);
+
+    assert.deepEqual(results.slice(0, 3).map(r => r.alert), [null, null, null]);
+    const { alert } = results[3];
+    assert.equal(alert.type, 'clinker_bad_fraction');
+    assert.equal(alert.severity, 'critical');
+    assert.equal(alert.badFraction, 0.75);
+    assert.equal(alarmed.state, 'alarm');
+
+    const { session: cleared, results: later } = feed(alarmed, ['good', 'good', 'good'], { start: START + 20 * SECOND });
+    // 3 of 5 and 3 of 6 are still at the limit; 3 of 7 is below it
+    assert.deepEqual(later.slice(0, 2).map(r => r.alert), [null, null]);
+    assert.equal(later[2].alert.type, 'clinker_bad_fraction_cleared');
+    assert.equal(cleared.state, 'ok');
+    assert.equal(cleared.alerts.length, 2);
+  });
+
+  it('leaves uncertain frames out of the bad fraction', () => {
+    const { results } = feed(session(), ['uncertain', 'uncertain', 'uncertain', 'overburnt', 'good']);
+    const { stats } = results.at(-1);
+
+    assert.equal(stats.total, 5);
+    assert.equal(stats.classified, 2);
+    assert.equal(stats.badFraction, 0.5);
+    assert.equal(stats.proportions.uncertain, 0.6);
+    assert.equal(results.some(r => r.alert), false);
+  });
+
+  it('drops frames that left the window', () => {
+    const { session: recorded } = feed(session({ windowMinutes: 1 }), ['overburnt', 'overburnt']);
+    const { stats } = recordVerdict(recorded, { label: 'good', confidence: 0.9 }, START + 2 * 60 * SECOND);
+
+    assert.equal(stats.total, 1);
+    assert.equal(stats.counts.good, 1);
+  });
+
+  it('keeps a bounded number of buckets however fast frames arrive', () => {
+    const labels = Array.from({ length: 3000 }, (_, i) => (i % 3 ? 'good' : 'overburnt'));
+    const { session: recorded, results } = feed(session({ windowMinutes: 10 }), labels, { step: 200 });
+
+    assert.ok(recorded.buckets.length <= 241, `${recorded.buckets.length} buckets`);
+    assert.equal(results.at(-1).stats.total, 3000);
+  });
+});
+
+describe('monitoring sessions', () => {
+  it('records frames and emits alerts through the store', async () => {
+    const created = await createMonitoringSession(session({ minSamples: 1, badFractionLimit: 0.5 }).options);
+    const alerts = [];
+    const listener = alert => alerts.push(alert);
+    clinkerMonitorEvents.on('alert', listener);
+    try {
+      const recorded = await recordMonitoringFrame(created.id, { label: 'overburnt', confidence: 0.95 }, Date.now());
+      assert.equal(recorded.session.state, 'alarm');
+      assert.equal(alerts.length, 1);
+      assert.equal(alerts[0].sessionId, created.id);
+      assert.equal((await getMonitoringSession(created.id)).framesProcessed, 1);
+    } finally {
+      clinkerMonitorEvents.off('alert', listener);
+      await stopMonitoringSession(created.id);
+    }
+    assert.equal(await recordMonitoringFrame(created.id, { label: 'good', confidence: 0.9 }), null);
+  });
+
+  it(`runs at most ${MAX_SESSIONS} sessions`, async () => {
+    const created = [];
+    for (let i = 0; i < MAX_SESSIONS; i++) created.push(await createMonitoringSession(session().options));
+    try {
+      assert.ok(created.every(Boolean));
+      assert.equal(await createMonitoringSession(session().options), null);
+      assert.equal((await listMonitoringSessions()).length, MAX_SESSIONS);
+    } finally {
+      await Promise.all(created.map(s => stopMonitoringSession(s.id)));
+    }
+  });
+
+  it('drops sessions that went idle', async () => {
+    const created = await createMonitoringSession(session().options);
+    await recordMonitoringFrame(created.id, { label: 'good', confidence: 0.9 }, Date.now() - 2 * 60 * 60 * SECOND);
+
+    assert.equal(await getMonitoringSession(created.id), null);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyClinkerFrame, getClinkerVerdictConfig, interpretClinkerPrediction, normalizeClinkerLabel
+} from '../clinker-verdict.js';
+
+// The fixture provider's mock classifier; no fixtures are recorded there
+process.env.MODEL_PROVIDER = 'fixture';
+process.env.MODEL_FIXTURES_DIR = './test/no-fixtures';
+
+const CONFIG = {
+  minConfidence: 0.6,
+  minMargin: 0.15,
+  alertThresholds: { overburnt: 0.7, underburnt: 0.7 }
+};
+
+const prediction = (scores) => ({
+  displayNames: Object.keys(scores),
+  confidences: Object.values(scores)
+});
+
+describe('normalizeClinkerLabel', () => {
+  it('maps model display names onto the clinker classes', () => {
+    assert.equal(normalizeClinkerLabel('Overburnt_Clinker'), 'overburnt');
+    assert.equal(normalizeClinkerLabel('not_good_underburnt'), 'underburnt');
+    assert.equal(normalizeClinkerLabel('GOOD'), 'good');
+    assert.equal(normalizeClinkerLabel('dust'), null);
+  });
+});
+
+describe('interpretClinkerPrediction', () => {
+  it('names the winning class when it is confident and clear', () => {
+    const verdict = interpretClinkerPrediction(prediction({ Good_Clinker: 0.8, overburnt: 0.15, underburnt: 0.05 }), CONFIG);
+
+    assert.equal(verdict.label, 'good');
+    assert.equal(verdict.uncertain, false);
+    assert.equal(verdict.reason, null);
+    assert.equal(verdict.margin, 0.65);
+    assert.deepEqual(verdict.runnerUp, { label: 'overburnt', rawLabel: 'overburnt', confidence: 0.15 });
+    assert.equal(verdict.alert, false);
+  });
+
+  it('is uncertain when the top score is low', () => {
+    const verdict = interpretClinkerPrediction(prediction({ good: 0.5, overburnt: 0.3, underburnt: 0.2 }), CONFIG);
+    assert.equal(verdict.label, 'uncertain');
+    assert.equal(verdict.emoji, '❓');
+    assert.match(verdict.reason, /below the minimum confidence 0.6/);
+  });
+
+  it('is uncertain when the runner-up is close', () => {
+    const verdict = interpretClinkerPrediction(prediction({ good: 0.3, overburnt: 0.62, underburnt: 0.08 }), {
+      ...CONFIG, minConfidence: 0.3, minMargin: 0.4
+    });
+    assert.equal(verdict.label, 'uncertain');
+    assert.match(verdict.reason, /leads good by only 0.32 \(minimum 0.4\)/);
+  });
+
+  it('is uncertain about labels it does not know', () => {
+    const verdict = interpretClinkerPrediction(prediction({ dust: 0.9, good: 0.1 }), CONFIG);
+    assert.equal(verdict.label, 'uncertain');
+    assert.match(verdict.reason, /"dust" is not a known clinker class/);
+  });
+
+  it('raises alerts from the per-label thresholds, even without a confident verdict', () => {
+    const verdict = interpretClinkerPrediction(prediction({ good: 0.2, overburnt: 0.72, underburnt: 0.08 }), {
+      ...CONFIG, minConfidence: 0.9
+    });
+    assert.equal(verdict.uncertain, true);
+    assert.deepEqual(verdict.alerts, [{ label: 'overburnt', confidence: 0.72, threshold: 0.7 }]);
+  });
+
+  it('rejects malformed predictions', () => {
+    assert.throws(() => interpretClinkerPrediction({ displayNames: [] }, CONFIG), /Invalid response format/);
+  });
+});
+
+describe('getClinkerVerdictConfig', () => {
+  afterEach(() => {
+    delete process.env.CLINKER_MIN_CONFIDENCE;
+    delete process.env.CLINKER_ALERT_THRESHOLDS;
+  });
+
+  it('reads the thresholds from env', () => {
+    assert.deepEqual(getClinkerVerdictConfig(), CONFIG);
+    process.env.CLINKER_MIN_CONFIDENCE = '0.75';
+    process.env.CLINKER_ALERT_THRESHOLDS = 'underburnt=0.5';
+    assert.deepEqual(getClinkerVerdictConfig(), { ...CONFIG, minConfidence: 0.75, alertThresholds: { underburnt: 0.5 } });
+  });
+
+  it('refuses bad values', () => {
+    process.env.CLINKER_MIN_CONFIDENCE = '1.5';
+    assert.throws(() => getClinkerVerdictConfig(), /CLINKER_MIN_CONFIDENCE must be a number between 0 and 1/);
+    delete process.env.CLINKER_MIN_CONFIDENCE;
+    process.env.CLINKER_ALERT_THRESHOLDS = 'burnt=0.5';
+    assert.throws(() => getClinkerVerdictConfig(), /unknown label "burnt"/);
+  });
+});
+
+describe('classifyClinkerFrame', () => {
+  it('returns the raw predictions with their verdict', async () => {
+    const { predictions, verdict } = await classifyClinkerFrame('aGVsbG8=');
+    assert.deepEqual(predictions[0].displayNames, ['good', 'overburnt', 'underburnt']);
+    assert.deepEqual(verdict, interpretClinkerPrediction(predictions[0]));
+  });
+});
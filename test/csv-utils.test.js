@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../csv-utils.js';
+
+describe('parseCsv', () => {
+  it('keys rows by the trimmed, lower-cased header', () => {
+    assert.deepEqual(parseCsv('Cement, Water ,Age\n540,162,28\n332.5,228, 90 \n'), [
+      { cement: '540', water: '162', age: '28' },
+      { cement: '332.5', water: '228', age: '90' }
+    ]);
+  });
+
+  it('handles quotes, escaped quotes, CRLF, a BOM and blank lines', () => {
+    const text = '\uFEFFname,note\r\n"Mix, A","said ""ok"""\r\n\r\n"multi\nline",x\r\n';
+    assert.deepEqual(parseCsv(text), [
+      { name: 'Mix, A', note: 'said "ok"' },
+      { name: 'multi\nline', note: 'x' }
+    ]);
+  });
+
+  it('fills missing trailing fields and accepts a last line without newline', () => {
+    assert.deepEqual(parseCsv('a,b,c\n1,2'), [{ a: '1', b: '2', c: '' }]);
+    assert.deepEqual(parseCsv('\n\n'), []);
+  });
+});
+
+describe('toCsv', () => {
+  it('writes the columns in order and escapes what needs it', () => {
+    const csv = toCsv([
+      { row: 1, prediction: 41.2, error: null },
+      { row: 2, error: 'Cement must be at least 50 kg/m3, got "a"' },
+      { row: 3, error: { code: 1 } }
+    ], ['row', 'prediction', 'error']);
+
+    assert.equal(csv, [
+      'row,prediction,error',
+      '1,41.2,',
+      '2,,"Cement must be at least 50 kg/m3, got ""a"""',
+      '3,,"{""code"":1}"',
+      ''
+    ].join('\n'));
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [{ name: 'a,b', note: 'line\nbreak' }];
+    assert.deepEqual(parseCsv(toCsv(rows, ['name', 'note'])), rows);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  analyzeDemandSensitivity, buildForecastPlan, monthSequence, resolvePriceRange, runForecast
+} from '../demand-model.js';
+import { SCHEMAS } from '../model-schemas.js';
+
+// A stand-in model server: demand = construction_index * 100000 / price,
+// and any request for the region "Atlantis" fails as a whole
+const calls = [];
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { instances } = JSON.parse(body);
+      calls.push(instances);
+      if (instances.some(instance => instance.region === 'Atlantis')) {
+        res.writeHead(500);
+        return res.end('model crashed');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        predictions: instances.map(({ construction_index, cement_price_per_ton }) => {
+          const value = (Number(construction_index) * 100000) / Number(cement_price_per_ton);
+          return { value, lower_bound: value - 10, upper_bound: value + 10 };
+        })
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.DEMAND_MODEL_PROVIDER = 'http';
+  process.env.DEMAND_MODEL_URL = `http://127.0.0.1:${server.address().port}/predict`;
+});
+
+after(() => server.close());
+
+const DRIVERS = {
+  gdp_growth_rate: 6.5,
+  construction_index: 120,
+  rainfall_mm: 80,
+  cement_price_per_ton: 6000,
+  infrastructure_spending_million: 5000
+};
+
+describe('monthSequence', () => {
+  it('rolls over into the next year', () => {
+    assert.deepEqual(monthSequence('2025-11', 4), ['2025-11', '2025-12', '2026-01', '2026-02']);
+  });
+});
+
+describe('buildForecastPlan', () => {
+  it('expands each scenario into one row per month', () => {
+    const { plan, errors } = buildForecastPlan({
+      region: 'Maharashtra',
+      startMonth: '2025-12',
+      months: 2,
+      assumptions: DRIVERS,
+      scenarios: {
+        base: {},
+        boom: { construction_index: [130, 150] }
+      }
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(plan.months, ['2025-12', '2026-01']);
+    assert.deepEqual(plan.scenarios.map(s => s.name), ['base', 'boom']);
+    assert.deepEqual(plan.scenarios[0].rows[1], { date: '2026-01', region: 'Maharashtra', ...DRIVERS });
+    assert.deepEqual(plan.scenarios[1].rows.map(row => row.construction_index), [130, 150]);
+  });
+
+  it('rejects a bad start month and horizon before expanding', () => {
+    const { plan, errors } = buildForecastPlan({ startMonth: '2025-13', months: 61, assumptions: DRIVERS });
+    assert.equal(plan, null);
+    assert.deepEqual(errors.map(e => e.field), ['startMonth', 'months']);
+  });
+
+  it('names the scenario, driver and month of a bad value', () => {
+    const { errors } = buildForecastPlan({
+      region: 'Maharashtra',
+      startMonth: '2025-01',
+      months: 2,
+      assumptions: { ...DRIVERS, gdp_growth_rate: 50 },
+      scenarios: {
+        dry: { rainfall_mm: [10, -5] },
+        short: { construction_index: [1, 2, 3] }
+      }
+    });
+
+    assert.deepEqual(errors.map(e => e.field), [
+      'scenarios.dry.gdp_growth_rate',
+      'scenarios.dry.rainfall_mm[2025-02]',
+      'scenarios.short.construction_index'
+    ]);
+    assert.match(errors[2].message, /list of 2 monthly values/);
+  });
+});
+
+describe('runForecast', () => {
+  it('predicts every scenario in one batch and totals each series', async () => {
+    calls.length = 0;
+    const { plan } = buildForecastPlan({
+      region: 'Maharashtra',
+      startMonth: '2025-01',
+      months: 2,
+      assumptions: DRIVERS,
+      scenarios: { base: {}, dear: { cement_price_per_ton: [8000, 10000] } }
+    });
+    const forecast = await runForecast(plan);
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(forecast.scenarios.map(s => [s.name, s.total, s.failed]), [
+      ['base', 4000, 0],
+      ['dear', 2700, 0]
+    ]);
+    assert.deepEqual(forecast.scenarios[1].series[0], {
+      date: '2025-01', ...DRIVERS, cement_price_per_ton: 8000,
+      prediction: 1500, lower_bound: 1490, upper_bound: 1510
+    });
+  });
+
+  it('keeps failed months in the series', async () => {
+    const { plan } = buildForecastPlan({ region: 'Atlantis', startMonth: '2025-01', months: 2, assumptions: DRIVERS });
+    const [scenario] = (await runForecast(plan)).scenarios;
+
+    assert.equal(scenario.failed, 2);
+    assert.equal(scenario.total, 0);
+    assert.match(scenario.series[0].error, /model crashed/);
+  });
+});
+
+describe('resolvePriceRange', () => {
+  const priceField = SCHEMAS.demand.fields.cement_price_per_ton;
+
+  it('defaults to 30% either side of the baseline price', () => {
+    assert.deepEqual(resolvePriceRange(6000, priceField), { min: 4200, max: 7800, steps: 13 });
+  });
+
+  it('clamps to the field limits', () => {
+    assert.deepEqual(resolvePriceRange(90000, priceField, { min: -5, steps: 3 }), { min: 0, max: 100000, steps: 3 });
+  });
+});
+
+describe('analyzeDemandSensitivity', () => {
+  const baseline = { date: '2025-06', region: 'Maharashtra', ...DRIVERS };
+
+  it('ranks drivers by swing and fits the price elasticity', async () => {
+    const result = await analyzeDemandSensitivity(baseline, SCHEMAS.demand.fields, {
+      priceRange: { min: 4000, max: 8000, steps: 5 }
+    });
+
+    assert.equal(result.baseline.demand, 2000);
+    const index = result.oneAtATime.find(r => r.driver === 'construction_index');
+    assert.deepEqual([index.lowValue, index.highValue, index.lowChangePct, index.highChangePct, index.elasticity],
+      [108, 132, -10, 10, 1]);
+    // Only construction index and price move this model's demand
+    assert.deepEqual(result.tornado.map(r => r.driver).slice(0, 2), ['cement_price_per_ton', 'construction_index']);
+    assert.deepEqual(result.tornado.slice(2).map(r => r.swing), [0, 0, 0]);
+    assert.deepEqual(result.priceCurve.points.map(p => p.price), [4000, 5000, 6000, 7000, 8000]);
+    assert.equal(result.priceCurve.constantElasticityFit, -1);
+    assert.equal(result.priceCurve.elasticityAtBaseline, -1);
+  });
+
+  it('refuses a baseline the model predicts no demand for', async () => {
+    await assert.rejects(
+      analyzeDemandSensitivity({ ...baseline, construction_index: 0 }, SCHEMAS.demand.fields),
+      err => err.status === 422 && /positive baseline/.test(err.message)
+    );
+  });
+
+  it('fails when the baseline prediction fails', async () => {
+    await assert.rejects(
+      analyzeDemandSensitivity({ ...baseline, region: 'Atlantis' }, SCHEMAS.demand.fields),
+      /model crashed/
+    );
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkDocument, getChunkingConfig, groupChunkMatches, reassembleChunks } from '../document-chunker.js';
+
+const CONFIG = { chunkSize: 200, chunkOverlap: 40 };
+
+const sentence = (n) => `Step ${n} checks the kiln inlet before the next shift starts.`;
+const paragraphs = (from, count) => Array.from({ length: count }, (_, i) => sentence(from + i)).join('\n\n');
+
+describe('getChunkingConfig', () => {
+    afterEach(() => {
+        delete process.env.CHATBOT_CHUNK_SIZE;
+        delete process.env.CHATBOT_CHUNK_OVERLAP;
+    });
+
+    it('reads sizes from env', () => {
+        assert.deepEqual(getChunkingConfig(), { chunkSize: 1500, chunkOverlap: 200 });
+        process.env.CHATBOT_CHUNK_SIZE = '800';
+        process.env.CHATBOT_CHUNK_OVERLAP = '0';
+        assert.deepEqual(getChunkingConfig(), { chunkSize: 800, chunkOverlap: 0 });
+    });
+
+    it('refuses sizes that cannot chunk', () => {
+        process.env.CHATBOT_CHUNK_SIZE = '100';
+        assert.throws(() => getChunkingConfig(), /at least 200/);
+        process.env.CHATBOT_CHUNK_SIZE = '400';
+        process.env.CHATBOT_CHUNK_OVERLAP = '200';
+        assert.throws(() => getChunkingConfig(), /less than half/);
+        process.env.CHATBOT_CHUNK_OVERLAP = '-1';
+        assert.throws(() => getChunkingConfig(), /non-negative integer/);
+    });
+});
+
+describe('chunkDocument', () => {
+    it('keeps chunks under the size and repeats the tail of the previous one', () => {
+        const chunks = chunkDocument(paragraphs(1, 10), CONFIG);
+
+        assert.ok(chunks.length > 2);
+        chunks.forEach((chunk, i) => {
+            assert.equal(chunk.chunkIndex, i);
+            assert.equal(chunk.page, null);
+            assert.ok(chunk.text.length <= CONFIG.chunkSize, `chunk ${i} has ${chunk.text.length} characters`);
+            if (i === 0) {
+                assert.equal(chunk.overlap, 0);
+            } else {
+                const repeated = chunk.text.slice(0, chunk.overlap - 2);
+                assert.ok(repeated.length > 0 && repeated.length <= CONFIG.chunkOverlap);
+                assert.ok(chunks[i - 1].text.endsWith(repeated));
+            }
+        });
+    });
+
+    it('starts every page afresh and tracks the section heading', () => {
+        const content = `# Safety\n\n${sentence(1)}\f4.2 Kiln Start-up\n\n${sentence(2)}\n\n${sentence(3)}`;
+        const chunks = chunkDocument(content, CONFIG);
+
+        assert.deepEqual(chunks.map(c => [c.page, c.section, c.overlap]), [
+            [1, 'Safety', 0],
+            [2, '4.2 Kiln Start-up', 0]
+        ]);
+        assert.ok(chunks[1].text.startsWith('4.2 Kiln Start-up'));
+    });
+
+    it('breaks a paragraph longer than a chunk at sentence ends', () => {
+        const long = Array.from({ length: 8 }, (_, i) => sentence(i)).join(' ');
+        const chunks = chunkDocument(long, { chunkSize: 200, chunkOverlap: 0 });
+
+        assert.ok(chunks.length > 1);
+        chunks.forEach(chunk => assert.match(chunk.text, /\.$/));
+    });
+});
+
+describe('reassembleChunks', () => {
+    it('rebuilds the text from chunks in any order', () => {
+        const content = `${paragraphs(1, 6)}\f${paragraphs(7, 6)}`;
+        const stored = chunkDocument(content, CONFIG).map(({ text, ...chunk }) => ({ ...chunk, content: text }));
+
+        assert.equal(reassembleChunks([...stored].reverse()), content);
+    });
+
+    it('guesses the overlap of chunks stored without one', () => {
+        const stored = chunkDocument(paragraphs(1, 6), CONFIG)
+            .map(({ text, overlap, ...chunk }) => ({ ...chunk, content: text }));
+
+        assert.equal(reassembleChunks(stored), paragraphs(1, 6));
+    });
+});
+
+describe('groupChunkMatches', () => {
+    const match = (documentId, chunkIndex, score) => ({
+        id: `${documentId}_${chunkIndex}`,
+        score,
+        metadata: { documentId, chunkIndex, content: `${documentId} part ${chunkIndex}`, filename: `${documentId}.pdf` }
+    });
+
+    it('groups chunks by document, best document first, passages in reading order', () => {
+        const documents = groupChunkMatches([
+            match('manual', 3, 0.9),
+            match('sop', 0, 0.8),
+            match('manual', 1, 0.7),
+            match('manual', 2, 0.6),
+            match('memo', 0, 0.5)
+        ], 2, 2);
+
+        assert.deepEqual(documents.map(d => [d.id, d.score]), [['manual', 0.9], ['sop', 0.8]]);
+        assert.deepEqual(documents[0].metadata, { documentId: 'manual', filename: 'manual.pdf' });
+        assert.equal(documents[0].content, 'manual part 1\n...\nmanual part 3');
+        assert.deepEqual(documents[0].chunks[0].scores, { vector: 0.9 });
+    });
+
+    it('treats vectors stored before chunking as one chunk', () => {
+        const [document] = groupChunkMatches([{ id: 'old', score: 0.4, metadata: { content: 'whole text' } }], 5, 3);
+        assert.equal(document.id, 'old');
+        assert.deepEqual(document.chunks.map(c => [c.chunkIndex, c.page, c.section]), [[0, null, null]]);
+    });
+});
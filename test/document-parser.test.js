@@ -0,0 +1,144 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { getParserConfig, markdownTable, parseDocument } from '../document-parser.js';
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// A PDF with one content stream per page, Helvetica as /F1
+function buildPdf(pageStreams) {
+    const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+    const kids = [];
+    pageStreams.forEach(stream => {
+        const content = objects.length + 1;
+        objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${content} 0 R >>`);
+        kids.push(`${objects.length} 0 R`);
+    });
+    objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+const text = (x, y, size, str) => `BT /F1 ${size} Tf ${x} ${y} Td (${str}) Tj ET`;
+
+async function buildDocx(bodyXml) {
+    const zip = new JSZip();
+    zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${bodyXml}</w:body></w:document>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const paragraph = (content, style) =>
+    `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${content}</w:t></w:r></w:p>`;
+const row = (...cells) => `<w:tr>${cells.map(cell => `<w:tc>${paragraph(cell)}</w:tc>`).join('')}</w:tr>`;
+
+describe('getParserConfig', () => {
+    afterEach(() => {
+        delete process.env.CHATBOT_OCR_FALLBACK;
+    });
+
+    it('reads the OCR fallback from env', () => {
+        assert.deepEqual(getParserConfig(), { ocrFallback: 'llm' });
+        process.env.CHATBOT_OCR_FALLBACK = 'tesseract';
+        assert.throws(() => getParserConfig(), /must be one of llm, none/);
+    });
+});
+
+describe('markdownTable', () => {
+    it('pads short rows and escapes pipes', () => {
+        assert.equal(markdownTable([['Oxide', 'Share'], ['Fe2O3 | Al2O3', '3%\n'], ['C3S']]), [
+            '| Oxide | Share |',
+            '| --- | --- |',
+            '| Fe2O3 \\| Al2O3 | 3% |',
+            '| C3S |  |'
+        ].join('\n'));
+    });
+});
+
+describe('parseDocument', () => {
+    it('reads DOCX headings, lists, tables and page breaks', async () => {
+        const buffer = await buildDocx([
+            paragraph('Kiln Start-up', 'Heading2'),
+            paragraph('Open the ID fan damper &amp; check draft.'),
+            `<w:p><w:pPr><w:numPr><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>Light the burner</w:t></w:r></w:p>`,
+            `<w:tbl>${row('Oxide', 'Share')}${row('C3S', '60%')}</w:tbl>`,
+            '<w:p><w:r><w:br w:type="page"/><w:t>Page two text</w:t></w:r></w:p>',
+            '<w:p><w:r><mc:AlternateContent><mc:Fallback><w:t>old copy</w:t></mc:Fallback></mc:AlternateContent></w:r></w:p>'
+        ].join(''));
+        const result = await parseDocument(buffer, DOCX);
+
+        assert.equal(result.method, 'docx');
+        assert.equal(result.tables, 1);
+        assert.equal(result.pageCount, 2);
+        assert.equal(result.text, [
+            '## Kiln Start-up',
+            'Open the ID fan damper & check draft.',
+            '- Light the burner',
+            '| Oxide | Share |\n| --- | --- |\n| C3S | 60% |'
+        ].join('\n\n') + '\fPage two text');
+    });
+
+    it('refuses a zip that is not a DOCX', async () => {
+        const zip = new JSZip();
+        zip.file('readme.txt', 'hello');
+        await assert.rejects(parseDocument(await zip.generateAsync({ type: 'nodebuffer' }), DOCX), /word\/document.xml is missing/);
+    });
+
+    it('reads the PDF text layer page by page with headings and tables', async () => {
+        const buffer = buildPdf([
+            [
+                text(72, 720, 20, 'Kiln Start-up'),
+                text(72, 690, 12, 'Open the damper before lighting.'),
+                text(72, 660, 12, 'Oxide'), text(250, 660, 12, 'Share'),
+                text(72, 645, 12, 'C3S'), text(250, 645, 12, '60%')
+            ].join('\n'),
+            text(72, 720, 12, 'Second page text.')
+        ]);
+        const result = await parseDocument(buffer, 'application/pdf', { ocrFallback: 'none' });
+
+        assert.equal(result.method, 'pdf');
+        assert.equal(result.pageCount, 2);
+        assert.equal(result.tables, 1);
+        const [first, second] = result.text.split('\f');
+        assert.equal(first, [
+            '## Kiln Start-up',
+            'Open the damper before lighting.',
+            '| Oxide | Share |\n| --- | --- |\n| C3S | 60% |'
+        ].join('\n\n'));
+        assert.equal(second, 'Second page text.');
+    });
+
+    it('skips scanned PDF pages with a warning when OCR is off', async () => {
+        const buffer = buildPdf([
+            text(72, 720, 12, 'Typed page.'),
+            'q 100 0 0 100 72 600 cm BI /W 1 /H 1 /CS /G /BPC 8 ID \x80 EI Q'
+        ]);
+        const llm = { configured: true, extractText: async () => assert.fail('OCR is off') };
+        const result = await parseDocument(buffer, 'application/pdf', { llm, ocrFallback: 'none' });
+
+        assert.equal(result.text, 'Typed page.\f');
+        assert.deepEqual(result.ocrPages, []);
+        assert.deepEqual(result.warnings, ['Page 2 looks scanned and was skipped (CHATBOT_OCR_FALLBACK=none)']);
+    });
+
+    it('needs the LLM only for legacy DOC files', async () => {
+        const plain = await parseDocument(Buffer.from('Kiln notes'), 'text/plain');
+        assert.deepEqual(plain, { text: 'Kiln notes', method: 'text', pageCount: null, tables: 0, ocrPages: [], warnings: [] });
+
+        await assert.rejects(parseDocument(Buffer.from('doc'), 'application/msword'), /DOC files need the LLM/);
+        const llm = { extractText: async (buffer, mimeType) => `read ${mimeType}` };
+        assert.equal((await parseDocument(Buffer.from('doc'), 'application/msword', { llm })).text, 'read application/msword');
+        await assert.rejects(parseDocument(Buffer.from('x'), 'image/png'), /Unsupported file type: image\/png/);
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { openEventStream, readEventStream } from '../event-stream.js';
+
+async function collect(chunks) {
+  const messages = [];
+  for await (const message of readEventStream(chunks)) messages.push(message);
+  return messages;
+}
+
+describe('readEventStream', () => {
+  it('parses events split anywhere across chunks', async () => {
+    const bytes = new TextEncoder().encode('event: token\ndata: {"text":"Kiln é"}\n\nevent: done\r\ndata: {}\r\n\r\n');
+    // Cut inside the two-byte "é" as well
+    const chunks = [bytes.slice(0, 9), bytes.slice(9, 31), bytes.slice(31)];
+
+    assert.deepEqual(await collect(chunks), [
+      { event: 'token', data: '{"text":"Kiln é"}' },
+      { event: 'done', data: '{}' }
+    ]);
+  });
+
+  it('joins data lines, skips comments and drops an unfinished event', async () => {
+    assert.deepEqual(await collect([': ping\n\nid: 7\ndata: line one\ndata:line two\n\ndata: cut off']), [
+      { event: 'message', data: 'line one\nline two' }
+    ]);
+  });
+});
+
+describe('openEventStream', () => {
+  let server;
+  let url;
+  let stream;
+  let closed;
+
+  before(async () => {
+    const app = express();
+    app.get('/events', (req, res) => {
+      stream = openEventStream(res);
+      closed = new Promise(done => stream.signal.addEventListener('abort', done));
+      stream.send('token', { text: 'Kiln ' });
+      stream.send('token', { text: 'ready' });
+      if (req.query.end === 'true') {
+        stream.send('done', { text: 'Kiln ready' });
+        stream.end();
+      }
+    });
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    url = `http://127.0.0.1:${server.address().port}/events`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('writes events a client can read back', async () => {
+    const res = await fetch(`${url}?end=true`);
+
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    assert.deepEqual((await collect(res.body)).map(({ event, data }) => [event, JSON.parse(data)]), [
+      ['token', { text: 'Kiln ' }],
+      ['token', { text: 'ready' }],
+      ['done', { text: 'Kiln ready' }]
+    ]);
+    assert.equal(stream.signal.aborted, false);
+  });
+
+  it('aborts its signal when the client goes away', async () => {
+    const controller = new AbortController();
+    const res = await fetch(url, { signal: controller.signal });
+    await res.body.getReader().read();
+    controller.abort();
+
+    await closed;
+    assert.equal(stream.signal.aborted, true);
+    // Nothing is written after the client left
+    stream.send('token', { text: 'late' });
+    stream.end();
+  });
+});
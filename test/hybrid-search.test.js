@@ -0,0 +1,107 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    KeywordIndex, fuseMatches, getHybridSearchConfig, rerankMatches, tokenizeForSearch
+} from '../hybrid-search.js';
+
+const chunk = (id, sessionId, content) => ({ id, metadata: { sessionId, content } });
+const inSession = (sessionId) => (metadata) => metadata.sessionId === sessionId;
+
+describe('getHybridSearchConfig', () => {
+    afterEach(() => {
+        delete process.env.CHATBOT_HYBRID_SEARCH;
+        delete process.env.CHATBOT_RERANKER;
+    });
+
+    it('reads the keyword switch and reranker from env', () => {
+        assert.deepEqual(getHybridSearchConfig(), { keyword: true, reranker: 'none' });
+        process.env.CHATBOT_HYBRID_SEARCH = 'false';
+        process.env.CHATBOT_RERANKER = 'keyword';
+        assert.deepEqual(getHybridSearchConfig(), { keyword: false, reranker: 'keyword' });
+        process.env.CHATBOT_RERANKER = 'cohere';
+        assert.throws(() => getHybridSearchConfig(), /must be one of none, keyword, gemini/);
+    });
+});
+
+describe('tokenizeForSearch', () => {
+    it('keeps equipment tags and formulas whole and adds their parts', () => {
+        assert.deepEqual(tokenizeForSearch('Check K1-ID-FAN for Fe2O3 dust'), [
+            'check', 'k1-id-fan', 'k1', 'id', 'fan', 'for', 'fe2o3', 'dust'
+        ]);
+    });
+});
+
+describe('KeywordIndex', () => {
+    let dir;
+    let filePath;
+    let index;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'keyword-index-'));
+        filePath = path.join(dir, 'keywords.json');
+        index = new KeywordIndex(filePath);
+        await index.add([
+            chunk('plant_a', 'plant', 'Trip the K1-ID-FAN when the inlet draft drops.'),
+            chunk('plant_b', 'plant', 'The ID fan bearings are greased weekly.'),
+            chunk('plant_c', 'plant', 'C3S content rises with a hotter burning zone.'),
+            chunk('lab_a', 'lab', 'K1-ID-FAN vibration readings from the lab.')
+        ]);
+    });
+
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('ranks the chunk with the exact tag first, within the session', async () => {
+        const matches = await index.search('K1-ID-FAN trip', inSession('plant'), 5);
+        assert.deepEqual(matches.map(m => m.id), ['plant_a', 'plant_b']);
+        assert.ok(matches[0].score > matches[1].score);
+        assert.equal(matches[0].metadata.sessionId, 'plant');
+    });
+
+    it('returns nothing without a matching term', async () => {
+        assert.deepEqual(await index.search('bagging line', inSession('plant'), 5), []);
+        assert.deepEqual(await index.search('...', inSession('plant'), 5), []);
+    });
+
+    it('removes chunks and reloads what was saved', async () => {
+        await index.remove(metadata => metadata.sessionId === 'lab');
+
+        const reloaded = new KeywordIndex(filePath);
+        assert.deepEqual(await reloaded.ids(() => true), ['plant_a', 'plant_b', 'plant_c']);
+        assert.deepEqual((await reloaded.search('c3s', inSession('plant'), 5)).map(m => m.id), ['plant_c']);
+    });
+});
+
+describe('fuseMatches', () => {
+    it('adds up reciprocal ranks and records where each match came from', () => {
+        const fused = fuseMatches(
+            [{ id: 'a', score: 0.9, metadata: {} }, { id: 'b', score: 0.8, metadata: {} }],
+            [{ id: 'b', score: 7.5, metadata: {} }, { id: 'c', score: 3.1, metadata: {} }]
+        );
+
+        assert.deepEqual(fused.map(m => [m.id, m.retrieval]), [['b', 'hybrid'], ['a', 'vector'], ['c', 'keyword']]);
+        assert.deepEqual(fused[0].scores, { vector: 0.8, keyword: 7.5, fused: 1 / 62 + 1 / 61 });
+        assert.equal(fused[0].score, fused[0].scores.fused);
+        assert.deepEqual(fused[2].scores, { vector: null, keyword: 3.1, fused: 1 / 62 });
+    });
+});
+
+describe('rerankMatches', () => {
+    const matches = [
+        { id: 'a', score: 0.03, scores: { fused: 0.03 }, metadata: { content: 'Bearings are greased weekly.' } },
+        { id: 'b', score: 0.02, scores: { fused: 0.02 }, metadata: { content: 'Kiln inlet oxygen stays at 2 to 4 percent.' } }
+    ];
+
+    it('leaves the order alone without a reranker', async () => {
+        assert.equal(await rerankMatches('kiln oxygen', matches, 'none'), matches);
+    });
+
+    it('moves the passage covering the query terms up', async () => {
+        const reranked = await rerankMatches('kiln inlet oxygen', matches, 'keyword');
+        assert.deepEqual(reranked.map(m => m.id), ['b', 'a']);
+        assert.equal(reranked[0].scores.rerank, reranked[0].score);
+        assert.equal(reranked[0].scores.fused, 0.02);
+    });
+});
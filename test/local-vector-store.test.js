@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LocalVectorIndex, localEmbedding, matchesFilter, LOCAL_EMBEDDING_DIMENSION } from '../local-vector-store.js';
+
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+describe('localEmbedding', () => {
+    it('is deterministic and unit length', () => {
+        const vector = localEmbedding('Kiln inlet oxygen');
+        assert.equal(vector.length, LOCAL_EMBEDDING_DIMENSION);
+        assert.deepEqual(localEmbedding('kiln INLET oxygen'), vector);
+        assert.ok(Math.abs(cosine(vector, vector) - 1) < 1e-9);
+        assert.ok(localEmbedding('').every(v => v === 0));
+    });
+
+    it('puts similar wording closer than unrelated text', () => {
+        const query = localEmbedding('kiln inlet oxygen range');
+        const related = localEmbedding('Kiln inlet oxygen should stay between 2 and 4 percent.');
+        const unrelated = localEmbedding('The bagging line packs fifty kilogram sacks.');
+        assert.ok(cosine(query, related) > cosine(query, unrelated) + 0.2);
+    });
+});
+
+describe('matchesFilter', () => {
+    const metadata = { sessionId: 'plant', version: 2, mimetype: 'application/pdf' };
+
+    it('supports the Pinecone operators', () => {
+        assert.equal(matchesFilter(metadata, { sessionId: 'plant' }), true);
+        assert.equal(matchesFilter(metadata, { sessionId: { $ne: 'plant' } }), false);
+        assert.equal(matchesFilter(metadata, { version: { $gte: 2, $lt: 3 } }), true);
+        assert.equal(matchesFilter(metadata, { mimetype: { $in: ['text/plain', 'application/pdf'] } }), true);
+        assert.equal(matchesFilter(metadata, { mimetype: { $nin: ['application/pdf'] } }), false);
+        assert.equal(matchesFilter(metadata, { $or: [{ version: 1 }, { $and: [{ sessionId: 'plant' }, { version: { $gt: 1 } }] }] }), true);
+        assert.equal(matchesFilter(metadata), true);
+    });
+
+    it('refuses operators it does not know', () => {
+        assert.throws(() => matchesFilter(metadata, { version: { $exists: true } }), /Unsupported filter operator: \$exists/);
+    });
+});
+
+describe('LocalVectorIndex', () => {
+    let dir;
+    let filePath;
+    let index;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-vectors-'));
+        filePath = path.join(dir, 'vectors.json');
+        index = new LocalVectorIndex(filePath);
+        await index.load();
+        await index.upsert([
+            { id: 'plant_a', values: [1, 0, 0], metadata: { sessionId: 'plant' } },
+            { id: 'plant_b', values: [0.8, 0.6, 0], metadata: { sessionId: 'plant' } },
+            { id: 'plant_c', values: [0, 0, 1], metadata: { sessionId: 'plant' } },
+            { id: 'lab_a', values: [1, 0, 0], metadata: { sessionId: 'lab' } }
+        ]);
+    });
+
+    after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('ranks by cosine similarity within the filter', async () => {
+        const { matches } = await index.query({ vector: [2, 0, 0], topK: 2, filter: { sessionId: 'plant' }, includeMetadata: true });
+        assert.deepEqual(matches.map(m => [m.id, Math.round(m.score * 100) / 100]), [['plant_a', 1], ['plant_b', 0.8]]);
+        assert.deepEqual(matches[0].metadata, { sessionId: 'plant' });
+
+        const [withoutMetadata] = (await index.query({ vector: [0, 0, 1], topK: 1 })).matches;
+        assert.deepEqual(withoutMetadata, { id: 'plant_c', score: 1 });
+    });
+
+    it('rejects vectors of another dimension', async () => {
+        await assert.rejects(index.upsert([{ id: 'x', values: [1, 0] }]), /dimension 2 does not match index dimension 3/);
+    });
+
+    it('lists ids by prefix a page at a time', async () => {
+        const first = await index.listPaginated({ prefix: 'plant_', limit: 2 });
+        assert.deepEqual(first.vectors.map(v => v.id), ['plant_a', 'plant_b']);
+        const second = await index.listPaginated({ prefix: 'plant_', limit: 2, paginationToken: first.pagination.next });
+        assert.deepEqual(second.vectors.map(v => v.id), ['plant_c']);
+        assert.equal(second.pagination, undefined);
+    });
+
+    it('deletes by filter and reloads what was saved', async () => {
+        await index.deleteMany({ sessionId: 'lab' });
+        await index.deleteMany(['plant_c']);
+
+        const reloaded = new LocalVectorIndex(filePath);
+        await reloaded.load();
+        assert.deepEqual(await reloaded.describeIndexStats(), { totalVectorCount: 2, dimension: 3 });
+        assert.deepEqual(Object.keys((await reloaded.fetch(['plant_a', 'lab_a'])).records), ['plant_a']);
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { optimizeMix, parseOptimizerRequest } from '../mix-optimizer.js';
+
+// The fixture provider's mock strength model (Abrams' law); no fixtures are recorded there
+process.env.MODEL_PROVIDER = 'fixture';
+process.env.MODEL_FIXTURES_DIR = './test/no-fixtures';
+
+const MIX_FIELDS = ['cement', 'slag', 'flyash', 'water', 'superplasticizer', 'coarseaggregate', 'fineaggregate'];
+
+function options(body) {
+  const { options: parsed, errors } = parseOptimizerRequest(body);
+  assert.deepEqual(errors, []);
+  return parsed;
+}
+
+describe('parseOptimizerRequest', () => {
+  it('fills in defaults', () => {
+    const parsed = options({ targetStrength: 40 });
+    assert.equal(parsed.age, 28);
+    assert.equal(parsed.safetyMargin, 0);
+    assert.deepEqual(parsed.bounds.cement, { min: 50, max: 700 });
+    assert.equal(parsed.costs.cement, 8);
+    assert.deepEqual(parsed.waterCementRatio, { min: 0.3, max: 0.6 });
+    assert.equal(parsed.candidates, 5);
+  });
+
+  it('reports bad requests field by field', () => {
+    const { errors } = parseOptimizerRequest({
+      targetStrength: -5,
+      age: 400,
+      bounds: { cement: { min: 10, max: 300 }, water: { min: 250, max: 150 } },
+      costs: { gravel: 1, slag: -2 },
+      samples: 500,
+      rounds: 10
+    });
+    assert.deepEqual(errors.map(e => e.field), [
+      'targetStrength', 'age', 'bounds.cement', 'bounds.water', 'costs.gravel', 'costs.slag', 'samples'
+    ]);
+  });
+});
+
+describe('optimizeMix', () => {
+  const request = {
+    targetStrength: 35,
+    safetyMargin: 2,
+    samples: 60,
+    rounds: 2,
+    candidates: 4,
+    bounds: { superplasticizer: { min: 0, max: 10 } }
+  };
+
+  it('returns the cheapest mixes that reach the required strength', async () => {
+    const result = await optimizeMix(options(request));
+
+    assert.equal(result.requiredStrength, 37);
+    assert.ok(result.feasibleFound > 0);
+    assert.equal(result.candidates.length, 4);
+    result.candidates.forEach((candidate, i) => {
+      assert.equal(candidate.rank, i + 1);
+      assert.equal(candidate.feasible, true);
+      assert.ok(candidate.predictedStrength >= 37);
+      assert.equal(candidate.mix.age, 28);
+      assert.ok(candidate.waterCementRatio >= 0.3 && candidate.waterCementRatio <= 0.6);
+      const mass = MIX_FIELDS.reduce((sum, field) => sum + candidate.mix[field], 0);
+      assert.ok(mass >= 2200 && mass <= 2600, `mass ${mass}`);
+      assert.ok(candidate.mix.superplasticizer <= 10);
+    });
+    const costs = result.candidates.map(c => c.cost);
+    assert.deepEqual(costs, [...costs].sort((a, b) => a - b));
+  });
+
+  it('explores the same mixes for the same seed', async () => {
+    const first = await optimizeMix(options({ ...request, seed: 7 }));
+    const second = await optimizeMix(options({ ...request, seed: 7 }));
+    assert.deepEqual(second, first);
+  });
+
+  it('ranks the strongest mixes first when none reaches the target', async () => {
+    const result = await optimizeMix(options({ ...request, targetStrength: 500 }));
+
+    assert.equal(result.feasibleFound, 0);
+    const strengths = result.candidates.map(c => c.predictedStrength);
+    assert.deepEqual(strengths, [...strengths].sort((a, b) => b - a));
+    assert.ok(result.candidates.every(c => c.margin < 0));
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateInput, sendValidationError } from '../model-schemas.js';
+
+const MIX = {
+  cement: 540, slag: 0, flyash: 0, water: 162,
+  superplasticizer: 2.5, coarseaggregate: 1040, fineaggregate: 676, age: 28
+};
+
+const DEMAND = {
+  date: '2025-06',
+  region: 'Maharashtra',
+  gdp_growth_rate: 6.5,
+  construction_index: 120,
+  rainfall_mm: 80,
+  cement_price_per_ton: 6000,
+  infrastructure_spending_million: 5000
+};
+
+describe('validateInput', () => {
+  it('accepts plain numbers and numeric strings', () => {
+    const { values, errors } = validateInput('strength', { ...MIX, cement: ' 540 ', age: '28' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(values, MIX);
+  });
+
+  it('converts values given with a unit to the canonical unit', () => {
+    const { values, errors } = validateInput('strength', {
+      ...MIX,
+      cement: { value: 910, unit: 'lb/yd3' },
+      age: 72,
+      units: { age: 'hours' }
+    });
+    assert.deepEqual(errors, []);
+    assert.ok(Math.abs(values.cement - 539.881) < 0.001, String(values.cement));
+    assert.equal(values.age, 3);
+  });
+
+  it('lists every bad field in the structured shape', () => {
+    const { errors } = validateInput('strength', {
+      ...MIX,
+      cement: 20,
+      water: 'wet',
+      slag: undefined,
+      age: { value: 2, unit: 'weeks' }
+    });
+
+    assert.deepEqual(errors, [
+      { field: 'cement', message: 'Cement must be at least 50 kg/m3', value: 20 },
+      { field: 'slag', message: 'Blast Furnace Slag is required', value: undefined },
+      { field: 'water', message: 'Water must be a number', value: 'wet' },
+      { field: 'age', message: 'Age unit "weeks" is not supported (use days, hours)', value: 2 }
+    ]);
+  });
+
+  it('checks ranges after converting', () => {
+    // 600 lb/yd3 is about 356 kg/m3
+    const { errors } = validateInput('strength', { ...MIX, water: { value: 600, unit: 'lb/yd3' } });
+    assert.deepEqual(errors.map(e => e.message), ['Water must be at most 300 kg/m3']);
+  });
+
+  it('validates string fields by pattern and length', () => {
+    assert.deepEqual(validateInput('demand', DEMAND).errors, []);
+    assert.equal(validateInput('demand', { ...DEMAND, date: '2025-06-15' }).values.date, '2025-06-15');
+
+    const { errors } = validateInput('demand', { ...DEMAND, date: 'June', region: 'x'.repeat(101) });
+    assert.deepEqual(errors.map(e => e.message), [
+      'Date must match YYYY-MM',
+      'State must be at most 100 characters'
+    ]);
+  });
+
+  it('leaves out skipped fields', () => {
+    const { age, ...withoutAge } = MIX;
+    const { values, errors } = validateInput('strength', withoutAge, { skip: ['age'] });
+    assert.deepEqual(errors, []);
+    assert.equal('age' in values, false);
+  });
+
+  it('refuses unknown models', () => {
+    assert.throws(() => validateInput('kiln', {}), /No schema for model: kiln/);
+  });
+});
+
+describe('sendValidationError', () => {
+  it('answers 400 with the field list', () => {
+    const sent = {};
+    const res = {
+      status(code) { sent.status = code; return this; },
+      json(body) { sent.body = body; return this; }
+    };
+    sendValidationError(res, [{ field: 'cement', message: 'Cement is required' }]);
+    assert.deepEqual(sent, { status: 400, body: { error: 'Invalid input', fields: [{ field: 'cement', message: 'Cement is required' }] } });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  NotificationRepository, applyAckChange, emptyAckState, getAckStore, notificationId,
+  parseNotificationId, parseNotificationQuery, withAckState
+} from '../notifications.js';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'notification-acks-'));
+process.env.NOTIFICATION_ACK_STORE = 'file';
+process.env.NOTIFICATION_ACK_PATH = path.join(dir, 'acks.json');
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe('notification ids', () => {
+  it('round-trip machine and timestamp, even with a | in the machine id', () => {
+    const id = notificationId('kiln|2', '2026-01-05T08:00:00.000Z');
+    assert.deepEqual(parseNotificationId(id), { machineId: 'kiln|2', anomalyTs: '2026-01-05T08:00:00.000Z' });
+  });
+
+  it('reject ids that do not decode to a machine and time', () => {
+    assert.equal(parseNotificationId('bm90LWFuLWlk'), null);
+    assert.equal(parseNotificationId(notificationId('kiln', 'yesterday')), null);
+  });
+});
+
+describe('parseNotificationQuery', () => {
+  it('splits lists and normalizes dates', () => {
+    const { filters, page, pageSize, errors } = parseNotificationQuery({
+      machine: 'kiln-1, kiln-2', severity: 'Critical', from: '2026-01-05', pageSize: '50'
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(filters, {
+      machines: ['kiln-1', 'kiln-2'], severities: ['critical'], from: '2026-01-05T00:00:00.000Z'
+    });
+    assert.equal(page, 1);
+    assert.equal(pageSize, 50);
+  });
+
+  it('reports every bad parameter', () => {
+    const { errors } = parseNotificationQuery({ severity: 'info,urgent', to: 'soon', page: '0', pageSize: '500' });
+    assert.deepEqual(errors.map(e => [e.field, e.value]), [
+      ['severity', 'urgent'], ['to', 'soon'], ['page', '0'], ['pageSize', '500']
+    ]);
+  });
+});
+
+describe('NotificationRepository', () => {
+  it('filters with query parameters and pages newest first', async () => {
+    const queries = [];
+    const bigquery = {
+      async query(options) {
+        queries.push(options);
+        return queries.length === 1
+          ? [[{ total: 3 }]]
+          : [[{ machine_id: 'kiln-1', anomaly_ts: { value: '2026-01-05T08:00:00.000Z' }, severity: 'critical', details: '{}' }]];
+      }
+    };
+    const repository = new NotificationRepository(bigquery, '`plant.ops.notification_log`');
+    const result = await repository.query(
+      { machines: ['kiln-1'], severities: ['critical'], from: '2026-01-01T00:00:00.000Z' },
+      { limit: 1, offset: 2 }
+    );
+
+    assert.equal(result.total, 3);
+    assert.deepEqual(result.notifications[0], {
+      id: notificationId('kiln-1', '2026-01-05T08:00:00.000Z'),
+      machine_id: 'kiln-1',
+      anomaly_ts: '2026-01-05T08:00:00.000Z',
+      severity: 'critical',
+      details: '{}'
+    });
+    assert.match(queries[1].query, /WHERE .*IN UNNEST\(@machines\) AND severity IN UNNEST\(@severities\) AND anomaly_ts >= TIMESTAMP\(@from\) ORDER BY anomaly_ts DESC/);
+    assert.deepEqual(queries[1].params, {
+      machines: ['kiln-1'], severities: ['critical'], from: '2026-01-01T00:00:00.000Z', limit: 1, offset: 2
+    });
+  });
+
+  it('does not query for an id it cannot parse', async () => {
+    const repository = new NotificationRepository({ query: () => assert.fail('queried') }, 'notification_log');
+    assert.equal(await repository.get('garbage'), null);
+  });
+});
+
+describe('applyAckChange', () => {
+  it('records who acknowledged, assigned and commented', () => {
+    let state = applyAckChange(emptyAckState('n1'), { action: 'ack', user: 'asha', comment: 'Looking at it' });
+    state = applyAckChange(state, { action: 'assign', user: 'asha', assignee: 'ravi' });
+
+    assert.equal(state.acknowledged, true);
+    assert.equal(state.acknowledgedBy, 'asha');
+    assert.equal(state.assignee, 'ravi');
+    assert.equal(state.assignedBy, 'asha');
+    assert.deepEqual(state.comments.map(c => [c.author, c.text, c.action]), [['asha', 'Looking at it', 'ack']]);
+
+    const cleared = applyAckChange(state, { action: 'unack', user: 'ravi' });
+    assert.equal(cleared.acknowledged, false);
+    assert.equal(cleared.acknowledgedBy, null);
+    assert.equal(state.acknowledged, true);
+  });
+});
+
+describe('file ack store', () => {
+  it('keeps every one of concurrent changes', async () => {
+    const store = getAckStore();
+    await Promise.all([
+      store.update('n1', { action: 'ack', user: 'asha' }),
+      store.update('n1', { action: 'comment', user: 'ravi', comment: 'Kiln 1 again' }),
+      store.update('n2', { action: 'assign', user: 'asha', assignee: 'ravi' })
+    ]);
+
+    const saved = JSON.parse(await fs.readFile(process.env.NOTIFICATION_ACK_PATH, 'utf-8'));
+    assert.equal(saved.n1.acknowledged, true);
+    assert.equal(saved.n1.comments.length, 1);
+    assert.equal(saved.n2.assignee, 'ravi');
+  });
+
+  it('merges ack state into notifications', async () => {
+    const [first, second] = await withAckState([{ id: 'n1' }, { id: 'n3' }]);
+    assert.equal(first.ack.acknowledgedBy, 'asha');
+    assert.deepEqual(second.ack, emptyAckState('n3'));
+  });
+});
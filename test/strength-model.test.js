@@ -0,0 +1,132 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  findThresholdCrossings, normalizeStrengthRow, predictStrengthCurve, predictStrengths, toStrengthInstance
+} from '../strength-model.js';
+
+// A stand-in model server: strength = cement / 10 + age, and any request
+// holding a mix with cement 666 fails as a whole
+const calls = [];
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { instances } = JSON.parse(body);
+      calls.push(instances);
+      if (instances.some(instance => Number(instance.cement) === 666)) {
+        res.writeHead(500);
+        return res.end('model crashed');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        predictions: instances.map(({ cement, age }) => {
+          const value = Number(cement) / 10 + Number(age);
+          return { value, lower_bound: value - 1, upper_bound: value + 1 };
+        })
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.STRENGTH_MODEL_PROVIDER = 'http';
+  process.env.STRENGTH_MODEL_URL = `http://127.0.0.1:${server.address().port}/predict`;
+});
+
+after(() => server.close());
+
+const MIX = {
+  cement: 540, slag: 0, flyash: 0, water: 162,
+  superplasticizer: 2.5, coarseaggregate: 1040, fineaggregate: 676, age: 28
+};
+
+describe('normalizeStrengthRow', () => {
+  it('accepts the model column names used in CSV files', () => {
+    const { mix, error } = normalizeStrengthRow({
+      cement: '540', slag: '0', Ash: '0', water: '162', superplastic: '2.5',
+      coarse_aggregate: '1040', FineAgg: '676', age: '28'
+    });
+    assert.equal(error, undefined);
+    assert.deepEqual(mix, MIX);
+  });
+
+  it('reports every bad field and keeps the raw values', () => {
+    const { mix, error, values } = normalizeStrengthRow({ ...MIX, cement: 'lots', water: '' });
+    assert.equal(mix, undefined);
+    assert.equal(error, 'Cement must be a number; Water is required');
+    assert.equal(values.cement, 'lots');
+  });
+
+  it('maps a mix onto the columns the model was trained on', () => {
+    assert.deepEqual(toStrengthInstance(MIX), {
+      cement: '540', slag: '0', ash: '0', water: '162', superplastic: '2.5',
+      coarseagg: '1040', fineagg: '676', age: '28'
+    });
+  });
+});
+
+describe('predictStrengths', () => {
+  it('splits rows into chunks and keeps results in row order', async () => {
+    calls.length = 0;
+    const mixes = [100, 200, 300, 400, 500].map(cement => ({ ...MIX, cement }));
+    const results = await predictStrengths(mixes, { chunkSize: 2 });
+
+    assert.deepEqual(calls.map(chunk => chunk.length), [2, 2, 1]);
+    assert.deepEqual(results.map(r => r.value), [38, 48, 58, 68, 78]);
+  });
+
+  it('fails only the rows of a chunk the model rejected', async () => {
+    const mixes = [100, 666, 300, 400].map(cement => ({ ...MIX, cement }));
+    const results = await predictStrengths(mixes, { chunkSize: 2 });
+
+    assert.match(results[0].error, /500: model crashed/);
+    assert.match(results[1].error, /500: model crashed/);
+    assert.deepEqual(results.slice(2).map(r => r.value), [58, 68]);
+  });
+});
+
+describe('predictStrengthCurve', () => {
+  it('sweeps the ages in one call, sorted and without repeats', async () => {
+    calls.length = 0;
+    const curve = await predictStrengthCurve({ ...MIX, cement: 100 }, [28, 3, 7, 3]);
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(curve, [
+      { age: 3, strength: 13, lower_bound: 12, upper_bound: 14 },
+      { age: 7, strength: 17, lower_bound: 16, upper_bound: 18 },
+      { age: 28, strength: 38, lower_bound: 37, upper_bound: 39 }
+    ]);
+  });
+
+  it('marks every point failed when the model call fails', async () => {
+    const curve = await predictStrengthCurve({ ...MIX, cement: 666 }, [7, 28]);
+    assert.deepEqual(curve.map(point => point.age), [7, 28]);
+    assert.ok(curve.every(point => /model crashed/.test(point.error)));
+  });
+});
+
+describe('findThresholdCrossings', () => {
+  const curve = [
+    { age: 3, strength: 10 },
+    { age: 7, strength: 20 },
+    { age: 14, error: 'timeout' },
+    { age: 28, strength: 34 }
+  ];
+
+  it('interpolates between the sweep ages around the crossing', () => {
+    assert.deepEqual(findThresholdCrossings(curve, [15, 27]), [
+      { threshold: 15, reachedAt: 5, firstSweepAge: 7 },
+      // the failed 14-day point is skipped, so this interpolates 7 to 28 days
+      { threshold: 27, reachedAt: 17.5, firstSweepAge: 28 }
+    ]);
+  });
+
+  it('uses the first age when already reached and null when never reached', () => {
+    assert.deepEqual(findThresholdCrossings(curve, [5, 40]), [
+      { threshold: 5, reachedAt: 3, firstSweepAge: 3 },
+      { threshold: 40, reachedAt: null, firstSweepAge: null }
+    ]);
+  });
+});